@@ -4,14 +4,32 @@ import Header from './components/Header';
 import Dashboard from './pages/Dashboard';
 import Jobs from './pages/Jobs';
 import History from './pages/History';
+import Limits from './pages/Limits';
 import Settings from './pages/Settings';
+import Login from './pages/Login';
 import OAuthHandler from './components/OAuthHandler';
+import SessionProvider from './components/SessionProvider';
+import ProtectedRoute from './components/ProtectedRoute';
+import ReauthPrompt from './components/ReauthPrompt';
+import { PERMISSIONS } from './services/permissions';
 import { workSyncAPI } from './services/api';
+import { tokenRefreshScheduler } from './services/tokenRefreshScheduler';
+import { useRetryStatus, useCircuitStatus, useFixtureStatus, useTokenRefreshFailures } from './hooks/useWorkSyncAPI';
 import './App.css';
 
 function App() {
   const [healthStatus, setHealthStatus] = useState(null);
   const [isBackendAvailable, setIsBackendAvailable] = useState(false);
+  const pendingRetries = useRetryStatus();
+  const pausedCircuits = useCircuitStatus().filter(circuit => circuit.state !== 'closed');
+  const fixtureStatus = useFixtureStatus();
+  const refreshFailures = useTokenRefreshFailures();
+
+  useEffect(() => {
+    // Keep provider tokens fresh in the background
+    tokenRefreshScheduler.start();
+    return () => tokenRefreshScheduler.stop();
+  }, []);
 
   useEffect(() => {
     // Check backend health on app start
@@ -22,11 +40,11 @@ function App() {
         setIsBackendAvailable(true);
         console.log('Backend is available:', health);
       } catch (error) {
-        console.warn('Backend not available, running in mock mode');
+        console.warn('Backend not available:', error.message);
         setIsBackendAvailable(false);
         setHealthStatus({ 
           success: false, 
-          message: 'Backend not available - running in mock mode' 
+          message: 'Backend not available' 
         });
       }
     };
@@ -36,26 +54,70 @@ function App() {
 
   return (
     <Router>
-      <div className="App">
-        <Header isBackendAvailable={isBackendAvailable} />
-        
-        {!isBackendAvailable && (
-          <div className="backend-warning">
-            ⚠️ Backend not available - running in demo mode with mock data. 
-            Start your Spring Boot backend on port 8080 for full functionality.
-          </div>
-        )}
-        
-        <main className="main-content">
-          <Routes>
-            <Route path="/" element={<Dashboard />} />
-            <Route path="/jobs" element={<Jobs />} />
-            <Route path="/history" element={<History />} />
-            <Route path="/settings" element={<Settings />} />
-            <Route path="/auth/callback" element={<OAuthHandler />} />
-          </Routes>
-        </main>
-      </div>
+      <SessionProvider>
+        <div className="App">
+          <Header isBackendAvailable={isBackendAvailable} />
+        
+          {pausedCircuits.map(circuit => (
+            <div key={circuit.upstream} className="backend-warning">
+              ⏸️ {circuit.message}
+            </div>
+          ))}
+        
+          {fixtureStatus.mode === 'replay' && (
+            <div className="backend-warning">
+              📼 Replaying a recorded fixture from {new Date(fixtureStatus.replayRecordedAt).toLocaleString()} - 
+              stop it from Settings to see live data.
+            </div>
+          )}
+        
+          {workSyncAPI.enableMockMode && (
+            <div className="backend-warning">
+              🧪 Demo mode - data comes from the offline fake backend, nothing is sent to Jobber or QuickBooks.
+            </div>
+          )}
+        
+          {!isBackendAvailable && !workSyncAPI.enableMockMode && pausedCircuits.length === 0 && (
+            <div className="backend-warning">
+              ⚠️ Backend not available. Start your Spring Boot backend on port 8080, 
+              or set VITE_ENABLE_MOCK_MODE=true to use the offline demo backend.
+            </div>
+          )}
+        
+          {pendingRetries.length > 0 && (
+            <div className="retry-banner">
+              🔄 {pendingRetries[0].userMessage}
+              {pendingRetries.length > 1 && ` (+${pendingRetries.length - 1} more)`}
+            </div>
+          )}
+        
+          <ReauthPrompt />
+        
+          {refreshFailures.map(failure => (
+            <div key={[failure.provider, failure.realmId].join(':')} className="backend-warning">
+              🔑 Could not refresh the {failure.provider === 'quickbooks' ? 'QuickBooks' : 'Jobber'} connection
+              ({failure.error}). Reconnect it in Settings before it expires.
+            </div>
+          ))}
+        
+          <main className="main-content">
+            <Routes>
+              <Route path="/login" element={<Login />} />
+              {/* Public: a provider can return here after the WorkSync session ended */}
+              <Route path="/auth/callback" element={<OAuthHandler />} />
+              <Route element={<ProtectedRoute />}>
+                <Route path="/" element={<Dashboard />} />
+                <Route path="/jobs" element={<Jobs />} />
+                <Route path="/history" element={<History />} />
+                <Route path="/limits" element={<Limits />} />
+              </Route>
+              <Route element={<ProtectedRoute permission={PERMISSIONS.VIEW_SETTINGS} />}>
+                <Route path="/settings" element={<Settings />} />
+              </Route>
+            </Routes>
+          </main>
+        </div>
+      </SessionProvider>
     </Router>
   );
 }
@@ -1,9 +1,30 @@
+import { useSearchParams } from 'react-router-dom';
 import { useAuthStatus, useOAuth } from '../hooks/useWorkSyncAPI';
+import { useSession } from '../hooks/useSession';
+import { PERMISSIONS } from '../services/permissions';
 import './AuthStatus.css';
 
-const AuthStatus = ({ userId = 'default-user' }) => {
+const AuthStatus = ({ userId = null }) => {
   const { authStatus, loading, error, refetch } = useAuthStatus(userId);
-  const { getJobberAuthUrl, getQuickBooksAuthUrl, disconnectProvider, loading: oauthLoading } = useOAuth();
+  const {
+    getJobberAuthUrl,
+    getQuickBooksAuthUrl,
+    disconnectProvider,
+    setDefaultRealm,
+    loading: oauthLoading
+  } = useOAuth();
+  const { can } = useSession();
+  const canManageConnections = can(PERMISSIONS.MANAGE_CONNECTIONS);
+  const manageHint = canManageConnections ? undefined : 'Only admins can connect or disconnect integrations';
+  // Deep link from a re-auth prompt (see WorkSyncAPI.getConnectPath)
+  const [searchParams] = useSearchParams();
+  const reconnectProvider = searchParams.get('connect');
+  const cardClass = (provider) => `provider-card ${reconnectProvider === provider ? 'needs-reconnect' : ''}`;
+  const reconnectNote = (provider, name) => reconnectProvider === provider && (
+    <p className="reconnect-note">
+      ⚠️ {name} rejected the stored token. Reconnect it to resume syncing.
+    </p>
+  );
 
   const handleConnect = async (provider) => {
     try {
@@ -22,22 +43,31 @@ const AuthStatus = ({ userId = 'default-user' }) => {
     }
   };
 
-  const handleDisconnect = async (provider) => {
+  const handleDisconnect = async (provider, realmId = null) => {
     try {
-      const result = await disconnectProvider(provider, userId);
-      if (result.success) {
-        refetch();
-      }
+      // Auth status is updated optimistically and refetched by the mutation
+      await disconnectProvider(provider, userId, realmId);
     } catch (err) {
       console.error(`Failed to disconnect ${provider}:`, err);
     }
   };
 
+  const handleMakeDefault = async (realmId) => {
+    try {
+      await setDefaultRealm(realmId, authStatus?.jobber?.accountId, userId);
+    } catch (err) {
+      console.error(`Failed to make ${realmId} the default company:`, err);
+    }
+  };
+
   const formatDate = (dateString) => {
     if (!dateString) return 'Never';
     return new Date(dateString).toLocaleString();
   };
 
+  // One card per connected QuickBooks company
+  const quickbooksRealms = (authStatus?.quickbooks?.realms || []).filter(realm => realm.connected);
+
   if (loading) {
     return (
       <div className="auth-status loading">
@@ -69,9 +99,13 @@ const AuthStatus = ({ userId = 'default-user' }) => {
           🔄 Refresh
         </button>
       </div>
+
+      {!canManageConnections && (
+        <p className="permission-note">🔒 {manageHint}.</p>
+      )}
       
       <div className="providers">
-        <div className="provider-card">
+        <div className={cardClass('jobber')}>
           <div className="provider-header">
             <h4>
               <img src="/jobber-icon.png" alt="Jobber" className="provider-icon" />
@@ -83,6 +117,7 @@ const AuthStatus = ({ userId = 'default-user' }) => {
           </div>
           
           <div className="provider-details">
+            {reconnectNote('jobber', 'Jobber')}
             {authStatus?.jobber?.connected ? (
               <>
                 <div className="detail-row">
@@ -111,19 +146,22 @@ const AuthStatus = ({ userId = 'default-user' }) => {
                   </div>
                 )}
                 
-                <button 
-                  onClick={() => handleDisconnect('jobber')} 
-                  className="disconnect-button"
-                  disabled={oauthLoading}
-                >
-                  Disconnect Jobber
-                </button>
+                {canManageConnections && (
+                  <button 
+                    onClick={() => handleDisconnect('jobber')} 
+                    className="disconnect-button"
+                    disabled={oauthLoading}
+                  >
+                    Disconnect Jobber
+                  </button>
+                )}
               </>
             ) : (
               <button 
                 onClick={() => handleConnect('jobber')} 
                 className="connect-button"
-                disabled={oauthLoading}
+                disabled={oauthLoading || !canManageConnections}
+                title={manageHint}
               >
                 Connect to Jobber
               </button>
@@ -131,68 +169,97 @@ const AuthStatus = ({ userId = 'default-user' }) => {
           </div>
         </div>
 
-        <div className="provider-card">
+        <div className={cardClass('quickbooks')}>
           <div className="provider-header">
             <h4>
               <img src="/quickbooks-icon.png" alt="QuickBooks" className="provider-icon" />
               QuickBooks
             </h4>
-            <div className={`status-badge ${authStatus?.quickbooks?.connected ? 'connected' : 'disconnected'}`}>
-              {authStatus?.quickbooks?.connected ? '🟢 Connected' : '🔴 Disconnected'}
+            <div className={`status-badge ${quickbooksRealms.length ? 'connected' : 'disconnected'}`}>
+              {quickbooksRealms.length
+                ? `🟢 ${quickbooksRealms.length} ${quickbooksRealms.length === 1 ? 'Company' : 'Companies'}`
+                : '🔴 Disconnected'}
             </div>
           </div>
           
           <div className="provider-details">
-            {authStatus?.quickbooks?.connected ? (
-              <>
-                <div className="detail-row">
-                  <span className="label">Authenticated:</span>
-                  <span className={`value ${authStatus.quickbooks.authenticated ? 'success' : 'warning'}`}>
-                    {authStatus.quickbooks.authenticated ? 'Yes' : 'No'}
-                  </span>
-                </div>
-                
-                <div className="detail-row">
-                  <span className="label">Company ID:</span>
-                  <span className="value">{authStatus.quickbooks.companyId || 'Not set'}</span>
-                </div>
-                
-                <div className="detail-row">
-                  <span className="label">Last Sync:</span>
-                  <span className="value">{formatDate(authStatus.quickbooks.lastSync)}</span>
-                </div>
-                
-                <div className="detail-row">
-                  <span className="label">Token Expires:</span>
-                  <span className={`value ${authStatus.quickbooks.expired ? 'error' : 'success'}`}>
-                    {authStatus.quickbooks.expiresAt ? formatDate(authStatus.quickbooks.expiresAt) : 'Unknown'}
-                  </span>
-                </div>
-                
-                {authStatus.quickbooks.error && (
+            {reconnectNote('quickbooks', 'QuickBooks')}
+            {quickbooksRealms.map(realm => {
+              const isDefault = realm.realmId === authStatus.quickbooks.defaultRealmId;
+
+              return (
+                <div key={realm.realmId} className={`realm-card ${isDefault ? 'default' : ''}`}>
+                  <div className="realm-header">
+                    <span className="realm-name">{realm.companyName || `Company ${realm.realmId}`}</span>
+                    {isDefault && <span className="realm-default-badge">Default</span>}
+                  </div>
+
                   <div className="detail-row">
-                    <span className="label">Error:</span>
-                    <span className="value error">{authStatus.quickbooks.error}</span>
+                    <span className="label">Company ID:</span>
+                    <span className="value">{realm.realmId}</span>
                   </div>
-                )}
-                
-                <button 
-                  onClick={() => handleDisconnect('quickbooks')} 
-                  className="disconnect-button"
-                  disabled={oauthLoading}
-                >
-                  Disconnect QuickBooks
-                </button>
-              </>
-            ) : (
-              <button 
-                onClick={() => handleConnect('quickbooks')} 
-                className="connect-button"
-                disabled={oauthLoading}
-              >
-                Connect to QuickBooks
-              </button>
-            )}
+
+                  <div className="detail-row">
+                    <span className="label">Authenticated:</span>
+                    <span className={`value ${realm.authenticated ? 'success' : 'warning'}`}>
+                      {realm.authenticated ? 'Yes' : 'No'}
+                    </span>
+                  </div>
+                  
+                  <div className="detail-row">
+                    <span className="label">Last Sync:</span>
+                    <span className="value">{formatDate(realm.lastSync)}</span>
+                  </div>
+                  
+                  <div className="detail-row">
+                    <span className="label">Token Expires:</span>
+                    <span className={`value ${realm.expired ? 'error' : 'success'}`}>
+                      {realm.expiresAt ? formatDate(realm.expiresAt) : 'Unknown'}
+                    </span>
+                  </div>
+                  
+                  {realm.error && (
+                    <div className="detail-row">
+                      <span className="label">Error:</span>
+                      <span className="value error">{realm.error}</span>
+                    </div>
+                  )}
+                  
+                  {canManageConnections && (
+                    <div className="realm-actions">
+                      {!isDefault && (
+                        <button 
+                          onClick={() => handleMakeDefault(realm.realmId)} 
+                          className="refresh-button"
+                          disabled={oauthLoading}
+                          title={authStatus?.jobber?.accountName
+                            ? `Sync ${authStatus.jobber.accountName} to this company by default`
+                            : undefined}
+                        >
+                          Make Default
+                        </button>
+                      )}
+                      <button 
+                        onClick={() => handleDisconnect('quickbooks', realm.realmId)} 
+                        className="disconnect-button"
+                        disabled={oauthLoading}
+                      >
+                        Disconnect
+                      </button>
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+
+            <button 
+              onClick={() => handleConnect('quickbooks')} 
+              className="connect-button"
+              disabled={oauthLoading || !canManageConnections}
+              title={manageHint}
+            >
+              {quickbooksRealms.length ? 'Connect Another Company' : 'Connect to QuickBooks'}
+            </button>
           </div>
         </div>
       </div>
@@ -0,0 +1,104 @@
+import { useState } from 'react';
+import { workSyncAPI } from '../services/api';
+import { queryCache } from '../services/queryCache';
+import { downloadFixture } from '../services/httpFixtures';
+import { useFixtureStatus } from '../hooks/useWorkSyncAPI';
+import './FixtureTools.css';
+
+const FixtureTools = () => {
+  const status = useFixtureStatus();
+  const [message, setMessage] = useState(null);
+
+  const handleStartRecording = () => {
+    setMessage(null);
+    workSyncAPI.startRecording();
+    // Refetch what's on screen so the recording starts with the current state
+    queryCache.clear();
+  };
+
+  const handleStopRecording = () => {
+    const fixture = workSyncAPI.stopRecording();
+    if (fixture) {
+      downloadFixture(fixture);
+      setMessage({ type: 'success', text: `Fixture descargado con ${fixture.entries.length} respuestas` });
+    }
+  };
+
+  const handleLoadFixture = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      workSyncAPI.startReplay(await file.text());
+      queryCache.clear();
+      setMessage(null);
+    } catch (err) {
+      setMessage({ type: 'error', text: `No se pudo cargar el fixture: ${err.message}` });
+    }
+  };
+
+  const handleStopReplay = () => {
+    workSyncAPI.stopReplay();
+    queryCache.clear();
+  };
+
+  return (
+    <div className="settings-card fixture-tools">
+      <div className="card-header">
+        <h3>Diagnóstico</h3>
+        {status.mode === 'record' && <span className="fixture-badge recording">● Grabando</span>}
+        {status.mode === 'replay' && <span className="fixture-badge replaying">📼 Reproduciendo</span>}
+      </div>
+
+      <div className="card-content">
+        <p>
+          Graba las respuestas del backend (sin tokens ni datos personales) para adjuntarlas a un reporte de error,
+          o carga un fixture para reproducir ese estado localmente.
+        </p>
+
+        {status.mode === 'record' && (
+          <p className="fixture-detail">{status.recordedCount} respuestas grabadas</p>
+        )}
+        {status.mode === 'replay' && (
+          <p className="fixture-detail">
+            Fixture del {new Date(status.replayRecordedAt).toLocaleString()} ({status.replayCount} respuestas)
+          </p>
+        )}
+
+        {message && <div className={`message ${message.type}`}>{message.text}</div>}
+
+        <div className="connection-actions">
+          {status.mode === 'record' ? (
+            <button className="btn btn-danger" onClick={handleStopRecording}>
+              Detener y descargar
+            </button>
+          ) : (
+            <button className="btn btn-primary" onClick={handleStartRecording} disabled={status.mode === 'replay'}>
+              Iniciar grabación
+            </button>
+          )}
+
+          {status.mode === 'replay' ? (
+            <button className="btn btn-secondary" onClick={handleStopReplay}>
+              Salir de reproducción
+            </button>
+          ) : (
+            <label className={`btn btn-secondary ${status.mode === 'record' ? 'disabled' : ''}`}>
+              Cargar fixture
+              <input
+                type="file"
+                accept="application/json,.json"
+                onChange={handleLoadFixture}
+                disabled={status.mode === 'record'}
+                hidden
+              />
+            </label>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FixtureTools;
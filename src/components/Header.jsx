@@ -1,13 +1,27 @@
-import { Link, useLocation } from 'react-router-dom';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
+import { useSession } from '../hooks/useSession';
+import { PERMISSIONS, ROLE_LABELS } from '../services/permissions';
 import './Header.css';
 
 const Header = ({ authStatus, onAuthStatusChange }) => {
   const location = useLocation();
+  const navigate = useNavigate();
+  const { user, role, workspaces, workspace, can, logout, switchWorkspace } = useSession();
 
   const isActive = (path) => {
     return location.pathname === path;
   };
 
+  const handleLogout = async () => {
+    await logout();
+    navigate('/login', { replace: true });
+  };
+
+  // Signed-out visitors only see the login page
+  if (!user) {
+    return null;
+  }
+
   return (
     <header className="header">
       <div className="header-container">
@@ -37,11 +51,19 @@ const Header = ({ authStatus, onAuthStatusChange }) => {
             Historial
           </Link>
           <Link 
-            to="/settings" 
-            className={`nav-link ${isActive('/settings') ? 'active' : ''}`}
+            to="/limits" 
+            className={`nav-link ${isActive('/limits') ? 'active' : ''}`}
           >
-            Configuración
+            Límites
           </Link>
+          {can(PERMISSIONS.VIEW_SETTINGS) && (
+            <Link 
+              to="/settings" 
+              className={`nav-link ${isActive('/settings') ? 'active' : ''}`}
+            >
+              Configuración
+            </Link>
+          )}
         </nav>
 
         <div className="auth-status">
@@ -54,6 +76,28 @@ const Header = ({ authStatus, onAuthStatusChange }) => {
             <span className="platform-name">QuickBooks</span>
           </div>
         </div>
+
+        <div className="user-menu">
+          {workspaces.length > 1 ? (
+            <select
+              className="workspace-switcher"
+              aria-label="Organización"
+              value={workspace?.id || ''}
+              onChange={(e) => switchWorkspace(e.target.value)}
+            >
+              {workspaces.map(candidate => (
+                <option key={candidate.id} value={candidate.id}>{candidate.name}</option>
+              ))}
+            </select>
+          ) : workspace && (
+            <span className="workspace-name">{workspace.name}</span>
+          )}
+          <span className="user-name" title={user.email}>{user.name || user.email}</span>
+          <span className="user-role">{ROLE_LABELS[role]}</span>
+          <button className="logout-button" onClick={handleLogout}>
+            Cerrar sesión
+          </button>
+        </div>
       </div>
     </header>
   );
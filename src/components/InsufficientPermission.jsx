@@ -0,0 +1,27 @@
+import { ROLE_LABELS, getRolesWithPermission } from '../services/permissions';
+import { useSession } from '../hooks/useSession';
+import './InsufficientPermission.css';
+
+/**
+ * Shown instead of a page or panel the user's role does not allow
+ */
+const InsufficientPermission = ({ permission = null, message = null }) => {
+  const { role } = useSession();
+  const allowedRoles = permission ? getRolesWithPermission(permission) : [];
+
+  return (
+    <div className="insufficient-permission">
+      <h2>🔒 Permiso insuficiente</h2>
+      <p>{message || 'Tu rol no permite acceder a esta sección.'}</p>
+      <p className="permission-detail">
+        Tu rol: <strong>{ROLE_LABELS[role] || role}</strong>
+        {allowedRoles.length > 0 && (
+          <> · Requiere: {allowedRoles.map(allowed => ROLE_LABELS[allowed]).join(' o ')}</>
+        )}
+      </p>
+      <p className="permission-detail">Pide acceso a un administrador de WorkSync.</p>
+    </div>
+  );
+};
+
+export default InsufficientPermission;
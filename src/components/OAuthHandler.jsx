@@ -1,5 +1,6 @@
 import { useEffect } from 'react';
 import { useSearchParams, useNavigate } from 'react-router-dom';
+import { invalidateQueries, QUERY_KEYS } from '../services/mutations';
 
 const OAuthHandler = () => {
   const [searchParams] = useSearchParams();
@@ -14,6 +15,9 @@ const OAuthHandler = () => {
     if (success && connected) {
       // Handle successful connection
       console.log(`${connected} connected successfully`);
+
+      // This tab and any other open ones still show the provider as disconnected
+      invalidateQueries([QUERY_KEYS.authStatus]);
       
       // Show success message or toast notification
       if (window.showNotification) {
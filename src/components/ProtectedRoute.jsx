@@ -0,0 +1,24 @@
+import { Navigate, Outlet, useLocation } from 'react-router-dom';
+import { useSession } from '../hooks/useSession';
+import InsufficientPermission from './InsufficientPermission';
+
+/**
+ * Layout route that sends signed-out visitors to the login page and,
+ * when a permission is given, blocks roles that lack it
+ */
+const ProtectedRoute = ({ permission = null }) => {
+  const { isAuthenticated, can } = useSession();
+  const location = useLocation();
+
+  if (!isAuthenticated) {
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+
+  if (permission && !can(permission)) {
+    return <InsufficientPermission permission={permission} />;
+  }
+
+  return <Outlet />;
+};
+
+export default ProtectedRoute;
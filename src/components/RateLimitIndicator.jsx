@@ -0,0 +1,52 @@
+import { useRateLimitStatus } from '../hooks/useWorkSyncAPI';
+import './RateLimitIndicator.css';
+
+const formatTime = (ms) => {
+  if (ms < 60000) return `${Math.ceil(ms / 1000)}s`;
+  return `${Math.ceil(ms / 60000)}m`;
+};
+
+const RateLimitIndicator = ({ service, realmId = null, label = null }) => {
+  const status = useRateLimitStatus(service, realmId);
+
+  if (!status) return null;
+
+  const getStatusColor = () => {
+    if (status.isBlocked || status.isLimited) return 'red';
+    if (status.isWarning) return 'orange';
+    return 'green';
+  };
+
+  return (
+    <div className={`rate-limit-indicator ${getStatusColor()}`}>
+      <div className="service-name">{label || service.toUpperCase()}</div>
+      {status.costBased ? (
+        <div className="usage">
+          {status.currentlyAvailable.toLocaleString()}/{status.maximumAvailable.toLocaleString()} puntos (+{status.restoreRate}/s)
+        </div>
+      ) : (
+        <div className="usage">
+          {status.currentRequests}/{status.maxRequests} ({status.usage}%)
+        </div>
+      )}
+      {status.costBased && status.lastQueryCost !== null && (
+        <div className="query-cost">Última consulta: {status.lastQueryCost} puntos</div>
+      )}
+      {status.concurrentRequests > 0 && (
+        <div className="concurrent">
+          En curso: {status.concurrentRequests}/{status.maxConcurrent}
+        </div>
+      )}
+      {status.queuedRequests > 0 && (
+        <div className="queued">En cola: {status.queuedRequests}</div>
+      )}
+      {status.timeUntilReset > 0 && (
+        <div className="reset">
+          {status.costBased && !status.isLimited ? 'Se llena en' : 'Se reinicia en'} {formatTime(status.timeUntilReset)}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RateLimitIndicator;
@@ -0,0 +1,41 @@
+import { Link } from 'react-router-dom';
+import { useReauthPrompts } from '../hooks/useWorkSyncAPI';
+import { useSession } from '../hooks/useSession';
+import { PERMISSIONS } from '../services/permissions';
+import './ReauthPrompt.css';
+
+const PROVIDER_NAMES = { jobber: 'Jobber', quickbooks: 'QuickBooks' };
+
+/**
+ * Asks the user to reconnect a provider whose token was rejected and could
+ * not be refreshed, linking straight to its card in Settings
+ */
+const ReauthPrompt = () => {
+  const { prompts, dismiss } = useReauthPrompts();
+  const { can } = useSession();
+  const canReconnect = can(PERMISSIONS.MANAGE_CONNECTIONS);
+
+  return prompts.map(prompt => {
+    const name = PROVIDER_NAMES[prompt.provider] || prompt.provider;
+
+    return (
+      <div key={prompt.key} className="reauth-prompt" role="alert">
+        <span>
+          🔑 WorkSync can no longer access {name}
+          {prompt.realmId && ` (company ${prompt.realmId})`}.{' '}
+          {canReconnect ? 'Reconnect it to keep syncing.' : 'Ask an administrator to reconnect it.'}
+        </span>
+        {canReconnect && (
+          <Link to={prompt.path} className="reauth-link" onClick={() => dismiss(prompt.key)}>
+            Reconnect {name}
+          </Link>
+        )}
+        <button className="reauth-dismiss" onClick={() => dismiss(prompt.key)} aria-label="Dismiss">
+          ✕
+        </button>
+      </div>
+    );
+  });
+};
+
+export default ReauthPrompt;
@@ -0,0 +1,58 @@
+import { useCallback, useMemo, useSyncExternalStore } from 'react';
+import { SessionContext } from '../context/SessionContext';
+import { sessionService } from '../services/sessionService';
+import { workSyncAPI } from '../services/api';
+import { queryCache } from '../services/queryCache';
+import { workspaceService } from '../services/workspaceService';
+import { getRole, hasPermission } from '../services/permissions';
+
+const subscribe = (listener) => sessionService.subscribe(listener);
+const getSnapshot = () => sessionService.getSession();
+const subscribeToWorkspace = (listener) => workspaceService.subscribe(listener);
+const getWorkspaceSnapshot = () => workspaceService.getActiveWorkspaceId();
+
+const SessionProvider = ({ children }) => {
+  const session = useSyncExternalStore(subscribe, getSnapshot);
+  const workspaceId = useSyncExternalStore(subscribeToWorkspace, getWorkspaceSnapshot);
+
+  const login = useCallback(async (email, password) => {
+    // Nothing cached for a previous user may leak into the new session
+    queryCache.clear({ refetch: false });
+    return workSyncAPI.login(email, password);
+  }, []);
+
+  const logout = useCallback(async () => {
+    await workSyncAPI.logout();
+    queryCache.clear({ refetch: false });
+  }, []);
+
+  const switchWorkspace = useCallback((nextWorkspaceId) => {
+    // Queries for the previous workspace must not refetch into the new one
+    queryCache.clear({ refetch: false });
+    workspaceService.setActiveWorkspace(nextWorkspaceId);
+  }, []);
+
+  const value = useMemo(() => {
+    const user = session?.user || null;
+    const workspaces = session?.workspaces || [];
+    return {
+      user,
+      role: user ? getRole(user) : null,
+      isAuthenticated: session !== null,
+      workspaces,
+      workspace: workspaces.find(candidate => candidate.id === workspaceId) || null,
+      can: (permission) => hasPermission(user, permission),
+      login,
+      logout,
+      switchWorkspace
+    };
+  }, [session, workspaceId, login, logout, switchWorkspace]);
+
+  return (
+    <SessionContext.Provider value={value}>
+      {children}
+    </SessionContext.Provider>
+  );
+};
+
+export default SessionProvider;
@@ -0,0 +1,98 @@
+import { persistedState } from '../services/persistedState';
+import { usePersistenceDiagnostics } from '../hooks/useWorkSyncAPI';
+import './StorageDiagnostics.css';
+
+const SCHEMA_LABELS = {
+  tokens: 'Tokens de conexión',
+  session: 'Sesión',
+  workspace_choices: 'Organización activa',
+  idempotency_keys: 'Sincronizaciones pendientes',
+  bulk_sync: 'Sincronización masiva'
+};
+
+const labelFor = (schema) => SCHEMA_LABELS[schema] || schema;
+
+const downloadEntry = (entry) => {
+  const data = { ...entry, raw: persistedState.getQuarantinedData(entry.id) };
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `worksync-quarantine-${entry.schema}-${entry.id}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+const StorageDiagnostics = () => {
+  const { schemas, migrations, quarantined } = usePersistenceDiagnostics();
+
+  return (
+    <div className="settings-card storage-diagnostics">
+      <div className="card-header">
+        <h3>Datos locales</h3>
+        {quarantined.length > 0 && (
+          <span className="quarantine-badge">{quarantined.length} en cuarentena</span>
+        )}
+      </div>
+
+      <div className="card-content">
+        <p>
+          Formatos guardados en este navegador:{' '}
+          {schemas.map(schema => `${labelFor(schema.name)} v${schema.version}`).join(', ')}.
+        </p>
+
+        {migrations.length > 0 && (
+          <ul className="migration-list">
+            {migrations.map(migration => (
+              <li key={`${migration.storageKey}-${migration.migratedAt}`}>
+                {labelFor(migration.schema)} actualizado de v{migration.from} a v{migration.to}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {quarantined.length === 0 ? (
+          <p className="quarantine-empty">No hay datos ilegibles.</p>
+        ) : (
+          <>
+            <p>
+              Estos datos no se pudieron leer y se apartaron para no perderlos ni usarlos a medias.
+              Si eran tokens, vuelve a conectar la integración afectada.
+            </p>
+            <ul className="quarantine-list">
+              {quarantined.map(entry => (
+                <li key={entry.id} className="quarantine-entry">
+                  <div className="quarantine-summary">
+                    <strong>{labelFor(entry.schema)}</strong>
+                    <span className="quarantine-time">{new Date(entry.quarantinedAt).toLocaleString()}</span>
+                  </div>
+                  <div className="quarantine-reason">{entry.reason}</div>
+                  <div className="connection-actions">
+                    {entry.hasData && (
+                      <button className="btn btn-secondary" onClick={() => downloadEntry(entry)}>
+                        Descargar
+                      </button>
+                    )}
+                    <button className="btn btn-secondary" onClick={() => persistedState.discardQuarantined(entry.id)}>
+                      Descartar
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+            <div className="connection-actions">
+              <button className="btn btn-danger" onClick={() => persistedState.clearQuarantine()}>
+                Vaciar cuarentena
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default StorageDiagnostics;
@@ -0,0 +1,4 @@
+import { createContext } from 'react';
+
+// Value provided by SessionProvider: { user, role, isAuthenticated, workspaces, workspace, can, login, logout, switchWorkspace }
+export const SessionContext = createContext(null);
@@ -0,0 +1,13 @@
+import { useContext } from 'react';
+import { SessionContext } from '../context/SessionContext';
+
+/**
+ * Signed-in WorkSync user and sign-in/sign-out actions
+ */
+export const useSession = () => {
+  const session = useContext(SessionContext);
+  if (!session) {
+    throw new Error('useSession must be used inside a SessionProvider');
+  }
+  return session;
+};
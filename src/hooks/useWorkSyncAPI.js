@@ -1,164 +1,289 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef, useCallback, useSyncExternalStore } from 'react';
 import { workSyncAPI } from '../services/api';
+import { queryCache } from '../services/queryCache';
+import { runMutation } from '../services/mutations';
+import { eventBus } from '../services/event_bus_manager';
+import { errorHandler } from '../services/errorHandler';
+import { sessionService } from '../services/sessionService';
+import { workspaceService } from '../services/workspaceService';
+import { tokenStorage } from '../services/tokenStorage';
+import { persistedState } from '../services/persistedState';
+import { rateLimiter } from '../services/rate_limiter_service';
+import { bulkSyncService } from '../services/bulkSync';
 
 export const useWorkSyncAPI = () => {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const controllersRef = useRef(new Set());
+  const mountedRef = useRef(false);
+
+  // Abort every in-flight request issued through this hook
+  const cancel = useCallback(() => {
+    controllersRef.current.forEach(controller => controller.abort());
+    controllersRef.current.clear();
+  }, []);
+
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+      cancel();
+    };
+  }, [cancel]);
 
   const executeRequest = async (apiCall) => {
+    const controller = new AbortController();
+    controllersRef.current.add(controller);
     setLoading(true);
     setError(null);
     try {
-      const result = await apiCall();
+      const result = await apiCall(controller.signal);
       return result;
     } catch (err) {
-      setError(err.message);
+      // Cancelled requests leave the error state untouched
+      if (!controller.signal.aborted && mountedRef.current) {
+        setError(err.message);
+      }
       throw err;
     } finally {
-      setLoading(false);
+      controllersRef.current.delete(controller);
+      if (mountedRef.current && controllersRef.current.size === 0) {
+        setLoading(false);
+      }
     }
   };
 
-  return { loading, error, executeRequest };
+  return { loading, error, executeRequest, cancel };
 };
 
-export const useAuthStatus = (userId) => {
-  const [authStatus, setAuthStatus] = useState(null);
-  const { loading, error, executeRequest } = useWorkSyncAPI();
+const EMPTY_LIST = [];
 
-  const fetchAuthStatus = async () => {
-    const result = await executeRequest(() => workSyncAPI.getAuthStatus(userId));
-    setAuthStatus(result);
-    return result;
-  };
+const subscribeToSession = (listener) => sessionService.subscribe(listener);
+
+/**
+ * Explicit user ID, otherwise the signed-in user's (part of every query key,
+ * so users never see each other's cached data)
+ */
+export const useUserId = (userId = null) => {
+  const sessionUserId = useSyncExternalStore(subscribeToSession, () => sessionService.getUserId());
+  return userId || sessionUserId;
+};
+
+const subscribeToWorkspace = (listener) => workspaceService.subscribe(listener);
+
+/**
+ * Active workspace of the signed-in user (part of every query key, so
+ * data from one organization never shows up in another)
+ */
+export const useWorkspaceId = () => (
+  useSyncExternalStore(subscribeToWorkspace, () => workspaceService.getActiveWorkspaceId())
+);
+
+/**
+ * Subscribe to a shared cached query keyed by endpoint + params + workspace.
+ * Cached data is returned immediately and revalidated in the background when stale.
+ */
+export const useQuery = (endpoint, params, fetcher, options = {}) => {
+  const { enabled = true, ...queryOptions } = options;
+  const workspaceId = useWorkspaceId();
+  const key = queryCache.buildKey(endpoint, { ...params, workspaceId });
+  const fetcherRef = useRef(fetcher);
+  const optionsRef = useRef(queryOptions);
+  fetcherRef.current = fetcher;
+  optionsRef.current = queryOptions;
+
+  const subscribe = useCallback((listener) => queryCache.subscribe(key, listener), [key]);
+  const state = useSyncExternalStore(subscribe, () => queryCache.getState(key));
+
+  const fetchQuery = useCallback((force) => queryCache.fetchQuery(
+    key,
+    (signal, meta) => fetcherRef.current(signal, meta),
+    { ...optionsRef.current, force }
+  ), [key]);
 
   useEffect(() => {
-    if (userId) {
-      fetchAuthStatus();
+    if (enabled) {
+      fetchQuery(false).catch(() => {});
     }
-  }, [userId]);
+  }, [enabled, fetchQuery]);
+
+  const refetch = useCallback(() => fetchQuery(true), [fetchQuery]);
 
-  return { authStatus, loading, error, refetch: fetchAuthStatus };
+  return {
+    data: state.data,
+    error: state.error ? state.error.message : null,
+    forbidden: Boolean(state.error?.isPermissionDenied),
+    loading: enabled && state.data === undefined && state.status !== 'error',
+    isFetching: state.isFetching,
+    updatedAt: state.updatedAt,
+    refetch
+  };
 };
 
-export const useJobs = (params = {}) => {
-  const [jobs, setJobs] = useState([]);
-  const [pagination, setPagination] = useState(null);
-  const [total, setTotal] = useState(0);
-  const { loading, error, executeRequest } = useWorkSyncAPI();
+export const useAuthStatus = (userId = null, options = {}) => {
+  const actualUserId = useUserId(userId);
+  const { data, loading, error, forbidden, isFetching, refetch } = useQuery(
+    '/auth/status',
+    { userId: actualUserId },
+    (signal, { priority }) => workSyncAPI.getAuthStatus(actualUserId, { signal, priority }),
+    { staleTime: 30 * 1000, enabled: !!actualUserId, ...options }
+  );
 
+  return { authStatus: data ?? null, loading, error, forbidden, isFetching, refetch };
+};
+
+export const useJobs = (params = {}, options = {}) => {
+  const [extraParams, setExtraParams] = useState({});
+  const userId = useUserId(params.userId);
+  const combinedParams = { ...params, ...extraParams, userId };
+
+  const { data, loading, error, forbidden, isFetching, refetch } = useQuery(
+    '/jobs',
+    combinedParams,
+    (signal, { priority }) => workSyncAPI.getJobs(combinedParams, { signal, priority }),
+    { staleTime: 30 * 1000, enabled: !!userId, ...options }
+  );
+
+  // Switch to new params (e.g. another page); no params forces a refetch
   const fetchJobs = async (newParams = {}) => {
-    const combinedParams = { ...params, ...newParams };
-    const result = await executeRequest(() => workSyncAPI.getJobs(combinedParams));
-    
-    if (result.success) {
-      setJobs(result.jobs || []);
-      setPagination(result.pagination);
-      setTotal(result.total || 0);
+    if (Object.keys(newParams).length === 0) {
+      return refetch();
     }
-    
-    return result;
+
+    const nextParams = { ...combinedParams, ...newParams };
+    setExtraParams(prev => ({ ...prev, ...newParams }));
+    return queryCache.fetchQuery(
+      queryCache.buildKey('/jobs', { ...nextParams, workspaceId: workspaceService.getActiveWorkspaceId() }),
+      (signal, { priority }) => workSyncAPI.getJobs(nextParams, { signal, priority }),
+      { staleTime: 30 * 1000, ...options }
+    );
   };
 
-  useEffect(() => {
-    fetchJobs();
-  }, []);
+  const result = data?.success ? data : null;
 
   return { 
-    jobs, 
-    pagination, 
-    total, 
+    jobs: result?.jobs || EMPTY_LIST, 
+    pagination: result?.pagination ?? null, 
+    total: result?.total || 0, 
     loading, 
     error, 
-    refetch: fetchJobs,
+    forbidden,
+    isFetching,
+    refetch,
     fetchJobs 
   };
 };
 
-export const useRecentJobs = (userId) => {
-  const [recentJobs, setRecentJobs] = useState([]);
-  const { loading, error, executeRequest } = useWorkSyncAPI();
-
-  const fetchRecentJobs = async () => {
-    const result = await executeRequest(() => workSyncAPI.getRecentJobs(userId));
-    if (result.success) {
-      setRecentJobs(result.jobs || []);
-    }
-    return result;
-  };
-
-  useEffect(() => {
-    if (userId) {
-      fetchRecentJobs();
-    }
-  }, [userId]);
-
-  return { recentJobs, loading, error, refetch: fetchRecentJobs };
+export const useRecentJobs = (userId = null, options = {}) => {
+  const actualUserId = useUserId(userId);
+  const { data, loading, error, isFetching, refetch } = useQuery(
+    '/jobs/recent',
+    { userId: actualUserId },
+    (signal, { priority }) => workSyncAPI.getRecentJobs(actualUserId, { signal, priority }),
+    { staleTime: 30 * 1000, enabled: !!actualUserId, ...options }
+  );
+
+  const recentJobs = data?.success ? data.jobs || EMPTY_LIST : EMPTY_LIST;
+  return { recentJobs, loading, error, isFetching, refetch };
 };
 
-export const usePendingSyncJobs = (userId) => {
-  const [pendingJobs, setPendingJobs] = useState([]);
-  const { loading, error, executeRequest } = useWorkSyncAPI();
-
-  const fetchPendingJobs = async () => {
-    const result = await executeRequest(() => workSyncAPI.getPendingSyncJobs(userId));
-    if (result.success) {
-      setPendingJobs(result.jobs || []);
-    }
-    return result;
-  };
-
-  useEffect(() => {
-    if (userId) {
-      fetchPendingJobs();
-    }
-  }, [userId]);
+export const usePendingSyncJobs = (userId = null, options = {}) => {
+  const actualUserId = useUserId(userId);
+  const { data, loading, error, isFetching, refetch } = useQuery(
+    '/jobs/pending',
+    { userId: actualUserId },
+    (signal, { priority }) => workSyncAPI.getPendingSyncJobs(actualUserId, { signal, priority }),
+    { staleTime: 30 * 1000, enabled: !!actualUserId, ...options }
+  );
+
+  const pendingJobs = data?.success ? data.jobs || EMPTY_LIST : EMPTY_LIST;
+  return { pendingJobs, loading, error, isFetching, refetch };
+};
 
-  return { pendingJobs, loading, error, refetch: fetchPendingJobs };
+export const useSyncStats = (userId = null, options = {}) => {
+  const actualUserId = useUserId(userId);
+  const { data, loading, error, forbidden, isFetching, refetch } = useQuery(
+    '/sync/stats',
+    { userId: actualUserId },
+    (signal, { priority }) => workSyncAPI.getSyncStats(actualUserId, { signal, priority }),
+    { staleTime: 60 * 1000, enabled: !!actualUserId, ...options }
+  );
+
+  const syncStats = data?.success ? data.stats : null;
+  return { syncStats, loading, error, forbidden, isFetching, refetch };
 };
 
-export const useSyncStats = (userId) => {
-  const [syncStats, setSyncStats] = useState(null);
-  const { loading, error, executeRequest } = useWorkSyncAPI();
+/**
+ * Run a declared mutation (see services/mutations.js) with loading/error state.
+ * Optimistic updates and cache invalidation are handled by runMutation.
+ */
+export const useMutation = (mutation) => {
+  const { loading, error, executeRequest, cancel } = useWorkSyncAPI();
 
-  const fetchSyncStats = async () => {
-    const result = await executeRequest(() => workSyncAPI.getSyncStats(userId));
-    if (result.success) {
-      setSyncStats(result.stats);
-    }
-    return result;
+  const mutate = async (variables) => {
+    return executeRequest((signal) => runMutation(mutation, variables, signal));
   };
 
-  useEffect(() => {
-    if (userId) {
-      fetchSyncStats();
-    }
-  }, [userId]);
-
-  return { syncStats, loading, error, refetch: fetchSyncStats };
+  return { mutate, loading, error, cancel };
 };
 
 export const useJobSync = () => {
-  const { loading, error, executeRequest } = useWorkSyncAPI();
-
-  const syncJob = async (jobId, userId) => {
-    return executeRequest(() => workSyncAPI.syncJob(jobId, userId));
+  const { loading, error, executeRequest, cancel } = useWorkSyncAPI();
+  // Requests ahead of the latest sync while provider limits queue it, else null
+  const [queuePosition, setQueuePosition] = useState(null);
+
+  // realmId is the target QuickBooks company (the account default when omitted)
+  const syncJob = async (jobId, userId, realmId) => {
+    return executeRequest((signal) => runMutation('syncJob', {
+      jobId, userId, realmId, onQueuePosition: setQueuePosition
+    }, signal));
   };
 
-  const syncMultipleJobs = async (jobIds, userId) => {
-    return executeRequest(() => workSyncAPI.syncMultipleJobs(jobIds, userId));
+  const syncMultipleJobs = async (jobIds, userId, realmId) => {
+    return executeRequest((signal) => runMutation('syncMultipleJobs', {
+      jobIds, userId, realmId, onQueuePosition: setQueuePosition
+    }, signal));
   };
 
-  const syncPendingJobs = async (userId) => {
-    return executeRequest(() => workSyncAPI.syncPendingJobs(userId));
+  const syncPendingJobs = async (userId, realmId) => {
+    return executeRequest((signal) => runMutation('syncPendingJobs', {
+      userId, realmId, onQueuePosition: setQueuePosition
+    }, signal));
   };
 
   return {
     syncJob,
     syncMultipleJobs,
     syncPendingJobs,
+    cancel,
     loading,
-    error
+    error,
+    queuePosition
+  };
+};
+
+/**
+ * The current bulk sync run (see services/bulkSync.js) with its controls.
+ * The run outlives the component and the tab: an interrupted one shows up
+ * here with interrupted set until it is resumed or discarded, and one
+ * another tab is driving with drivenElsewhere set.
+ */
+export const useBulkSync = () => {
+  const [run, setRun] = useState(() => bulkSyncService.getRun());
+
+  useEffect(() => {
+    setRun(bulkSyncService.getRun());
+    eventBus.on('bulk_sync_changed', setRun);
+    return () => eventBus.off('bulk_sync_changed', setRun);
+  }, []);
+
+  return {
+    run,
+    batchSize: bulkSyncService.getBatchSize(),
+    start: (jobIds, realmId) => bulkSyncService.start(jobIds, { realmId }),
+    resume: () => bulkSyncService.resume(),
+    pause: () => bulkSyncService.pause(),
+    discard: () => bulkSyncService.discard()
   };
 };
 
@@ -166,21 +291,26 @@ export const useOAuth = () => {
   const { loading, error, executeRequest } = useWorkSyncAPI();
 
   const getJobberAuthUrl = async (userId) => {
-    return executeRequest(() => workSyncAPI.getJobberAuthUrl(userId));
+    return executeRequest((signal) => workSyncAPI.getJobberAuthUrl(userId, { signal }));
   };
 
   const getQuickBooksAuthUrl = async (userId) => {
-    return executeRequest(() => workSyncAPI.getQuickBooksAuthUrl(userId));
+    return executeRequest((signal) => workSyncAPI.getQuickBooksAuthUrl(userId, { signal }));
+  };
+
+  const disconnectProvider = async (provider, userId, realmId) => {
+    return executeRequest((signal) => runMutation('disconnectProvider', { provider, userId, realmId }, signal));
   };
 
-  const disconnectProvider = async (provider, userId) => {
-    return executeRequest(() => workSyncAPI.disconnectProvider(provider, userId));
+  const setDefaultRealm = async (realmId, jobberAccountId, userId) => {
+    return executeRequest((signal) => runMutation('setDefaultRealm', { realmId, jobberAccountId, userId }, signal));
   };
 
   return {
     getJobberAuthUrl,
     getQuickBooksAuthUrl,
     disconnectProvider,
+    setDefaultRealm,
     loading,
     error
   };
@@ -191,13 +321,13 @@ export const useHealth = () => {
   const { loading, error, executeRequest } = useWorkSyncAPI();
 
   const checkHealth = async () => {
-    const result = await executeRequest(() => workSyncAPI.checkHealth());
+    const result = await executeRequest((signal) => workSyncAPI.checkHealth({ signal }));
     setHealthStatus(result);
     return result;
   };
 
   const getHealthStatus = async () => {
-    const result = await executeRequest(() => workSyncAPI.getHealthStatus());
+    const result = await executeRequest((signal) => workSyncAPI.getHealthStatus({ signal }));
     setHealthStatus(result);
     return result;
   };
@@ -209,4 +339,229 @@ export const useHealth = () => {
     loading,
     error
   };
-};
\ No newline at end of file
+};
+
+/**
+ * Track requests currently waiting to be retried, keyed by method + endpoint
+ */
+export const useRetryStatus = () => {
+  const [retries, setRetries] = useState({});
+  const workspaceId = useWorkspaceId();
+
+  useEffect(() => {
+    const keyFor = (event) => `${event.method} ${event.endpoint}`;
+
+    const handleRetry = (event) => {
+      setRetries(prev => ({ ...prev, [keyFor(event)]: event }));
+    };
+
+    const handleSettled = (event) => {
+      setRetries(prev => {
+        const next = { ...prev };
+        delete next[keyFor(event)];
+        return next;
+      });
+    };
+
+    // Retries belong to the active workspace; a switch starts from scratch
+    setRetries({});
+    eventBus.on('request_retry', handleRetry, { scoped: true });
+    eventBus.on('request_retry_settled', handleSettled, { scoped: true });
+
+    return () => {
+      eventBus.off('request_retry', handleRetry);
+      eventBus.off('request_retry_settled', handleSettled);
+    };
+  }, [workspaceId]);
+
+  return Object.values(retries);
+};
+
+/**
+ * Circuit breaker status for every upstream, with a live countdown while open
+ */
+export const useCircuitStatus = () => {
+  const [statuses, setStatuses] = useState(() => errorHandler.getAllCircuitStatuses());
+  const hasOpenCircuit = statuses.some(status => status.state === 'open');
+
+  useEffect(() => {
+    const updateStatuses = () => setStatuses(errorHandler.getAllCircuitStatuses());
+
+    eventBus.on('circuit_state_changed', updateStatuses);
+    return () => eventBus.off('circuit_state_changed', updateStatuses);
+  }, []);
+
+  // Tick once a second so "paused for Ns" counts down
+  useEffect(() => {
+    if (!hasOpenCircuit) return;
+
+    const interval = setInterval(() => {
+      setStatuses(errorHandler.getAllCircuitStatuses());
+    }, 1000);
+    return () => clearInterval(interval);
+  }, [hasOpenCircuit]);
+
+  return statuses;
+};
+
+/**
+ * Record/replay state of WorkSyncAPI HTTP fixtures
+ */
+export const useFixtureStatus = () => {
+  const [status, setStatus] = useState(() => workSyncAPI.getFixtureStatus());
+
+  useEffect(() => {
+    eventBus.on('http_fixture_changed', setStatus);
+    return () => eventBus.off('http_fixture_changed', setStatus);
+  }, []);
+
+  return status;
+};
+
+/**
+ * Limiter status of a provider (QuickBooks per company), polled every 5 seconds
+ */
+export const useRateLimitStatus = (service, realmId = null) => {
+  const [status, setStatus] = useState(null);
+
+  useEffect(() => {
+    const updateStatus = () => {
+      setStatus(rateLimiter.getRateLimitStatus(service, realmId));
+    };
+
+    updateStatus();
+    const interval = setInterval(updateStatus, 5000);
+
+    return () => clearInterval(interval);
+  }, [service, realmId]);
+
+  return status;
+};
+
+const readRateLimits = (realmIds) => {
+  // Connected companies show up before their first request
+  realmIds.forEach(realmId => rateLimiter.getRateLimitStatus('quickbooks', realmId));
+
+  return rateLimiter.getAllStatuses().map(status => ({
+    ...status,
+    queue: rateLimiter.getQueue(status.service, status.realmId),
+    timeline: rateLimiter.getTimeline(status.service, status.realmId),
+    exhaustsIn: rateLimiter.getExhaustionForecast(status.service, status.realmId)
+  }));
+};
+
+/**
+ * Every limiter bucket (per provider and QuickBooks company) with its queue,
+ * activity timeline and exhaustion forecast, refreshed every second
+ */
+export const useRateLimitMonitor = (realmIds = EMPTY_LIST) => {
+  const realmKey = realmIds.join(',');
+  const [buckets, setBuckets] = useState(() => readRateLimits(realmIds));
+
+  useEffect(() => {
+    const ids = realmKey ? realmKey.split(',') : [];
+    const updateBuckets = () => setBuckets(readRateLimits(ids));
+
+    updateBuckets();
+    const interval = setInterval(updateBuckets, 1000);
+    return () => clearInterval(interval);
+  }, [realmKey]);
+
+  return buckets;
+};
+
+/**
+ * Persisted-state report (schemas, migrations run, quarantined data) for the
+ * diagnostics view
+ */
+export const usePersistenceDiagnostics = () => {
+  const [diagnostics, setDiagnostics] = useState(() => persistedState.getDiagnostics());
+
+  useEffect(() => {
+    eventBus.on('persistence_diagnostics_changed', setDiagnostics);
+    return () => eventBus.off('persistence_diagnostics_changed', setDiagnostics);
+  }, []);
+
+  return diagnostics;
+};
+
+/**
+ * Tokens the refresh scheduler gave up on, keyed by provider (+ realm), so
+ * the user can be asked to reconnect before calls start failing
+ */
+export const useTokenRefreshFailures = () => {
+  const [failures, setFailures] = useState({});
+  const workspaceId = useWorkspaceId();
+
+  useEffect(() => {
+    const keyFor = (event) => [event.provider, event.realmId].filter(Boolean).join(':');
+
+    const handleFailed = (event) => {
+      if (event.retryInMs !== null) return;
+      setFailures(prev => ({ ...prev, [keyFor(event)]: event }));
+    };
+
+    const handleRefreshed = (event) => {
+      setFailures(prev => {
+        const next = { ...prev };
+        delete next[keyFor(event)];
+        return next;
+      });
+    };
+
+    setFailures({});
+    eventBus.on('token_refresh_failed', handleFailed, { scoped: true });
+    eventBus.on('token_refreshed', handleRefreshed, { scoped: true });
+
+    return () => {
+      eventBus.off('token_refresh_failed', handleFailed);
+      eventBus.off('token_refreshed', handleRefreshed);
+    };
+  }, [workspaceId]);
+
+  return Object.values(failures);
+};
+
+/**
+ * Providers whose token was rejected and could not be refreshed, keyed by
+ * provider (+ realm). A prompt goes away once a new token is stored.
+ */
+export const useReauthPrompts = () => {
+  const [prompts, setPrompts] = useState({});
+  const workspaceId = useWorkspaceId();
+
+  useEffect(() => {
+    const keyFor = (event) => tokenStorage.getTokenKey(event.provider, event.realmId);
+
+    const handleReauthRequired = (event) => {
+      setPrompts(prev => ({ ...prev, [keyFor(event)]: { ...event, key: keyFor(event) } }));
+    };
+
+    // Reconnected (or refreshed elsewhere) since the prompt was raised
+    const dropReconnected = () => {
+      const tokens = tokenStorage.getAllTokens();
+      setPrompts(prev => Object.fromEntries(Object.entries(prev).filter(([key, prompt]) => (
+        !tokens[key] || tokens[key].storedAt < prompt.timestamp
+      ))));
+    };
+
+    setPrompts({});
+    eventBus.on('reauth_required', handleReauthRequired, { scoped: true });
+    const unsubscribe = tokenStorage.subscribe(dropReconnected);
+
+    return () => {
+      eventBus.off('reauth_required', handleReauthRequired);
+      unsubscribe();
+    };
+  }, [workspaceId]);
+
+  const dismiss = useCallback((key) => {
+    setPrompts(prev => {
+      const next = { ...prev };
+      delete next[key];
+      return next;
+    });
+  }, []);
+
+  return { prompts: Object.values(prompts), dismiss };
+};
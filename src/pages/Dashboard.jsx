@@ -1,10 +1,11 @@
 import { Link } from 'react-router-dom';
 import { useAuthStatus, useSyncStats } from '../hooks/useWorkSyncAPI';
+import RateLimitIndicator from '../components/RateLimitIndicator';
 import './Dashboard.css';
 
 const Dashboard = () => {
-  const { authStatus, loading: authLoading, error: authError, refetch: refetchAuth } = useAuthStatus('default-user');
-  const { syncStats, loading: statsLoading, error: statsError, refetch: refetchStats } = useSyncStats('default-user');
+  const { authStatus, loading: authLoading, error: authError, refetch: refetchAuth } = useAuthStatus();
+  const { syncStats, loading: statsLoading, error: statsError, refetch: refetchStats } = useSyncStats();
   
   const loading = authLoading || statsLoading;
   const error = authError || statsError;
@@ -102,6 +103,22 @@ const Dashboard = () => {
                 </span>
               </div>
             </div>
+
+            {(authStatus?.jobber?.connected || authStatus?.quickbooks?.connected) && (
+              <div className="dashboard-rate-limits">
+                {authStatus?.jobber?.connected && (
+                  <RateLimitIndicator service="jobber" label="Jobber" />
+                )}
+                {authStatus?.quickbooks?.connected && (
+                  <RateLimitIndicator
+                    service="quickbooks"
+                    realmId={authStatus.quickbooks.defaultRealmId || null}
+                    label="QuickBooks"
+                  />
+                )}
+                <Link to="/limits" className="rate-limits-link">Ver límites de API</Link>
+              </div>
+            )}
           </div>
         </div>
 
@@ -164,7 +181,7 @@ const Dashboard = () => {
                 {syncStats?.recentActivity?.slice(0, 5).map((item, index) => (
                   <div key={index} className="activity-item">
                     <span className="activity-time">
-                      {new Date(item.createdAt?.toDate?.() || item.createdAt).toLocaleString()}
+                      {item.createdAt.toLocaleString()}
                     </span>
                     <span className="activity-message">
                       {item.status === 'success' ? '✅' : '❌'} {item.message || 'Sincronización'}
@@ -1,68 +1,16 @@
-import { useState, useEffect } from 'react';
-import { syncService } from '../services/api';
+import { useMemo } from 'react';
+import { useSyncStats } from '../hooks/useWorkSyncAPI';
 import './History.css';
 
 const History = () => {
-  const [history, setHistory] = useState([]);
-  const [loading, setLoading] = useState(true);
+  // Shared with the Dashboard and refreshed whenever a sync mutation completes
+  const { syncStats, loading, error } = useSyncStats();
 
-  useEffect(() => {
-    loadHistory();
-  }, []);
-
-  const loadHistory = async () => {
-    try {
-      setLoading(true);
-      const response = await syncService.getSyncStats();
-      
-      if (response.success && response.stats.recentActivity) {
-        // Transformar los datos de la API al formato esperado por el componente
-        const transformedHistory = response.stats.recentActivity.map(item => ({
-          id: item.id || Date.now().toString() + Math.random().toString(36).substr(2, 9),
-          type: item.status === 'success' ? 'sync_success' : 'sync_error',
-          message: item.status === 'success' ? 
-            `Sincronización exitosa: Job ${item.jobId || 'desconocido'} exportado a QuickBooks` :
-            `Error sincronizando Job ${item.jobId || 'desconocido'}: ${item.message || 'Error desconocido'}`,
-          createdAt: item.createdAt?.toDate ? item.createdAt.toDate() : new Date(item.createdAt || Date.now()),
-          details: {
-            jobId: item.jobId,
-            jobsCount: item.syncType === 'batch' ? item.summary?.successful : 1,
-            platform: 'quickbooks',
-            amount: item.amount,
-            error: item.status !== 'success' ? item.message : null
-          }
-        }));
-        
-        setHistory(transformedHistory);
-      } else {
-        // Si no hay datos de la API, mostrar datos de ejemplo
-        setHistory([
-          {
-            id: '1',
-            type: 'sync_success',
-            message: 'Sincronización exitosa: 3 Jobs exportados a QuickBooks',
-            createdAt: new Date('2024-01-15T10:30:00'),
-            details: {
-              jobsCount: 3,
-              platform: 'quickbooks'
-            }
-          },
-          {
-            id: '2',
-            type: 'sync_error',
-            message: 'Error sincronizando Job #123: Cliente no encontrado en QuickBooks',
-            createdAt: new Date('2024-01-14T15:45:00'),
-            details: {
-              jobId: '123',
-              error: 'Cliente no encontrado'
-            }
-          }
-        ]);
-      }
-    } catch (error) {
+  const history = useMemo(() => {
+    if (error) {
       console.error('Error cargando historial:', error);
       // En caso de error, mostrar datos de ejemplo
-      setHistory([
+      return [
         {
           id: 'example-1',
           type: 'sync_success',
@@ -73,11 +21,52 @@ const History = () => {
             platform: 'quickbooks'
           }
         }
-      ]);
-    } finally {
-      setLoading(false);
+      ];
     }
-  };
+
+    if (syncStats?.recentActivity) {
+      // Transformar los datos de la API al formato esperado por el componente
+      return syncStats.recentActivity.map(item => ({
+        id: item.id || Date.now().toString() + Math.random().toString(36).substr(2, 9),
+        type: item.status === 'success' ? 'sync_success' : 'sync_error',
+        message: item.status === 'success' ? 
+          `Sincronización exitosa: Job ${item.jobId || 'desconocido'} exportado a QuickBooks` :
+          `Error sincronizando Job ${item.jobId || 'desconocido'}: ${item.message || 'Error desconocido'}`,
+        createdAt: item.createdAt,
+        details: {
+          jobId: item.jobId,
+          jobsCount: item.syncType === 'batch' ? item.summary?.successful : 1,
+          platform: 'quickbooks',
+          amount: item.amount,
+          error: item.status !== 'success' ? item.message : null
+        }
+      }));
+    }
+
+    // Si no hay datos de la API, mostrar datos de ejemplo
+    return [
+      {
+        id: '1',
+        type: 'sync_success',
+        message: 'Sincronización exitosa: 3 Jobs exportados a QuickBooks',
+        createdAt: new Date('2024-01-15T10:30:00'),
+        details: {
+          jobsCount: 3,
+          platform: 'quickbooks'
+        }
+      },
+      {
+        id: '2',
+        type: 'sync_error',
+        message: 'Error sincronizando Job #123: Cliente no encontrado en QuickBooks',
+        createdAt: new Date('2024-01-14T15:45:00'),
+        details: {
+          jobId: '123',
+          error: 'Cliente no encontrado'
+        }
+      }
+    ];
+  }, [syncStats, error]);
 
   const getStatusIcon = (type) => {
     switch (type) {
@@ -1,17 +1,33 @@
 import { useState, useEffect } from 'react';
-import { useJobs, useAuthStatus, useJobSync } from '../hooks/useWorkSyncAPI';
+import { useJobs, useAuthStatus, useJobSync, useBulkSync } from '../hooks/useWorkSyncAPI';
+import { useSession } from '../hooks/useSession';
+import { PERMISSIONS } from '../services/permissions';
+import InsufficientPermission from '../components/InsufficientPermission';
 import './Jobs.css';
 
 const Jobs = () => {
   const [selectedJobs, setSelectedJobs] = useState([]);
   const [message, setMessage] = useState('');
+  const [targetRealmId, setTargetRealmId] = useState(null);
   
-  const { authStatus, loading: authLoading } = useAuthStatus('default-user');
-  const { jobs, loading, error, refetch } = useJobs({ userId: 'default-user' });
-  const { syncMultipleJobs, loading: syncLoading } = useJobSync();
+  const { authStatus, loading: authLoading } = useAuthStatus();
+  const { jobs, loading, error, forbidden } = useJobs();
+  const { syncMultipleJobs, cancel: cancelSync, queuePosition, loading: syncLoading } = useJobSync();
+  const bulkSync = useBulkSync();
+  const bulkRun = bulkSync.run;
+  const { can } = useSession();
+  const canSync = can(PERMISSIONS.SYNC_JOBS);
+
+  // Target QuickBooks company: the user's pick, otherwise the Jobber account default
+  const realms = (authStatus?.quickbooks?.realms || []).filter(realm => realm.connected);
+  const selectedRealm = realms.find(realm => realm.realmId === targetRealmId)
+    || realms.find(realm => realm.realmId === authStatus?.quickbooks?.defaultRealmId)
+    || realms[0]
+    || null;
+  const realmName = (realm) => realm.companyName || `Empresa ${realm.realmId}`;
 
   useEffect(() => {
-    if (error) {
+    if (error && !forbidden) {
       setMessage('Error cargando Jobs: ' + error);
       
       // Show example jobs if there's an authentication error
@@ -20,9 +36,11 @@ const Jobs = () => {
         setMessage('Error de autenticación. Mostrando datos de ejemplo.');
       }
     }
-  }, [error]);
+  }, [error, forbidden]);
 
   const handleJobSelection = (jobId) => {
+    if (!canSync) return;
+
     setSelectedJobs(prev => 
       prev.includes(jobId) 
         ? prev.filter(id => id !== jobId)
@@ -51,14 +69,29 @@ const Jobs = () => {
 
     setMessage('');
 
+    // More than one QuickBooks batch goes out in chunks paced by the API limits
+    if (selectedJobs.length > bulkSync.batchSize) {
+      if (bulkRun?.unfinished) {
+        setMessage('Termina o descarta la sincronización masiva pendiente antes de empezar otra');
+        return;
+      }
+
+      setSelectedJobs([]);
+      runBulkSync(() => bulkSync.start(selectedJobs, selectedRealm?.realmId));
+      return;
+    }
+
     try {
-      const result = await syncMultipleJobs(selectedJobs, 'default-user');
+      const result = await syncMultipleJobs(selectedJobs, undefined, selectedRealm?.realmId);
       
-      if (result.success) {
+      if (result.replayed) {
+        // The backend recognised the idempotency key from an earlier submission
+        setMessage('⚠️ Esta sincronización ya había sido enviada. Los Jobs podrían estar duplicados, verifica en QuickBooks.');
+        setSelectedJobs([]);
+      } else if (result.success) {
         if (result.successfulJobs > 0) {
-          setMessage(`✅ Sincronización exitosa: ${result.successfulJobs} Jobs sincronizados`);
+          setMessage(`✅ Sincronización exitosa: ${result.successfulJobs} Jobs sincronizados${selectedRealm ? ` en ${realmName(selectedRealm)}` : ''}`);
           setSelectedJobs([]);
-          refetch(); // Reload jobs
         } else if (result.failedJobs > 0) {
           setMessage(`❌ Error sincronizando ${result.failedJobs} Jobs`);
         }
@@ -66,11 +99,52 @@ const Jobs = () => {
         setMessage(`❌ Error en la sincronización: ${result.message}`);
       }
     } catch (error) {
+      if (error.name === 'AbortError') {
+        setMessage('Sincronización cancelada');
+        return;
+      }
       console.error('Error sincronizando Jobs:', error);
       setMessage('Error sincronizando Jobs: ' + error.message);
     }
   };
 
+  const runBulkSync = async (run) => {
+    try {
+      reportBulkRun(await run());
+    } catch (error) {
+      console.error('Error en la sincronización masiva:', error);
+      setMessage('Error sincronizando Jobs: ' + error.message);
+    }
+  };
+
+  const reportBulkRun = (run) => {
+    if (!run) return;
+
+    const failed = run.failed.length > 0 ? `, ${run.failed.length} con error` : '';
+    if (run.status === 'completed') {
+      setMessage(run.failed.length > 0
+        ? `⚠️ Sincronización masiva terminada: ${run.successful} Jobs sincronizados${failed}`
+        : `✅ Sincronización masiva terminada: ${run.successful} Jobs sincronizados`);
+    } else if (run.status === 'failed') {
+      setMessage(`❌ Sincronización masiva detenida tras ${run.processed} de ${run.total} Jobs: ${run.error}`);
+    } else if (run.status === 'paused') {
+      setMessage(`Sincronización masiva en pausa: ${run.processed} de ${run.total} Jobs procesados${failed}`);
+    }
+  };
+
+  const getBulkStatusText = (run) => {
+    if (run.active && run.waitUntil) {
+      return `Esperando cuota de QuickBooks hasta las ${new Date(run.waitUntil).toLocaleTimeString('es-CR')}`;
+    }
+    if (run.active) {
+      return run.inFlight ? `Enviando lote de ${run.inFlight.length} Jobs...` : 'Preparando el siguiente lote...';
+    }
+    if (run.drivenElsewhere) return 'En curso en otra pestaña';
+    if (run.interrupted) return 'Interrumpida: la página se recargó o se cerró';
+    if (run.status === 'failed') return `Detenida: ${run.error}`;
+    return 'En pausa';
+  };
+
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('es-CR', {
       style: 'currency',
@@ -94,6 +168,10 @@ const Jobs = () => {
     return statusMap[status] || status;
   };
 
+  if (forbidden) {
+    return <InsufficientPermission message="Tu rol no permite ver los Jobs de Jobber." />;
+  }
+
   if (!authStatus?.jobber?.connected) {
     return (
       <div className="jobs">
@@ -113,32 +191,99 @@ const Jobs = () => {
     <div className="jobs">
       <div className="jobs-header">
         <h1>Jobs de Jobber</h1>
-        <p>Selecciona los Jobs que quieres sincronizar a QuickBooks</p>
+        <p>
+          {canSync
+            ? 'Selecciona los Jobs que quieres sincronizar a QuickBooks'
+            : 'Vista de solo lectura: tu rol no permite sincronizar Jobs'}
+        </p>
       </div>
 
       {message && (
-        <div className={`message ${message.includes('Error') || message.includes('❌') ? 'error' : message.includes('✅') ? 'success' : 'info'}`}>
+        <div className={`message ${message.includes('Error') || message.includes('❌') ? 'error' : message.includes('✅') ? 'success' : message.includes('⚠️') ? 'warning' : 'info'}`}>
           {message}
         </div>
       )}
 
-      <div className="jobs-actions">
-        <button 
-          className="btn btn-secondary"
-          onClick={handleSelectAll}
-          disabled={loading || jobs.length === 0}
-        >
-          {selectedJobs.length === jobs.length ? 'Deseleccionar Todo' : 'Seleccionar Todo'}
-        </button>
+      {canSync && bulkRun?.unfinished && (
+        <div className={`bulk-sync ${bulkRun.active ? 'active' : 'stopped'}`}>
+          <div className="bulk-sync-summary">
+            <strong>
+              Sincronización masiva: {bulkRun.processed} de {bulkRun.total} Jobs
+              {bulkRun.failed.length > 0 && ` (${bulkRun.failed.length} con error)`}
+            </strong>
+            <span className="bulk-sync-status">{getBulkStatusText(bulkRun)}</span>
+          </div>
+          <progress className="bulk-sync-progress" value={bulkRun.processed} max={bulkRun.total} />
+          <div className="bulk-sync-actions">
+            {bulkRun.active ? (
+              <button className="btn btn-secondary" onClick={bulkSync.pause}>
+                Pausar
+              </button>
+            ) : (
+              <>
+                {!bulkRun.drivenElsewhere && (
+                  <button className="btn btn-primary" onClick={() => runBulkSync(bulkSync.resume)}>
+                    Reanudar
+                  </button>
+                )}
+                <button className="btn btn-secondary" onClick={bulkSync.discard}>
+                  Descartar
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+
+      {canSync && (
+        <div className="jobs-actions">
+          {realms.length > 1 && (
+            <label className="realm-picker">
+              Empresa de QuickBooks
+              <select
+                value={selectedRealm?.realmId || ''}
+                onChange={(e) => setTargetRealmId(e.target.value)}
+                disabled={syncLoading}
+              >
+                {realms.map(realm => (
+                  <option key={realm.realmId} value={realm.realmId}>
+                    {realmName(realm)}
+                    {realm.realmId === authStatus.quickbooks.defaultRealmId ? ' (predeterminada)' : ''}
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
+
+          <button 
+            className="btn btn-secondary"
+            onClick={handleSelectAll}
+            disabled={loading || jobs.length === 0}
+          >
+            {selectedJobs.length === jobs.length ? 'Deseleccionar Todo' : 'Seleccionar Todo'}
+          </button>
         
-        <button 
-          className="btn btn-primary"
-          onClick={handleSync}
-          disabled={syncLoading || selectedJobs.length === 0 || !authStatus?.quickbooks?.connected}
-        >
-          {syncLoading ? 'Sincronizando...' : `Sincronizar (${selectedJobs.length})`}
-        </button>
-      </div>
+          <button 
+            className="btn btn-primary"
+            onClick={handleSync}
+            disabled={syncLoading || selectedJobs.length === 0 || !authStatus?.quickbooks?.connected}
+          >
+            {syncLoading ? 'Sincronizando...' : `Sincronizar (${selectedJobs.length})`}
+          </button>
+
+          {syncLoading && queuePosition !== null && (
+            <>
+              <span className="queue-position">
+                En cola por límites de la API
+                {queuePosition > 0 && `: ${queuePosition} ${queuePosition === 1 ? 'solicitud' : 'solicitudes'} antes que la tuya`}
+              </span>
+              <button className="btn btn-secondary" onClick={cancelSync}>
+                Cancelar
+              </button>
+            </>
+          )}
+        </div>
+      )}
 
       {loading ? (
         <div className="jobs-loading">
@@ -155,9 +300,13 @@ const Jobs = () => {
             >
               <div className="job-header">
                 <h3>{job.title || `Job ${job.id}`}</h3>
-                <span className={`status-badge ${job.status}`}>
-                  {getStatusText(job.status)}
-                </span>
+                {job.syncStatus === 'syncing' ? (
+                  <span className="status-badge syncing">Sincronizando...</span>
+                ) : (
+                  <span className={`status-badge ${job.status}`}>
+                    {getStatusText(job.status)}
+                  </span>
+                )}
               </div>
               
               <div className="job-details">
@@ -166,14 +315,16 @@ const Jobs = () => {
                 <p><strong>Total:</strong> {formatCurrency(job.total_amount)}</p>
               </div>
               
-              <div className="job-selection">
-                <input 
-                  type="checkbox" 
-                  checked={selectedJobs.includes(job.id)}
-                  onChange={() => handleJobSelection(job.id)}
-                  onClick={(e) => e.stopPropagation()}
-                />
-              </div>
+              {canSync && (
+                <div className="job-selection">
+                  <input 
+                    type="checkbox" 
+                    checked={selectedJobs.includes(job.id)}
+                    onChange={() => handleJobSelection(job.id)}
+                    onClick={(e) => e.stopPropagation()}
+                  />
+                </div>
+              )}
             </div>
           ))}
         </div>
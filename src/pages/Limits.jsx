@@ -0,0 +1,168 @@
+import { useAuthStatus, useRateLimitMonitor } from '../hooks/useWorkSyncAPI';
+import './Limits.css';
+
+const PRIORITY_LABELS = {
+  interactive: 'interactivas',
+  background: 'en segundo plano',
+  bulk: 'masivas'
+};
+
+const formatDuration = (ms) => {
+  const seconds = Math.ceil(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  return seconds % 60 ? `${minutes}m ${seconds % 60}s` : `${minutes}m`;
+};
+
+const formatTime = (time) => new Date(time).toLocaleTimeString();
+
+const sum = (bins, field) => bins.reduce((total, bin) => total + bin[field], 0);
+
+const Timeline = ({ bins, costBased }) => {
+  const peak = Math.max(...bins.map(bin => bin.requests), 1);
+
+  return (
+    <div className="limits-timeline">
+      <div className="timeline-bars">
+        {bins.map(bin => (
+          <div
+            key={bin.start}
+            className="timeline-bin"
+            title={[
+              `${formatTime(bin.start)}: ${bin.requests} solicitudes`,
+              costBased && `${bin.points} puntos`,
+              bin.queued > 0 && `${bin.queued} en cola`,
+              bin.rateLimited > 0 && `${bin.rateLimited} × 429`
+            ].filter(Boolean).join(', ')}
+          >
+            <div className="timeline-bar" style={{ height: `${(bin.requests / peak) * 100}%` }}></div>
+            {bin.queued > 0 && <span className="timeline-mark queued"></span>}
+            {bin.rateLimited > 0 && <span className="timeline-mark rate-limited"></span>}
+          </div>
+        ))}
+      </div>
+      <div className="timeline-axis">
+        <span>{formatTime(bins[0].start)}</span>
+        <span>ahora</span>
+      </div>
+    </div>
+  );
+};
+
+const LimitCard = ({ bucket, title }) => {
+  const level = bucket.isLimited || bucket.isBlocked ? 'critical' : bucket.isWarning ? 'warning' : 'ok';
+  const rateLimited = sum(bucket.timeline, 'rateLimited');
+  const queuedByPriority = Object.keys(PRIORITY_LABELS)
+    .map(priority => [priority, bucket.queue.filter(entry => entry.priority === priority).length])
+    .filter(([, count]) => count > 0);
+
+  return (
+    <div className={`limits-card ${level}`}>
+      <div className="limits-card-header">
+        <h3>{title}</h3>
+        {bucket.isLimited && (
+          <span className="limits-badge critical">Limitado hasta {formatTime(bucket.resetTime)}</span>
+        )}
+      </div>
+
+      <div className="limits-gauge" role="meter" aria-valuemin={0} aria-valuemax={100} aria-valuenow={bucket.usage}>
+        <div className="limits-gauge-fill" style={{ width: `${Math.min(bucket.usage, 100)}%` }}></div>
+      </div>
+      <div className="limits-gauge-label">
+        {bucket.costBased
+          ? `${bucket.currentlyAvailable.toLocaleString()} / ${bucket.maximumAvailable.toLocaleString()} puntos disponibles (+${bucket.restoreRate}/s)`
+          : `${bucket.currentRequests} / ${bucket.maxRequests} solicitudes en la ventana actual`}
+        <span className="limits-usage">{bucket.usage}% usado</span>
+      </div>
+
+      <dl className="limits-facts">
+        <div>
+          <dt>{bucket.costBased && !bucket.isLimited ? 'Se llena en' : 'Se reinicia en'}</dt>
+          <dd>{bucket.timeUntilReset > 0 ? formatDuration(bucket.timeUntilReset) : '—'}</dd>
+        </div>
+        <div>
+          <dt>Se agota en</dt>
+          <dd className={bucket.exhaustsIn !== null ? 'warning' : ''}>
+            {bucket.exhaustsIn !== null ? `~${formatDuration(bucket.exhaustsIn)} a este ritmo` : 'No, a este ritmo'}
+          </dd>
+        </div>
+        <div>
+          <dt>En cola</dt>
+          <dd>
+            {bucket.queue.length === 0
+              ? 'Nada'
+              : queuedByPriority.map(([priority, count]) => `${count} ${PRIORITY_LABELS[priority]}`).join(', ')}
+          </dd>
+        </div>
+        <div>
+          <dt>429 (10 min)</dt>
+          <dd className={rateLimited > 0 ? 'critical' : ''}>{rateLimited}</dd>
+        </div>
+        {bucket.costBased && bucket.lastQueryCost !== null && (
+          <div>
+            <dt>Última consulta</dt>
+            <dd>{bucket.lastQueryCost} puntos</dd>
+          </div>
+        )}
+        {bucket.maxConcurrent > 0 && (
+          <div>
+            <dt>En curso</dt>
+            <dd>{bucket.concurrentRequests} / {bucket.maxConcurrent}</dd>
+          </div>
+        )}
+      </dl>
+
+      <Timeline bins={bucket.timeline} costBased={bucket.costBased} />
+    </div>
+  );
+};
+
+const Limits = () => {
+  const { authStatus } = useAuthStatus();
+  const realms = (authStatus?.quickbooks?.realms || []).filter(realm => realm.connected);
+  const buckets = useRateLimitMonitor(realms.map(realm => realm.realmId));
+
+  const titleFor = (bucket) => {
+    if (bucket.service === 'jobber') return 'Jobber';
+    if (!bucket.realmId) return 'QuickBooks · empresa predeterminada';
+    const realm = realms.find(candidate => candidate.realmId === bucket.realmId);
+    return `QuickBooks · ${realm?.companyName || `Empresa ${bucket.realmId}`}`;
+  };
+
+  const rateLimited = buckets.reduce((total, bucket) => total + sum(bucket.timeline, 'rateLimited'), 0);
+  const queued = buckets.reduce((total, bucket) => total + bucket.queue.length, 0);
+
+  return (
+    <div className="limits">
+      <div className="limits-header">
+        <h1>Límites de API</h1>
+        <p>Uso de las cuotas de Jobber y QuickBooks desde este navegador</p>
+      </div>
+
+      <div className="limits-summary">
+        <div className="limits-summary-item">
+          <span className="limits-summary-value">{queued}</span>
+          <span className="limits-summary-label">Solicitudes en cola</span>
+        </div>
+        <div className="limits-summary-item">
+          <span className={`limits-summary-value ${rateLimited > 0 ? 'critical' : ''}`}>{rateLimited}</span>
+          <span className="limits-summary-label">Respuestas 429 en 10 min</span>
+        </div>
+      </div>
+
+      <div className="limits-grid">
+        {buckets.map(bucket => (
+          <LimitCard key={`${bucket.service}:${bucket.realmId}`} bucket={bucket} title={titleFor(bucket)} />
+        ))}
+      </div>
+
+      <div className="limits-legend">
+        <span><span className="legend-swatch requests"></span> Solicitudes cada 15 s</span>
+        <span><span className="timeline-mark queued"></span> Solicitudes en cola</span>
+        <span><span className="timeline-mark rate-limited"></span> Respuestas 429</span>
+      </div>
+    </div>
+  );
+};
+
+export default Limits;
@@ -0,0 +1,81 @@
+import { useState } from 'react';
+import { Navigate, useLocation, useNavigate } from 'react-router-dom';
+import { useSession } from '../hooks/useSession';
+import { workSyncAPI } from '../services/api';
+import './Login.css';
+
+const Login = () => {
+  const { isAuthenticated, login } = useSession();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Back to the page that required sign-in, query included (e.g. a connect result)
+  const from = location.state?.from;
+  const redirectTo = from ? `${from.pathname}${from.search || ''}${from.hash || ''}` : '/';
+
+  if (isAuthenticated) {
+    return <Navigate to={redirectTo} replace />;
+  }
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      await login(email, password);
+      navigate(redirectTo, { replace: true });
+    } catch (err) {
+      // Prefer the backend's reason (e.g. invalid credentials) over the generic message
+      setError(err.originalError?.body?.message || err.message);
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="login">
+      <form className="login-card" onSubmit={handleSubmit}>
+        <h1>WorkSync</h1>
+        <p className="login-subtitle">Inicia sesión con tu cuenta de WorkSync</p>
+
+        {error && <div className="message error">{error}</div>}
+
+        <label htmlFor="login-email">Correo electrónico</label>
+        <input
+          id="login-email"
+          type="email"
+          autoComplete="username"
+          value={email}
+          onChange={(event) => setEmail(event.target.value)}
+          required
+        />
+
+        <label htmlFor="login-password">Contraseña</label>
+        <input
+          id="login-password"
+          type="password"
+          autoComplete="current-password"
+          value={password}
+          onChange={(event) => setPassword(event.target.value)}
+          required
+        />
+
+        <button type="submit" className="login-button" disabled={submitting}>
+          {submitting ? 'Iniciando sesión...' : 'Iniciar sesión'}
+        </button>
+
+        {workSyncAPI.enableMockMode && (
+          <p className="login-hint">
+            Modo demo: usa ana@worksync.example (administrador), luis@worksync.example (contador) o sofia@worksync.example (solo lectura) con la contraseña "demo".
+          </p>
+        )}
+      </form>
+    </div>
+  );
+};
+
+export default Login;
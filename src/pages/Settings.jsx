@@ -2,11 +2,18 @@ import { useState, useEffect } from 'react';
 import { useSearchParams } from 'react-router-dom';
 import AuthStatus from '../components/AuthStatus';
 import OAuthHandler from '../components/OAuthHandler';
+import FixtureTools from '../components/FixtureTools';
+import StorageDiagnostics from '../components/StorageDiagnostics';
+import { useSession } from '../hooks/useSession';
+import { PERMISSIONS } from '../services/permissions';
+import { workSyncAPI } from '../services/api';
 import './Settings.css';
 
 const Settings = ({ onAuthStatusChange }) => {
   const [searchParams] = useSearchParams();
   const [shouldShowOAuth, setShouldShowOAuth] = useState(false);
+  const { can } = useSession();
+  const { backend, encryption } = workSyncAPI.getTokenStorageInfo();
 
   useEffect(() => {
     // Check if we have OAuth callback parameters
@@ -34,7 +41,7 @@ const Settings = ({ onAuthStatusChange }) => {
         <p>Gestiona las conexiones con Jobber y QuickBooks</p>
       </div>
 
-      <AuthStatus userId="default-user" />
+      <AuthStatus />
 
       <div className="settings-grid">
         {/* Información adicional */}
@@ -43,7 +50,16 @@ const Settings = ({ onAuthStatusChange }) => {
           <div className="info-content">
             <div className="info-item">
               <h4>🔐 Seguridad</h4>
-              <p>Los tokens de acceso se almacenan de forma segura y se refrescan automáticamente cuando expiran.</p>
+              <p>
+                {backend === 'backend'
+                  ? 'Los tokens de acceso los guarda el servidor de WorkSync; este navegador solo conserva una referencia de sesión'
+                  : backend === 'memory' || encryption === 'memory'
+                    ? 'Los tokens de acceso solo se conservan en memoria mientras la pestaña esté abierta'
+                    : encryption === 'aes-gcm'
+                      ? 'Los tokens de acceso se guardan cifrados (AES-GCM) con una clave que no sale de este navegador'
+                      : 'Los tokens de acceso se guardan sin cifrar en este navegador'}
+                {' '}y se refrescan automáticamente cuando expiran.
+              </p>
             </div>
             
             <div className="info-item">
@@ -62,6 +78,9 @@ const Settings = ({ onAuthStatusChange }) => {
             </div>
           </div>
         </div>
+
+        {can(PERMISSIONS.USE_DIAGNOSTICS) && <FixtureTools />}
+        {can(PERMISSIONS.USE_DIAGNOSTICS) && <StorageDiagnostics />}
       </div>
     </div>
   );
@@ -1,55 +1,151 @@
 import { tokenStorage } from './tokenStorage.js';
 import { errorHandler } from './errorHandler.js';
+import { idempotencyStore } from './idempotencyStore.js';
+import { createDefaultInterceptors } from './interceptors.js';
+import { SCHEMAS } from './responseSchemas.js';
+import { fakeBackend } from './fakeBackend.js';
+import { eventBus } from './event_bus_manager.js';
+import { sessionService } from './sessionService.js';
+import { crossTabSync } from './crossTabSync.js';
+import { rateLimiter } from './rate_limiter_service.js';
+import {
+  HttpFixtureRecorder,
+  createRecordingTransport,
+  createReplayTransport,
+  parseFixture
+} from './httpFixtures.js';
 
 class WorkSyncAPI {
   constructor() {
     this.baseUrl = import.meta.env.VITE_API_URL || 'https://worksync-integration-handler-625943711296.europe-west1.run.app';
     this.enableMockMode = import.meta.env.VITE_ENABLE_MOCK_MODE === 'true';
     this.debugLogging = import.meta.env.VITE_ENABLE_DEBUG_LOGGING === 'true';
-    this.defaultUserId = import.meta.env.VITE_DEFAULT_USER_ID || 'default-user';
+    this.defaultTimeout = parseInt(import.meta.env.VITE_API_TIMEOUT) || 15000;
+
+    // Per-endpoint timeouts (ms), first matching prefix wins
+    this.endpointTimeouts = [
+      { prefix: '/health', timeout: 5000 },
+      { prefix: '/auth/status', timeout: 10000 },
+      { prefix: '/sync/stats', timeout: 15000 },
+      { prefix: '/sync/', timeout: 60000 },
+      { prefix: '/jobs', timeout: 20000 }
+    ];
+
+    // Backend endpoints that act on a provider with the user's stored token;
+    // a 401 from them means that token was rejected (see getRejectedTokenOwner)
+    // and they count against the provider's API limits (see getRateLimitScope)
+    this.providerScopedEndpoints = [
+      { prefix: '/jobs', provider: 'jobber' },
+      { prefix: '/sync/job', provider: 'quickbooks' },
+      { prefix: '/sync/multiple', provider: 'quickbooks' },
+      { prefix: '/sync/pending', provider: 'quickbooks' }
+    ];
+
+    // Token refreshes in flight, keyed by token key (see refreshToken)
+    this.tokenRefreshes = new Map();
+    
+    // fetch()-compatible transport; mock mode talks to the in-browser fake backend
+    this.baseTransport = this.enableMockMode
+      ? (url, init) => fakeBackend.fetch(url, init)
+      : (url, init) => fetch(url, init);
+    this.transport = this.baseTransport;
+
+    // Record/replay of HTTP fixtures (see httpFixtures.js)
+    this.fixtureStorageKey = 'worksync_replay_fixture';
+    this.fixtureMode = null;
+    this.recorder = null;
+    this.replayFixture = null;
+    this.restoreReplay();
+
+    // Request/response/error pipeline for cross-cutting concerns
+    this.interceptors = [];
+    createDefaultInterceptors(this).forEach(interceptor => this.use(interceptor));
+
+    // Open circuits are probed through the health endpoint
+    errorHandler.setCircuitProbe(() => this.getHealthStatus({ skipCircuitBreaker: true }));
     
-    this.log('WorkSyncAPI initialized with baseUrl:', this.baseUrl);
+    this.log('WorkSyncAPI initialized with baseUrl:', this.baseUrl, this.enableMockMode ? '(fake backend)' : '');
   }
 
   async request(endpoint, options = {}) {
+    const {
+      signal,
+      timeout,
+      skipCircuitBreaker = false,
+      schema = null,
+      realmId = null,
+      recoverAuth = true,
+      priority = 'interactive',
+      deadline = null,
+      onQueuePosition = null,
+      ...fetchOptions
+    } = options;
     const url = `${this.baseUrl}${endpoint}`;
+
+    // Shared with every interceptor (see interceptors.js)
     const context = {
       url,
       endpoint,
-      method: options.method || 'GET',
-      provider: this.detectProviderFromEndpoint(endpoint)
+      method: fetchOptions.method || 'GET',
+      provider: this.resolveProvider(endpoint),
+      // QuickBooks company the call targets, if any
+      realmId,
+      rateLimitScope: this.getRateLimitScope(endpoint, realmId),
+      // How to wait when provider limits queue the call (see RateLimiter.queueRequest)
+      queueOptions: { priority, deadline, onQueuePosition },
+      idempotencyKey: fetchOptions.headers?.['Idempotency-Key'] || null,
+      skipCircuitBreaker,
+      schema,
+      config: {
+        ...fetchOptions,
+        headers: {
+          'Content-Type': 'application/json',
+          ...fetchOptions.headers,
+        },
+      },
+      response: null,
+      data: undefined,
+      cancelled: false,
+      startTime: Date.now()
     };
 
-    // Check rate limiting before making request
-    if (context.provider && errorHandler.isRateLimited(context.provider)) {
-      const rateLimitStatus = errorHandler.getRateLimitStatus(context.provider);
-      throw new Error(`Rate limited for ${context.provider}. Reset at: ${rateLimitStatus.resetTime}`);
+    if (signal?.aborted) {
+      throw this.createAbortError(endpoint);
     }
 
-    const config = {
-      headers: {
-        'Content-Type': 'application/json',
-        ...options.headers,
-      },
-      ...options,
-    };
-
-    this.log('Making request to:', url, 'with method:', config.method || 'GET');
+    // Combine the caller's signal with the endpoint timeout
+    const timeoutMs = timeout ?? this.getTimeoutForEndpoint(endpoint);
+    const controller = new AbortController();
+    let timedOut = false;
+    let timeoutId = null;
+    const abortFromCaller = () => controller.abort();
+    signal?.addEventListener('abort', abortFromCaller, { once: true });
+    context.config.signal = controller.signal;
 
     try {
-      const response = await fetch(url, config);
-      
-      // Update rate limit status from response headers
-      this.updateRateLimitFromResponse(response, context.provider);
+      await this.runInterceptors('request', context);
+
+      // The timeout covers the call itself; waiting for a rate limit slot has its own deadline
+      timeoutId = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeoutMs);
+
+      const response = await this.transport(context.url, context.config);
+      context.response = response;
       
-      let data;
       try {
-        data = await response.json();
-      } catch (parseError) {
-        data = { message: 'Invalid JSON response' };
+        context.data = await response.json();
+      } catch (error) {
+        // A timeout or cancel while reading the body is not a parse failure
+        if (error.name === 'AbortError') throw error;
+        context.data = { message: 'Invalid JSON response' };
       }
+
+      await this.runInterceptors('response', context);
       
       if (!response.ok) {
+        const data = context.data || {};
         const error = new Error(data.message || `HTTP ${response.status}: ${response.statusText}`);
         error.status = response.status;
         error.statusText = response.statusText;
@@ -57,95 +153,285 @@ class WorkSyncAPI {
         error.body = data;
         throw error;
       }
+
+      return context.data;
       
-      this.log('Request successful:', endpoint);
-      return data;
-      
-    } catch (error) {
-      this.log('Request failed:', endpoint, error.message);
-      
-      // Use error handler for comprehensive error handling
-      const errorResult = await errorHandler.handleError(error, context);
-      
-      // Return mock data if backend is not available and mock mode is enabled
-      if (this.enableMockMode && (error.name === 'TypeError' && error.message.includes('fetch'))) {
-        console.warn('Backend not available, returning mock data for:', endpoint);
-        return this.getMockData(endpoint);
+    } catch (caughtError) {
+      let error = caughtError;
+
+      if (error.name === 'AbortError') {
+        // Cancelled by the caller: nothing to handle or retry
+        if (!timedOut) {
+          context.cancelled = true;
+          await this.runErrorInterceptors(error, context);
+          throw error;
+        }
+        error = this.createTimeoutError(endpoint, timeoutMs);
+      }
+
+      // An error interceptor may recover with data
+      const recovery = await this.runErrorInterceptors(error, context);
+      if (recovery.recovered) {
+        return recovery.data;
       }
+      error = recovery.error;
       
-      // If error handler suggests retry, throw original error for retry logic
-      if (errorResult.shouldRetry) {
-        throw error;
+      // A rejected provider token is refreshed once (see ErrorHandlerService.handleAuthError)
+      const tokenOwner = this.getRejectedTokenOwner(error, context);
+      const canRefresh = Boolean(tokenOwner) && recoverAuth;
+      
+      // Use error handler for comprehensive error handling (retries happen in requestWithRetry)
+      const errorResult = await errorHandler.handleError(error, {
+        ...context,
+        ...(canRefresh && {
+          refreshToken: () => this.refreshToken(tokenOwner.provider, null, { realmId: tokenOwner.realmId })
+        })
+      });
+
+      // Replay the original request once with the refreshed token
+      if (canRefresh && errorResult.shouldRetry) {
+        this.log(`Replaying ${endpoint} with a refreshed ${tokenOwner.provider} token`);
+        return this.request(endpoint, { ...options, recoverAuth: false });
       }
       
       // Throw enhanced error with user-friendly message
-      throw errorHandler.createEnhancedError(error, errorResult);
+      const enhancedError = errorHandler.createEnhancedError(error, errorResult);
+      if (tokenOwner && errorResult.requiresReauth) {
+        this.promptReauth(enhancedError, tokenOwner);
+      }
+      throw enhancedError;
+    } finally {
+      clearTimeout(timeoutId);
+      signal?.removeEventListener('abort', abortFromCaller);
     }
   }
 
-  getMockData(endpoint) {
-    if (endpoint.includes('/auth/status')) {
-      return {
-        success: true,
-        jobber: {
-          connected: false,
-          authenticated: false,
-          lastSync: null,
-          expiresAt: null,
-          expired: false,
-          error: null
-        },
-        quickbooks: {
-          connected: false,
-          authenticated: false,
-          lastSync: null,
-          expiresAt: null,
-          expired: false,
-          companyId: null,
-          error: null
-        }
-      };
+  /**
+   * Provider (and QuickBooks company) whose stored token a 401 rejected, or
+   * null when the 401 is about something else, e.g. the WorkSync session
+   */
+  getRejectedTokenOwner(error, context) {
+    if (parseInt(error.status) !== 401) return null;
+
+    const path = context.endpoint.split('?')[0];
+    if (path.startsWith('/auth/') || path.startsWith('/session/')) return null;
+
+    // The backend may name the provider whose token it could not use
+    const provider = error.body?.provider || context.provider;
+    if (!provider) return null;
+
+    return {
+      provider,
+      realmId: provider === 'quickbooks' ? error.body?.realmId || context.realmId : null
+    };
+  }
+
+  /**
+   * Refreshing failed: tell the UI to ask the user to reconnect the provider
+   */
+  promptReauth(error, { provider, realmId }) {
+    const name = { jobber: 'Jobber', quickbooks: 'QuickBooks' }[provider] || provider;
+    error.message = `${name} rejected the stored token. Reconnect ${name} to continue.`;
+    error.userMessage = error.message;
+    error.provider = provider;
+    error.realmId = realmId;
+    error.reauthPath = this.getConnectPath(provider, realmId);
+
+    eventBus.emit('reauth_required', {
+      provider,
+      realmId,
+      path: error.reauthPath,
+      message: error.techMessage || error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * In-app link to the Settings card where a provider is (re)connected
+   */
+  getConnectPath(provider, realmId = null) {
+    const params = new URLSearchParams({ connect: provider, ...(realmId && { realmId }) });
+    return `/settings?${params}`;
+  }
+
+  /**
+   * Register an interceptor (see interceptors.js for the shape).
+   * Returns a function that removes it again.
+   */
+  use(interceptor, { prepend = false } = {}) {
+    if (prepend) {
+      this.interceptors.unshift(interceptor);
+    } else {
+      this.interceptors.push(interceptor);
     }
-    
-    if (endpoint.includes('/sync/stats')) {
-      return {
-        success: true,
-        stats: {
-          totalSyncs: 0,
-          successfulSyncs: 0,
-          failedSyncs: 0,
-          pendingSyncs: 0,
-          syncsLast24h: 0,
-          syncsLast7days: 0,
-          lastSyncTime: null
+
+    return () => this.eject(interceptor);
+  }
+
+  /**
+   * Remove an interceptor by reference or name
+   */
+  eject(interceptorOrName) {
+    this.interceptors = this.interceptors.filter(interceptor => (
+      interceptor !== interceptorOrName && interceptor.name !== interceptorOrName
+    ));
+  }
+
+  /**
+   * Run the request or response hook of every interceptor in order
+   */
+  async runInterceptors(phase, context) {
+    for (const interceptor of this.interceptors) {
+      if (typeof interceptor[phase] === 'function') {
+        await interceptor[phase](context);
+      }
+    }
+  }
+
+  /**
+   * Run error hooks in order until one recovers; a throwing hook replaces the error
+   */
+  async runErrorInterceptors(error, context) {
+    let currentError = error;
+
+    for (const interceptor of this.interceptors) {
+      if (typeof interceptor.error !== 'function') continue;
+
+      try {
+        const result = await interceptor.error(currentError, context);
+        if (result !== undefined && !context.cancelled) {
+          return { recovered: true, data: result };
         }
-      };
+      } catch (interceptorError) {
+        currentError = interceptorError;
+      }
     }
-    
-    if (endpoint.includes('/jobs')) {
-      return {
-        success: true,
-        jobs: [],
-        pagination: {
-          page: 1,
-          perPage: 50,
-          totalPages: 1,
-          hasNext: false,
-          hasPrevious: false
-        },
-        total: 0
-      };
+
+    return { recovered: false, error: currentError };
+  }
+
+  /**
+   * Resolve the default timeout for an endpoint
+   */
+  getTimeoutForEndpoint(endpoint) {
+    const path = endpoint.split('?')[0];
+    const match = this.endpointTimeouts.find(({ prefix }) => path.startsWith(prefix));
+    return match ? match.timeout : this.defaultTimeout;
+  }
+
+  /**
+   * Create the error thrown when a request exceeds its timeout
+   */
+  createTimeoutError(endpoint, timeoutMs) {
+    const error = new Error(`Request to ${endpoint} timed out after ${timeoutMs}ms`);
+    error.name = 'TimeoutError';
+    error.isTimeout = true;
+    error.timeout = timeoutMs;
+    return error;
+  }
+
+  /**
+   * Create the error thrown when a request is cancelled before it starts
+   */
+  createAbortError(endpoint) {
+    const error = new Error(`Request to ${endpoint} was cancelled`);
+    error.name = 'AbortError';
+    return error;
+  }
+
+  /**
+   * Start capturing redacted request/response pairs
+   */
+  startRecording() {
+    this.stopReplay();
+    this.recorder = new HttpFixtureRecorder({
+      onRecord: () => this.emitFixtureStatus()
+    });
+    this.transport = createRecordingTransport(this.baseTransport, this.recorder);
+    this.fixtureMode = 'record';
+    this.log('Recording HTTP fixture');
+    this.emitFixtureStatus();
+  }
+
+  /**
+   * Stop recording and return the captured fixture
+   */
+  stopRecording() {
+    if (this.fixtureMode !== 'record') return null;
+
+    const fixture = this.recorder.toFixture();
+    this.recorder = null;
+    this.transport = this.baseTransport;
+    this.fixtureMode = null;
+    this.log(`Recorded ${fixture.entries.length} responses`);
+    this.emitFixtureStatus();
+    return fixture;
+  }
+
+  /**
+   * Serve every response from a fixture. The fixture is kept in
+   * localStorage so replay survives reloads until stopReplay().
+   */
+  startReplay(fixtureOrText) {
+    const fixture = parseFixture(fixtureOrText);
+
+    this.stopRecording();
+    this.replayFixture = fixture;
+    this.transport = createReplayTransport(fixture);
+    this.fixtureMode = 'replay';
+
+    try {
+      localStorage.setItem(this.fixtureStorageKey, JSON.stringify(fixture));
+    } catch (error) {
+      console.error('Failed to store replay fixture:', error);
     }
 
-    if (endpoint.includes('/health')) {
-      return {
-        success: true,
-        status: 'Mock Mode - Backend not available',
-        timestamp: new Date().toISOString()
-      };
+    this.log(`Replaying fixture recorded at ${fixture.recordedAt} (${fixture.entries.length} responses)`);
+    this.emitFixtureStatus();
+  }
+
+  /**
+   * Go back to the live (or fake) backend
+   */
+  stopReplay() {
+    if (this.fixtureMode !== 'replay') return;
+
+    localStorage.removeItem(this.fixtureStorageKey);
+    this.replayFixture = null;
+    this.transport = this.baseTransport;
+    this.fixtureMode = null;
+    this.emitFixtureStatus();
+  }
+
+  /**
+   * Resume a replay started before the page was reloaded
+   */
+  restoreReplay() {
+    try {
+      const stored = localStorage.getItem(this.fixtureStorageKey);
+      if (stored) {
+        this.startReplay(stored);
+      }
+    } catch (error) {
+      console.error('Discarding unreadable replay fixture:', error);
+      localStorage.removeItem(this.fixtureStorageKey);
     }
-    
-    return { success: false, message: 'Backend not available - showing mock data' };
+  }
+
+  /**
+   * Current record/replay state for the UI
+   */
+  getFixtureStatus() {
+    return {
+      mode: this.fixtureMode,
+      recordedCount: this.recorder ? this.recorder.entries.length : 0,
+      replayRecordedAt: this.replayFixture?.recordedAt || null,
+      replayCount: this.replayFixture ? this.replayFixture.entries.length : 0
+    };
+  }
+
+  emitFixtureStatus() {
+    eventBus.emit('http_fixture_changed', this.getFixtureStatus());
   }
 
   /**
@@ -158,32 +444,70 @@ class WorkSyncAPI {
   }
 
   /**
-   * Update rate limit status from response headers
+   * Provider a call reaches: the provider-scoped endpoint's (so the circuit
+   * breaker and the rate limiter agree), else one named in the path
    */
-  updateRateLimitFromResponse(response, provider) {
-    if (!provider) return;
+  resolveProvider(endpoint) {
+    return this.getScopedProvider(endpoint) || this.detectProviderFromEndpoint(endpoint);
+  }
+
+  /**
+   * Provider of a provider-scoped endpoint (see providerScopedEndpoints), or null
+   */
+  getScopedProvider(endpoint) {
+    const path = endpoint.split('?')[0];
+    return this.providerScopedEndpoints.find(({ prefix }) => path.startsWith(prefix))?.provider || null;
+  }
+
+  /**
+   * Limiter bucket a call counts against, or null for calls that don't reach
+   * a provider's API. realmId is the company the call acts for: QuickBooks
+   * limits apply per company, and calls for different companies sharing a
+   * Jobber account take turns in its queue. The operation lets Jobber query
+   * costs be estimated from earlier responses.
+   */
+  getRateLimitScope(endpoint, realmId = null) {
+    const service = this.getScopedProvider(endpoint);
+    if (!service) return null;
+
+    return { service, realmId, operation: endpoint.split('?')[0] };
+  }
+
+  /**
+   * Update rate limit status from response headers and, for Jobber, the
+   * GraphQL query cost the backend passes through in extensions.cost
+   */
+  updateRateLimitFromResponse(response, scope, data = null) {
+    if (!scope) return;
 
     // Check for standard rate limit headers
     const remaining = response.headers.get('x-ratelimit-remaining');
     const reset = response.headers.get('x-ratelimit-reset');
     
     if (remaining !== null && reset !== null) {
-      errorHandler.rateLimitStatus[provider] = {
+      rateLimiter.reconcile(scope.service, scope.realmId, {
         remaining: parseInt(remaining),
         resetTime: new Date(parseInt(reset) * 1000)
-      };
+      });
+    }
+
+    if (data?.extensions?.cost) {
+      rateLimiter.updateQueryCost(scope.service, data.extensions.cost, { realmId: scope.realmId, operation: scope.operation });
     }
   }
 
   /**
-   * Enhanced request with retry logic
+   * Enhanced request with retry logic (see errorHandler.retryPolicies)
    */
   async requestWithRetry(endpoint, options = {}) {
     const retryableRequest = errorHandler.withRetry(
       this.request.bind(this),
       { 
         endpoint,
-        provider: this.detectProviderFromEndpoint(endpoint)
+        method: options.method || 'GET',
+        provider: this.resolveProvider(endpoint),
+        idempotencyKey: options.headers?.['Idempotency-Key'] || null,
+        signal: options.signal
       }
     );
     
@@ -199,26 +523,72 @@ class WorkSyncAPI {
     }
   }
 
+  /**
+   * User ID for a call: an explicit one, otherwise the signed-in user
+   */
+  resolveUserId(userId = null) {
+    const actualUserId = userId || sessionService.getUserId();
+    if (!actualUserId) {
+      const error = new Error('Sign in to WorkSync to continue');
+      error.name = 'SessionRequiredError';
+      error.code = 'SESSION_REQUIRED';
+      throw error;
+    }
+    return actualUserId;
+  }
+
+  // Session methods
+  async login(email, password, options = {}) {
+    const result = await this.request('/session/login', {
+      schema: SCHEMAS.session,
+      ...options,
+      method: 'POST',
+      body: JSON.stringify({ email, password }),
+    });
+
+    sessionService.setSession({
+      user: result.user,
+      workspaces: result.workspaces,
+      sessionToken: result.sessionToken,
+      expiresAt: result.expiresAt
+    });
+    this.log(`Signed in as ${result.user.id}`);
+    return result.user;
+  }
+
+  async logout(options = {}) {
+    try {
+      await this.request('/session/logout', { ...options, method: 'POST' });
+    } catch (error) {
+      // The local session ends regardless
+      this.log('Backend sign-out failed:', error.message);
+    } finally {
+      sessionService.clear();
+    }
+  }
+
   // Health Check methods
-  async checkHealth() {
-    return this.request('/');
+  async checkHealth(options = {}) {
+    return this.request('/', options);
   }
 
-  async getHealthStatus() {
-    return this.request('/health');
+  async getHealthStatus(options = {}) {
+    return this.request('/health', { schema: SCHEMAS.health, ...options });
   }
 
   // Auth methods with token storage integration
-  async getAuthStatus(userId = null) {
-    const actualUserId = userId || this.defaultUserId;
+  async getAuthStatus(userId = null, options = {}) {
+    const actualUserId = this.resolveUserId(userId);
     
     try {
       // Get status from backend
-      const backendStatus = await this.requestWithRetry(`/auth/status?userId=${actualUserId}`);
+      const backendStatus = await this.requestWithRetry(`/auth/status?userId=${actualUserId}`, {
+        schema: SCHEMAS.authStatus,
+        ...options
+      });
       
       // Enhance with local token storage status
       const jobberToken = tokenStorage.getTokenStatus('jobber');
-      const quickbooksToken = tokenStorage.getTokenStatus('quickbooks');
       
       return {
         success: true,
@@ -227,66 +597,149 @@ class WorkSyncAPI {
           ...jobberToken,
           tokenInStorage: jobberToken.connected
         },
-        quickbooks: {
-          ...backendStatus.quickbooks,
-          ...quickbooksToken,
-          tokenInStorage: quickbooksToken.connected
-        }
+        quickbooks: this.mergeQuickBooksStatus(backendStatus.quickbooks)
       };
     } catch (error) {
+      if (error.name === 'AbortError') throw error;
+
       this.log('Failed to get auth status from backend, using local token storage only');
       
       // Fallback to local token storage only
       const jobberToken = tokenStorage.getTokenStatus('jobber');
-      const quickbooksToken = tokenStorage.getTokenStatus('quickbooks');
+      const storedRealmIds = this.getStoredRealmIds();
       
       return {
         success: false,
         fallbackMode: true,
         jobber: jobberToken,
-        quickbooks: quickbooksToken
+        quickbooks: storedRealmIds.length
+          ? this.mergeQuickBooksStatus({ realms: storedRealmIds.map(realmId => ({ realmId, connected: true })) })
+          : tokenStorage.getTokenStatus('quickbooks')
       };
     }
   }
 
-  async getJobberAuthUrl(userId = null) {
-    const actualUserId = userId || this.defaultUserId;
-    return this.requestWithRetry(`/auth/jobber?userId=${actualUserId}`);
+  /**
+   * QuickBooks status with one entry per connected company (realm), each
+   * merged with its stored token. Backends that predate realms report a
+   * single companyId, which becomes the only realm.
+   */
+  mergeQuickBooksStatus(backendStatus = {}) {
+    const backendRealms = backendStatus.realms || (backendStatus.companyId
+      ? [{ realmId: backendStatus.companyId, connected: backendStatus.connected, lastSync: backendStatus.lastSync }]
+      : []);
+
+    const tokenStatusFor = (realmId) => {
+      const status = tokenStorage.getTokenStatus(tokenStorage.getTokenKey('quickbooks', realmId));
+      // Tokens stored before realms were tracked belong to the only company
+      return status.connected || backendRealms.length !== 1 ? status : tokenStorage.getTokenStatus('quickbooks');
+    };
+
+    const realms = backendRealms.map(realm => {
+      const token = tokenStatusFor(realm.realmId);
+      return { ...realm, ...token, tokenInStorage: token.connected };
+    });
+    const connectedRealms = realms.filter(realm => realm.connected);
+    const requestedDefault = backendStatus.defaultRealmId || backendStatus.companyId;
+    const defaultRealm = connectedRealms.find(realm => realm.realmId === requestedDefault) || connectedRealms[0] || null;
+
+    return {
+      ...backendStatus,
+      connected: connectedRealms.length > 0,
+      authenticated: connectedRealms.some(realm => realm.authenticated),
+      expired: defaultRealm?.expired || false,
+      needsRefresh: connectedRealms.some(realm => realm.needsRefresh),
+      expiresAt: defaultRealm?.expiresAt || null,
+      tokenInStorage: connectedRealms.some(realm => realm.tokenInStorage),
+      companyId: defaultRealm?.realmId || null,
+      defaultRealmId: defaultRealm?.realmId || null,
+      realms
+    };
   }
 
-  async getQuickBooksAuthUrl(userId = null) {
-    const actualUserId = userId || this.defaultUserId;
-    return this.requestWithRetry(`/auth/quickbooks?userId=${actualUserId}`);
+  /**
+   * Realm IDs of the QuickBooks companies with a stored token
+   */
+  getStoredRealmIds() {
+    return Object.keys(tokenStorage.getAllTokens())
+      .filter(key => key.startsWith('quickbooks:'))
+      .map(key => key.slice('quickbooks:'.length));
+  }
+
+  async getJobberAuthUrl(userId = null, options = {}) {
+    const actualUserId = this.resolveUserId(userId);
+    return this.requestWithRetry(`/auth/jobber?userId=${actualUserId}`, { schema: SCHEMAS.authUrl, ...options });
+  }
+
+  async getQuickBooksAuthUrl(userId = null, options = {}) {
+    const actualUserId = this.resolveUserId(userId);
+    return this.requestWithRetry(`/auth/quickbooks?userId=${actualUserId}`, { schema: SCHEMAS.authUrl, ...options });
   }
 
-  async disconnectProvider(provider, userId = null) {
-    const actualUserId = userId || this.defaultUserId;
+  /**
+   * Disconnect a provider. For QuickBooks, options.realmId disconnects a
+   * single company; without it every company is disconnected.
+   */
+  async disconnectProvider(provider, userId = null, { realmId = null, ...options } = {}) {
+    const actualUserId = this.resolveUserId(userId);
     
     try {
       // Disconnect from backend
       const result = await this.requestWithRetry('/auth/disconnect', {
+        schema: SCHEMAS.disconnect,
+        ...options,
         method: 'POST',
-        body: JSON.stringify({ provider, userId: actualUserId }),
+        body: JSON.stringify({ provider, userId: actualUserId, ...(realmId && { realmId }) }),
       });
       
       // Remove token from local storage
-      tokenStorage.removeToken(provider);
+      this.removeProviderTokens(provider, realmId);
       
-      this.log(`Successfully disconnected ${provider} for user ${actualUserId}`);
+      this.log(`Successfully disconnected ${provider}${realmId ? ` (${realmId})` : ''} for user ${actualUserId}`);
       return result;
     } catch (error) {
       // Even if backend fails, remove local token
-      tokenStorage.removeToken(provider);
+      this.removeProviderTokens(provider, realmId);
       this.log(`Removed local token for ${provider}, backend disconnect may have failed`);
       throw error;
     }
   }
 
+  /**
+   * Remove the stored token of one QuickBooks company, or every token of a provider
+   */
+  removeProviderTokens(provider, realmId = null) {
+    if (realmId) {
+      tokenStorage.removeToken(tokenStorage.getTokenKey(provider, realmId));
+      return;
+    }
+
+    tokenStorage.removeToken(provider);
+    if (provider === 'quickbooks') {
+      this.getStoredRealmIds().forEach(storedRealmId => (
+        tokenStorage.removeToken(tokenStorage.getTokenKey(provider, storedRealmId))
+      ));
+    }
+  }
+
+  /**
+   * Choose the QuickBooks company that syncs from a Jobber account target by default
+   */
+  async setDefaultRealm(realmId, jobberAccountId = null, userId = null, options = {}) {
+    const actualUserId = this.resolveUserId(userId);
+    return this.requestWithRetry('/auth/quickbooks/default', {
+      schema: SCHEMAS.defaultRealm,
+      ...options,
+      method: 'POST',
+      body: JSON.stringify({ realmId, jobberAccountId, userId: actualUserId }),
+    });
+  }
+
   /**
    * Store OAuth token after successful authentication
    */
-  async storeAuthToken(provider, tokenData, userId = null) {
-    const actualUserId = userId || this.defaultUserId;
+  async storeAuthToken(provider, tokenData, userId = null, realmId = null) {
+    const actualUserId = this.resolveUserId(userId);
     
     // Validate token data
     const validation = tokenStorage.validateToken(tokenData);
@@ -295,8 +748,9 @@ class WorkSyncAPI {
     }
     
     // Store token with additional metadata
-    const success = tokenStorage.storeToken(provider, {
+    const success = tokenStorage.storeToken(tokenStorage.getTokenKey(provider, realmId), {
       ...tokenData,
+      ...(realmId && { realmId }),
       userId: actualUserId,
       source: 'oauth_callback'
     });
@@ -306,46 +760,88 @@ class WorkSyncAPI {
     }
     
     this.log(`Token stored successfully for ${provider}`);
-    return { success: true, provider, userId: actualUserId };
+    return { success: true, provider, realmId, userId: actualUserId };
   }
 
   /**
-   * Refresh OAuth token
+   * Refresh OAuth token (options.realmId selects a QuickBooks company).
+   * Concurrent calls for the same token share one refresh, and a cross-tab
+   * lock keeps other tabs from refreshing it at the same time.
    */
-  async refreshToken(provider, userId = null) {
-    const actualUserId = userId || this.defaultUserId;
-    const tokenInfo = tokenStorage.getToken(provider);
+  refreshToken(provider, userId = null, options = {}) {
+    const tokenKey = tokenStorage.getTokenKey(provider, options.realmId);
+    if (!this.tokenRefreshes.has(tokenKey)) {
+      const refresh = this.refreshTokenExclusively(provider, userId, options)
+        .finally(() => this.tokenRefreshes.delete(tokenKey));
+      this.tokenRefreshes.set(tokenKey, refresh);
+    }
+    return this.tokenRefreshes.get(tokenKey);
+  }
+
+  async refreshTokenExclusively(provider, userId, options) {
+    const tokenKey = tokenStorage.getTokenKey(provider, options.realmId);
+    const previous = tokenStorage.getAllTokens()[tokenKey];
+
+    return crossTabSync.withLock(`token_refresh:${tokenStorage.storageKey}:${tokenKey}`, async () => {
+      // Another tab may have refreshed the token while this one waited
+      await tokenStorage.reload();
+      const current = tokenStorage.getAllTokens()[tokenKey];
+      if (current && previous && current.storedAt !== previous.storedAt) {
+        this.log(`Token for ${tokenKey} was refreshed by another tab`);
+        return current;
+      }
+
+      return this.performTokenRefresh(provider, userId, options);
+    });
+  }
+
+  async performTokenRefresh(provider, userId = null, { realmId = null, ...options } = {}) {
+    const actualUserId = this.resolveUserId(userId);
+    const tokenKey = tokenStorage.getTokenKey(provider, realmId);
+    const tokenInfo = tokenStorage.getToken(tokenKey);
     
-    if (!tokenInfo || !tokenInfo.refreshToken) {
+    // Backend-held storage only has the backend's reference to the token
+    if (!tokenInfo || !(tokenInfo.refreshToken || tokenInfo.tokenRef)) {
       throw new Error(`No refresh token available for provider: ${provider}`);
     }
     
     try {
       const refreshResult = await this.requestWithRetry('/auth/refresh', {
+        schema: SCHEMAS.tokenRefresh,
+        ...options,
         method: 'POST',
         body: JSON.stringify({
           provider,
-          refreshToken: tokenInfo.refreshToken,
-          userId: actualUserId
+          ...(tokenInfo.refreshToken ? { refreshToken: tokenInfo.refreshToken } : { tokenRef: tokenInfo.tokenRef }),
+          userId: actualUserId,
+          ...(realmId && { realmId })
         }),
       });
       
       if (refreshResult.success && refreshResult.tokenData) {
-        tokenStorage.storeToken(provider, refreshResult.tokenData);
+        tokenStorage.storeToken(tokenKey, { ...refreshResult.tokenData, ...(realmId && { realmId }) });
         this.log(`Token refreshed successfully for ${provider}`);
         return refreshResult.tokenData;
       } else {
-        throw new Error('Token refresh failed');
+        const failure = new Error('Token refresh failed');
+        failure.requiresReauth = true;
+        throw failure;
       }
     } catch (error) {
+      if (error.name === 'AbortError') throw error;
+
       this.log(`Token refresh failed for ${provider}:`, error.message);
-      tokenStorage.removeToken(provider);
+      // Only a rejected refresh invalidates the token; outages and network
+      // errors leave it in place for the refresh scheduler to retry
+      if (error.requiresReauth || [400, 401, 403].includes(error.originalError?.status)) {
+        tokenStorage.removeToken(tokenKey);
+      }
       throw error;
     }
   }
 
   // Jobs methods with enhanced error handling
-  async getJobs(params = {}) {
+  async getJobs(params = {}, options = {}) {
     const {
       userId = null,
       page = 1,
@@ -355,7 +851,7 @@ class WorkSyncAPI {
       dateTo
     } = params;
 
-    const actualUserId = userId || this.defaultUserId;
+    const actualUserId = this.resolveUserId(userId);
     const queryParams = new URLSearchParams({
       userId: actualUserId,
       page: page.toString(),
@@ -365,56 +861,92 @@ class WorkSyncAPI {
       ...(dateTo && { dateTo })
     });
 
-    return this.requestWithRetry(`/jobs?${queryParams}`);
+    return this.requestWithRetry(`/jobs?${queryParams}`, { schema: SCHEMAS.jobsList, ...options });
   }
 
-  async getRecentJobs(userId = null) {
-    const actualUserId = userId || this.defaultUserId;
-    return this.requestWithRetry(`/jobs/recent?userId=${actualUserId}`);
+  async getRecentJobs(userId = null, options = {}) {
+    const actualUserId = this.resolveUserId(userId);
+    return this.requestWithRetry(`/jobs/recent?userId=${actualUserId}`, { schema: SCHEMAS.jobsList, ...options });
   }
 
-  async getPendingSyncJobs(userId = null) {
-    const actualUserId = userId || this.defaultUserId;
-    return this.requestWithRetry(`/jobs/pending?userId=${actualUserId}`);
+  async getPendingSyncJobs(userId = null, options = {}) {
+    const actualUserId = this.resolveUserId(userId);
+    return this.requestWithRetry(`/jobs/pending?userId=${actualUserId}`, { schema: SCHEMAS.jobsList, ...options });
   }
 
-  // Sync methods with enhanced error handling
-  async syncJob(jobId, userId = null) {
-    const actualUserId = userId || this.defaultUserId;
-    return this.requestWithRetry('/sync/job', {
-      method: 'POST',
-      body: JSON.stringify({ jobId, userId: actualUserId }),
-    });
+  // Sync methods with enhanced error handling.
+  // options.realmId picks the target QuickBooks company; the backend uses
+  // the Jobber account's default company when it is omitted.
+  async syncJob(jobId, userId = null, { realmId = null, ...options } = {}) {
+    const actualUserId = this.resolveUserId(userId);
+    return this.idempotentPost('/sync/job', { jobId, userId: actualUserId, ...(realmId && { realmId }) }, options);
   }
 
-  async syncMultipleJobs(jobIds, userId = null) {
-    const actualUserId = userId || this.defaultUserId;
-    return this.requestWithRetry('/sync/multiple', {
-      method: 'POST',
-      body: JSON.stringify({ jobIds, userId: actualUserId }),
-    });
+  async syncMultipleJobs(jobIds, userId = null, { realmId = null, ...options } = {}) {
+    const actualUserId = this.resolveUserId(userId);
+    return this.idempotentPost('/sync/multiple', { jobIds, userId: actualUserId, ...(realmId && { realmId }) }, options);
   }
 
-  async syncPendingJobs(userId = null) {
-    const actualUserId = userId || this.defaultUserId;
-    return this.requestWithRetry('/sync/pending', {
-      method: 'POST',
-      body: JSON.stringify({ userId: actualUserId }),
-    });
+  async syncPendingJobs(userId = null, { realmId = null, ...options } = {}) {
+    const actualUserId = this.resolveUserId(userId);
+    return this.idempotentPost('/sync/pending', { userId: actualUserId, ...(realmId && { realmId }) }, options);
   }
 
-  async getSyncStats(userId = null) {
-    const actualUserId = userId || this.defaultUserId;
-    return this.requestWithRetry(`/sync/stats?userId=${actualUserId}`);
+  /**
+   * POST with an idempotency key that is reused until the outcome is known.
+   * The key is sent as a header and as requestId in the body.
+   */
+  async idempotentPost(endpoint, payload, options = {}) {
+    const idempotencyKey = idempotencyStore.getKey(endpoint, payload);
+
+    try {
+      const result = await this.requestWithRetry(endpoint, {
+        schema: SCHEMAS.syncResult,
+        realmId: payload.realmId || null,
+        ...options,
+        method: 'POST',
+        headers: { ...options.headers, 'Idempotency-Key': idempotencyKey },
+        body: JSON.stringify({ ...payload, requestId: idempotencyKey }),
+      });
+
+      if (result?.replayed) {
+        this.log(`Backend replayed result for ${endpoint}, request may have been submitted before`);
+      }
+
+      idempotencyStore.complete(idempotencyKey);
+      return result;
+    } catch (error) {
+      // Keep the key if the backend may have processed the request, so resubmitting is safe
+      if (!this.isOutcomeUnknown(error)) {
+        idempotencyStore.complete(idempotencyKey);
+      }
+      throw error;
+    }
   }
 
   /**
-   * Get rate limit status for UI display
+   * Whether a failed request may still have been processed by the backend
    */
-  getRateLimitStatus() {
+  isOutcomeUnknown(error) {
+    if (error.name === 'AbortError') return true;
+
+    const errorInfo = errorHandler.analyzeError(error.originalError || error, {});
+    return errorInfo.isNetworkError || errorInfo.isTimeout || errorInfo.isServerError;
+  }
+
+  async getSyncStats(userId = null, options = {}) {
+    const actualUserId = this.resolveUserId(userId);
+    return this.requestWithRetry(`/sync/stats?userId=${actualUserId}`, { schema: SCHEMAS.syncStats, ...options });
+  }
+
+  /**
+   * Get rate limit status for UI display. QuickBooks limits apply per
+   * company; without a realmId the default company's are reported.
+   */
+  getRateLimitStatus(realmId = null) {
     return {
       jobber: errorHandler.getRateLimitStatus('jobber'),
-      quickbooks: errorHandler.getRateLimitStatus('quickbooks')
+      quickbooks: errorHandler.getRateLimitStatus('quickbooks', realmId)
     };
   }
 
@@ -425,6 +957,14 @@ class WorkSyncAPI {
     return tokenStorage.getStorageStats();
   }
 
+  /**
+   * Where tokens are kept (see tokenStorageBackends) and how they are
+   * protected: encryption is 'aes-gcm', 'memory' or 'none'
+   */
+  getTokenStorageInfo() {
+    return { backend: tokenStorage.getBackendName(), encryption: tokenStorage.getEncryptionMode() };
+  }
+
   /**
    * Force cleanup of expired tokens
    */
@@ -437,57 +977,57 @@ export const workSyncAPI = new WorkSyncAPI();
 
 // Legacy exports for backward compatibility
 export const authService = {
-  async getAuthStatus(userId = null) {
-    return workSyncAPI.getAuthStatus(userId);
+  async getAuthStatus(userId = null, options = {}) {
+    return workSyncAPI.getAuthStatus(userId, options);
   },
-  async getJobberAuthUrl(userId = null) {
-    return workSyncAPI.getJobberAuthUrl(userId);
+  async getJobberAuthUrl(userId = null, options = {}) {
+    return workSyncAPI.getJobberAuthUrl(userId, options);
   },
-  async getQuickBooksAuthUrl(userId = null) {
-    return workSyncAPI.getQuickBooksAuthUrl(userId);
+  async getQuickBooksAuthUrl(userId = null, options = {}) {
+    return workSyncAPI.getQuickBooksAuthUrl(userId, options);
   },
-  async disconnectPlatform(platform, userId = null) {
-    return workSyncAPI.disconnectProvider(platform, userId);
+  async disconnectPlatform(platform, userId = null, options = {}) {
+    return workSyncAPI.disconnectProvider(platform, userId, options);
   },
   // New methods
-  async storeAuthToken(provider, tokenData, userId = null) {
-    return workSyncAPI.storeAuthToken(provider, tokenData, userId);
+  async storeAuthToken(provider, tokenData, userId = null, realmId = null) {
+    return workSyncAPI.storeAuthToken(provider, tokenData, userId, realmId);
   },
-  async refreshToken(provider, userId = null) {
-    return workSyncAPI.refreshToken(provider, userId);
+  async refreshToken(provider, userId = null, options = {}) {
+    return workSyncAPI.refreshToken(provider, userId, options);
   }
 };
 
 export const jobsService = {
-  async getRecentJobs(userId = null) {
-    return workSyncAPI.getRecentJobs(userId);
+  async getRecentJobs(userId = null, options = {}) {
+    return workSyncAPI.getRecentJobs(userId, options);
   },
-  async getJobs(params = {}) {
-    return workSyncAPI.getJobs(params);
+  async getJobs(params = {}, options = {}) {
+    return workSyncAPI.getJobs(params, options);
   },
-  async getPendingSyncJobs(userId = null) {
-    return workSyncAPI.getPendingSyncJobs(userId);
+  async getPendingSyncJobs(userId = null, options = {}) {
+    return workSyncAPI.getPendingSyncJobs(userId, options);
   }
 };
 
 export const syncService = {
-  async syncJob(jobId, userId = null) {
-    return workSyncAPI.syncJob(jobId, userId);
+  async syncJob(jobId, userId = null, options = {}) {
+    return workSyncAPI.syncJob(jobId, userId, options);
   },
-  async syncMultipleJobs(jobIds, userId = null) {
-    return workSyncAPI.syncMultipleJobs(jobIds, userId);
+  async syncMultipleJobs(jobIds, userId = null, options = {}) {
+    return workSyncAPI.syncMultipleJobs(jobIds, userId, options);
   },
-  async syncPendingJobs(userId = null) {
-    return workSyncAPI.syncPendingJobs(userId);
+  async syncPendingJobs(userId = null, options = {}) {
+    return workSyncAPI.syncPendingJobs(userId, options);
   },
-  async getSyncStats(userId = null) {
-    return workSyncAPI.getSyncStats(userId);
+  async getSyncStats(userId = null, options = {}) {
+    return workSyncAPI.getSyncStats(userId, options);
   }
 };
 
 // New service exports
 export const tokenService = tokenStorage;
 export const rateLimitService = {
-  getStatus: () => workSyncAPI.getRateLimitStatus(),
-  isLimited: (provider) => errorHandler.isRateLimited(provider)
+  getStatus: (realmId = null) => workSyncAPI.getRateLimitStatus(realmId),
+  isLimited: (provider, realmId = null) => errorHandler.isRateLimited(provider, realmId)
 };
\ No newline at end of file
@@ -0,0 +1,429 @@
+/**
+ * Bulk Sync
+ * Syncs large job selections to QuickBooks in chunks, one request each, sized
+ * and paced by the live limiter state (see RateLimiter): a chunk takes its
+ * share of the company's remaining quota, up to one batch (see getChunkSize);
+ * past the warning threshold the calls left in the window are spread over
+ * the time until it resets, and an exhausted window is waited out.
+ *
+ * Runs are persisted per user and workspace, and the chunk in flight is
+ * recorded before it is sent, so a run cut short by a reload can be resumed.
+ * The unfinished chunk is resent with the same payload, and so the same
+ * idempotency key: the backend replays it if it already went through.
+ * Only one tab drives a run at a time, stamping it with a heartbeat; a
+ * running run whose heartbeat has gone stale was cut short.
+ *
+ * Emits 'bulk_sync_changed' with the current run (or null) on every change.
+ */
+
+import { runMutation } from './mutations.js';
+import { rateLimiter } from './rate_limiter_service.js';
+import { persistedState } from './persistedState.js';
+import { crossTabSync } from './crossTabSync.js';
+import { eventBus } from './event_bus_manager.js';
+import { sessionService } from './sessionService.js';
+import { workspaceService } from './workspaceService.js';
+
+const BULK_SYNC_SCHEMA = 'bulk_sync';
+
+// { id, realmId, total, pending, inFlight, successful, replayed, failed, status, error, driver, heartbeatAt, startedAt, updatedAt, finishedAt }
+persistedState.define(BULK_SYNC_SCHEMA, {
+  version: 1,
+  validate: (run) => typeof run?.id === 'string' && Array.isArray(run.pending) && Array.isArray(run.failed)
+});
+
+const createAbortError = () => new DOMException('The operation was aborted.', 'AbortError');
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const onAbort = () => {
+    clearTimeout(timeoutId);
+    reject(createAbortError());
+  };
+  const timeoutId = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+
+  if (signal?.aborted) {
+    onAbort();
+  } else {
+    signal?.addEventListener('abort', onAbort, { once: true });
+  }
+});
+
+class BulkSyncService {
+  constructor() {
+    this.baseStorageKey = 'worksync_bulk_sync';
+    // Margin after a window resets before the next chunk goes out
+    this.resetMarginMs = 250;
+    // How often the driving tab stamps its run, and how long without a stamp
+    // before a running run counts as interrupted
+    this.heartbeatMs = 5 * 1000;
+    this.staleAfterMs = 3 * this.heartbeatMs;
+    this.debugLogging = import.meta.env.VITE_ENABLE_DEBUG_LOGGING === 'true';
+
+    // Run this tab is driving, and when its current pause ends
+    this.activeRunId = null;
+    this.controller = null;
+    this.waitUntil = null;
+    this.staleTimer = null;
+
+    // Progress made in another tab, or the run discarded there
+    crossTabSync.subscribe('bulk_sync_changed', ({ storageKey }) => {
+      if (storageKey !== this.getStorageKey()) return;
+
+      if (this.activeRunId && this.readRun(storageKey)?.id !== this.activeRunId) {
+        this.controller?.abort();
+      }
+      this.notify();
+    });
+    eventBus.on('scope_changed', () => this.notify());
+  }
+
+  /**
+   * Largest chunk QuickBooks accepts in one batch request
+   */
+  getBatchSize() {
+    return rateLimiter.configs.quickbooks.batchSize;
+  }
+
+  /**
+   * Jobs to send in the next chunk: the remaining quota split between the
+   * requests already in flight for the company and this one, within a batch
+   */
+  getChunkSize(status) {
+    const share = Math.floor(status.remaining / (status.concurrentRequests + 1));
+    return Math.max(1, Math.min(this.getBatchSize(), share));
+  }
+
+  /**
+   * Storage key of the signed-in user's run in the active workspace
+   */
+  getStorageKey() {
+    const userId = sessionService.getUserId();
+    if (!userId) return null;
+    return [this.baseStorageKey, userId, workspaceService.getActiveWorkspaceId()].filter(Boolean).join(':');
+  }
+
+  /**
+   * The current run, or null. A run left 'running' by another tab is driven
+   * there while its heartbeat is fresh, and reads as interrupted (the tab
+   * reloaded or closed) once it has gone stale.
+   */
+  getRun() {
+    const storageKey = this.getStorageKey();
+    const run = storageKey && this.readRun(storageKey);
+    if (!run) return null;
+
+    const active = run.id === this.activeRunId;
+    const elsewhere = run.status === 'running' && !active;
+    const stale = !run.heartbeatAt || Date.now() - run.heartbeatAt > this.staleAfterMs;
+    return {
+      ...run,
+      processed: run.successful + run.failed.length,
+      unfinished: this.isUnfinished(run),
+      active,
+      drivenElsewhere: elsewhere && !stale,
+      interrupted: elsewhere && stale,
+      waitUntil: active ? this.waitUntil : null
+    };
+  }
+
+  /**
+   * Whether a run still has jobs to send
+   */
+  isUnfinished(run) {
+    return Boolean(run) && run.status !== 'completed' && (run.pending.length > 0 || Boolean(run.inFlight));
+  }
+
+  /**
+   * Start syncing jobIds to a QuickBooks company (the account default when
+   * realmId is omitted). Resolves with the run once it completes, pauses or fails.
+   */
+  async start(jobIds, { realmId = null } = {}) {
+    const storageKey = this.getStorageKey();
+    if (!storageKey) {
+      throw new Error('Sign in to start a bulk sync');
+    }
+    if (this.isUnfinished(this.readRun(storageKey))) {
+      throw new Error('A bulk sync is already in progress; resume or discard it first');
+    }
+
+    const now = new Date().toISOString();
+    const run = this.saveRun(storageKey, {
+      id: `bulk-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      realmId,
+      total: new Set(jobIds).size,
+      pending: [...new Set(jobIds)],
+      inFlight: null,
+      successful: 0,
+      replayed: 0,
+      failed: [],
+      status: 'running',
+      error: null,
+      driver: crossTabSync.tabId,
+      heartbeatAt: Date.now(),
+      startedAt: now,
+      updatedAt: now,
+      finishedAt: null
+    });
+
+    this.log(`Starting bulk sync ${run.id} of ${run.total} jobs`);
+    return this.execute(storageKey, run.id);
+  }
+
+  /**
+   * Continue a paused, failed or interrupted run where it stopped
+   */
+  async resume() {
+    const storageKey = this.getStorageKey();
+    const run = storageKey && this.readRun(storageKey);
+    if (!this.isUnfinished(run) || run.id === this.activeRunId) {
+      return this.getRun();
+    }
+
+    this.log(`Resuming bulk sync ${run.id}, ${run.pending.length} jobs left`);
+    return this.execute(storageKey, run.id);
+  }
+
+  /**
+   * Stop sending after aborting the chunk in flight; the run can be resumed
+   */
+  pause() {
+    this.controller?.abort();
+  }
+
+  /**
+   * Stop and forget the current run
+   */
+  discard() {
+    const storageKey = this.getStorageKey();
+    if (!storageKey) return;
+
+    this.controller?.abort();
+    localStorage.removeItem(storageKey);
+    this.publish(storageKey);
+  }
+
+  /**
+   * Drive a run while holding the cross-tab lock for it
+   */
+  async execute(storageKey, runId) {
+    const controller = new AbortController();
+    this.activeRunId = runId;
+    this.controller = controller;
+    this.notify();
+
+    try {
+      return await crossTabSync.withLock(`bulk_sync:${storageKey}`, async () => {
+        // Keep the run stamped while pacing or waiting on a request
+        const heartbeat = setInterval(() => {
+          try {
+            this.saveProgress(storageKey, runId, this.readRun(storageKey));
+          } catch {
+            controller.abort();
+          }
+        }, this.heartbeatMs);
+
+        try {
+          return await this.runChunks(storageKey, runId, controller.signal);
+        } finally {
+          clearInterval(heartbeat);
+        }
+      });
+    } finally {
+      if (this.controller === controller) {
+        this.activeRunId = null;
+        this.controller = null;
+        this.waitUntil = null;
+      }
+      this.notify();
+    }
+  }
+
+  async runChunks(storageKey, runId, signal) {
+    let run = this.readRun(storageKey);
+    // Finished in another tab or discarded while waiting for the lock
+    if (run?.id !== runId || !this.isUnfinished(run)) {
+      return this.getRun();
+    }
+
+    run = this.saveProgress(storageKey, runId, { ...run, status: 'running', error: null });
+
+    try {
+      while (run.inFlight || run.pending.length > 0) {
+        signal.throwIfAborted();
+        const status = await this.waitForQuota(run.realmId, signal);
+
+        // A chunk is one request however many jobs it holds
+        if (!run.inFlight) {
+          const size = this.getChunkSize(status);
+          run = this.saveProgress(storageKey, runId, {
+            ...run,
+            inFlight: run.pending.slice(0, size),
+            pending: run.pending.slice(size)
+          });
+        }
+
+        let result;
+        try {
+          result = await runMutation('syncMultipleJobs', {
+            jobIds: run.inFlight,
+            realmId: run.realmId,
+            priority: 'bulk'
+          }, signal);
+        } catch (error) {
+          if (!error.isRateLimit) throw error;
+
+          // Over quota after all (other tabs and apps share it). The limiter may
+          // still report room, so wait for Retry-After, else for the window to reset
+          const waitMs = error.retryAfter
+            ? error.retryAfter * 1000
+            : rateLimiter.getRateLimitStatus('quickbooks', run.realmId).timeUntilReset;
+          await this.pauseFor(waitMs + this.resetMarginMs, signal);
+          continue;
+        }
+
+        run = this.saveProgress(storageKey, runId, this.applyResult(run, result));
+      }
+
+      this.log(`Bulk sync ${run.id} completed`);
+      return this.finish(storageKey, runId, { ...run, status: 'completed', finishedAt: new Date().toISOString() });
+    } catch (error) {
+      const paused = error.name === 'AbortError';
+      this.log(`Bulk sync ${run.id} ${paused ? 'paused' : 'failed'}:`, error.message);
+      // The chunk in flight stays recorded: its outcome is unknown until resent
+      return this.finish(storageKey, runId, {
+        ...run,
+        status: paused ? 'paused' : 'failed',
+        error: paused ? null : error.message
+      });
+    }
+  }
+
+  /**
+   * Wait until the company's window has room for another chunk: out to the
+   * reset while it is exhausted, and for an even share of the time left per
+   * remaining request once usage passes the warning threshold. Resolves
+   * with the limiter status the next chunk is sized from.
+   */
+  async waitForQuota(realmId, signal) {
+    for (;;) {
+      const status = rateLimiter.getRateLimitStatus('quickbooks', realmId);
+
+      if (status.isLimited || status.remaining === 0) {
+        await this.pauseFor(status.timeUntilReset + this.resetMarginMs, signal);
+        continue;
+      }
+
+      if (status.isWarning) {
+        await this.pauseFor(status.timeUntilReset / status.remaining, signal);
+        return rateLimiter.getRateLimitStatus('quickbooks', realmId);
+      }
+      return status;
+    }
+  }
+
+  async pauseFor(ms, signal) {
+    this.log(`Pacing bulk sync for ${Math.round(ms)}ms`);
+    this.waitUntil = Date.now() + ms;
+    this.notify();
+
+    try {
+      await sleep(ms, signal);
+    } finally {
+      this.waitUntil = null;
+      this.notify();
+    }
+  }
+
+  /**
+   * Fold a chunk's sync result into the run
+   */
+  applyResult(run, result) {
+    const results = result.results || [];
+    const failed = results
+      .filter(item => !item.success)
+      .map(item => ({ jobId: item.jobId, message: item.message }));
+
+    return {
+      ...run,
+      inFlight: null,
+      successful: run.successful + (result.successfulJobs ?? results.length - failed.length),
+      replayed: run.replayed + (result.replayed ? run.inFlight.length : 0),
+      failed: [...run.failed, ...failed]
+    };
+  }
+
+  /**
+   * Save progress on the run this tab drives, stamping its heartbeat.
+   * Throws an AbortError, stopping the run, if it was discarded meanwhile.
+   */
+  saveProgress(storageKey, runId, run) {
+    if (this.readRun(storageKey)?.id !== runId) {
+      throw createAbortError();
+    }
+    return this.saveRun(storageKey, { ...run, driver: crossTabSync.tabId, heartbeatAt: Date.now() });
+  }
+
+  /**
+   * Save a run's final state unless it was discarded meanwhile
+   */
+  finish(storageKey, runId, run) {
+    if (this.readRun(storageKey)?.id !== runId) {
+      return null;
+    }
+    this.saveRun(storageKey, run);
+    return this.getRun();
+  }
+
+  readRun(storageKey) {
+    return persistedState.read(BULK_SYNC_SCHEMA, storageKey, { fallback: null });
+  }
+
+  saveRun(storageKey, run) {
+    const saved = { ...run, updatedAt: new Date().toISOString() };
+
+    try {
+      persistedState.write(BULK_SYNC_SCHEMA, storageKey, saved);
+    } catch (error) {
+      console.error('Failed to store bulk sync progress:', error);
+    }
+
+    this.publish(storageKey);
+    return saved;
+  }
+
+  publish(storageKey) {
+    crossTabSync.publish('bulk_sync_changed', { storageKey });
+    this.notify();
+  }
+
+  notify() {
+    const run = this.getRun();
+
+    // Nothing is published when another tab's run stops short, so check back
+    // once its heartbeat would have gone stale
+    clearTimeout(this.staleTimer);
+    if (run?.drivenElsewhere) {
+      this.staleTimer = setTimeout(() => this.notify(), run.heartbeatAt + this.staleAfterMs - Date.now() + 1);
+    }
+
+    eventBus.emit('bulk_sync_changed', run);
+  }
+
+  /**
+   * Debug logging
+   */
+  log(...args) {
+    if (this.debugLogging) {
+      console.log('[BulkSync]', ...args);
+    }
+  }
+}
+
+// Create singleton instance
+export const bulkSyncService = new BulkSyncService();
+
+// Export class for testing
+export { BulkSyncService };
@@ -0,0 +1,159 @@
+/**
+ * Cross-Tab Sync
+ * Messaging and locking between WorkSync tabs of the same browser.
+ * Messages go over a BroadcastChannel, or through localStorage 'storage'
+ * events where BroadcastChannel is unavailable. A tab never receives its own
+ * messages.
+ *
+ * Locks use the Web Locks API, falling back to a lease kept in localStorage.
+ */
+
+class CrossTabSync {
+  constructor() {
+    this.channelName = 'worksync_sync';
+    // Fallback transport: each message is written to this key
+    this.storageKey = 'worksync_broadcast';
+    this.lockPrefix = 'worksync_lock:';
+    // A storage lock whose holder vanished (tab closed mid-refresh) expires
+    this.lockLeaseMs = 20 * 1000;
+    this.lockPollMs = 100;
+    this.debugLogging = import.meta.env.VITE_ENABLE_DEBUG_LOGGING === 'true';
+
+    this.tabId = typeof crypto !== 'undefined' && crypto.randomUUID
+      ? crypto.randomUUID()
+      : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    this.listeners = new Map();
+    this.channel = null;
+
+    this.connect();
+  }
+
+  connect() {
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(this.channelName);
+      this.channel.onmessage = (event) => this.dispatch(event.data);
+    } else if (typeof window !== 'undefined') {
+      window.addEventListener('storage', (event) => {
+        if (event.key !== this.storageKey || !event.newValue) return;
+        try {
+          this.dispatch(JSON.parse(event.newValue));
+        } catch (error) {
+          this.log('Ignoring malformed message:', error.message);
+        }
+      });
+    }
+  }
+
+  /**
+   * Send a message to every other tab
+   */
+  publish(type, payload = {}) {
+    const message = { type, payload, tabId: this.tabId, sentAt: Date.now() };
+
+    try {
+      if (this.channel) {
+        this.channel.postMessage(message);
+      } else {
+        // The changing value makes every write fire a storage event
+        localStorage.setItem(this.storageKey, JSON.stringify(message));
+      }
+      this.log('Published', type, payload);
+    } catch (error) {
+      console.error('Failed to publish cross-tab message:', error);
+    }
+  }
+
+  /**
+   * Listen for a message type from other tabs; returns an unsubscribe function
+   */
+  subscribe(type, listener) {
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, new Set());
+    }
+    this.listeners.get(type).add(listener);
+    return () => this.listeners.get(type)?.delete(listener);
+  }
+
+  dispatch(message) {
+    if (!message || message.tabId === this.tabId) return;
+
+    this.log('Received', message.type, message.payload);
+    this.listeners.get(message.type)?.forEach(listener => {
+      try {
+        listener(message.payload, message);
+      } catch (error) {
+        console.error(`Error in cross-tab listener for ${message.type}:`, error);
+      }
+    });
+  }
+
+  /**
+   * Run callback while holding a lock no other tab can hold at the same time
+   */
+  withLock(name, callback) {
+    if (globalThis.navigator?.locks) {
+      return navigator.locks.request(`${this.lockPrefix}${name}`, () => callback());
+    }
+    return this.withStorageLock(`${this.lockPrefix}${name}`, callback);
+  }
+
+  async withStorageLock(key, callback) {
+    await this.acquireStorageLock(key);
+    // Long holders (a paced bulk sync) keep the lease; it lapses only if this tab goes away
+    const renewTimer = setInterval(() => {
+      if (this.readLease(key)?.owner === this.tabId) {
+        this.writeLease(key);
+      }
+    }, this.lockLeaseMs / 2);
+
+    try {
+      return await callback();
+    } finally {
+      clearInterval(renewTimer);
+      if (this.readLease(key)?.owner === this.tabId) {
+        localStorage.removeItem(key);
+      }
+    }
+  }
+
+  async acquireStorageLock(key) {
+    for (;;) {
+      const lease = this.readLease(key);
+      if (!lease || lease.expiresAt <= Date.now()) {
+        this.writeLease(key);
+
+        // Another tab may have written at the same moment; the last write wins
+        await new Promise(resolve => setTimeout(resolve, this.lockPollMs));
+        if (this.readLease(key)?.owner === this.tabId) return;
+      }
+      await new Promise(resolve => setTimeout(resolve, this.lockPollMs));
+    }
+  }
+
+  writeLease(key) {
+    localStorage.setItem(key, JSON.stringify({ owner: this.tabId, expiresAt: Date.now() + this.lockLeaseMs }));
+  }
+
+  readLease(key) {
+    try {
+      return JSON.parse(localStorage.getItem(key));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Debug logging
+   */
+  log(...args) {
+    if (this.debugLogging) {
+      console.log('[CrossTabSync]', ...args);
+    }
+  }
+}
+
+// Create singleton instance
+export const crossTabSync = new CrossTabSync();
+
+// Export class for testing
+export { CrossTabSync };
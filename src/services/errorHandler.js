@@ -3,13 +3,12 @@
  * Provides comprehensive error handling with retry logic, user-friendly messages, and rate limiting awareness
  */
 
+import { eventBus } from './event_bus_manager.js';
+import { rateLimiter } from './rate_limiter_service.js';
+
 class ErrorHandlerService {
   constructor() {
     this.debugLogging = import.meta.env.VITE_ENABLE_DEBUG_LOGGING === 'true';
-    this.rateLimits = {
-      jobber: parseInt(import.meta.env.VITE_JOBBER_RATE_LIMIT) || 2500,
-      quickbooks: parseInt(import.meta.env.VITE_QUICKBOOKS_RATE_LIMIT) || 500
-    };
     
     // Retry configuration
     this.retryConfig = {
@@ -19,11 +18,38 @@ class ErrorHandlerService {
       backoffMultiplier: 2
     };
 
-    // Rate limiting tracking
-    this.rateLimitStatus = {
-      jobber: { remaining: this.rateLimits.jobber, resetTime: null },
-      quickbooks: { remaining: this.rateLimits.quickbooks, resetTime: null }
+    // Per-endpoint retry policies, first match on method + path prefix wins.
+    // Anything unmatched is not retried.
+    this.retryPolicies = [
+      { method: 'GET', prefix: '/', maxRetries: this.retryConfig.maxRetries },
+      { method: 'POST', prefix: '/sync/', maxRetries: this.retryConfig.maxRetries, requiresIdempotencyKey: true },
+      { method: 'POST', prefix: '/auth/disconnect', maxRetries: 2 },
+      { method: 'POST', prefix: '/auth/refresh', maxRetries: 1 }
+    ];
+
+    // Retry budget shared by all requests so an outage doesn't multiply traffic
+    this.retryBudget = {
+      maxRetries: 10,
+      windowMs: 60000, // 1 minute
+      retries: []
+    };
+
+    // Circuit breaker per upstream: closed -> open after repeated failures,
+    // open -> half-open once a health probe succeeds, half-open -> closed on a successful trial
+    this.circuitConfig = {
+      failureThreshold: 5,
+      openDurationMs: 30000 // 30 seconds
+    };
+    this.upstreamLabels = {
+      backend: 'WorkSync backend',
+      jobber: 'Jobber',
+      quickbooks: 'QuickBooks'
     };
+    this.circuits = {};
+    Object.keys(this.upstreamLabels).forEach(upstream => {
+      this.circuits[upstream] = this.createCircuit();
+    });
+    this.circuitProbe = null;
   }
 
   /**
@@ -34,14 +60,11 @@ class ErrorHandlerService {
     
     this.log('Handling error:', errorInfo);
 
-    // Update rate limiting status if applicable
-    if (errorInfo.isRateLimit) {
-      this.updateRateLimitStatus(errorInfo.provider, errorInfo.retryAfter);
-    }
-
-    // Determine if retry is appropriate
-    if (this.shouldRetry(errorInfo, context)) {
-      return this.scheduleRetry(errorInfo, context);
+    // Update rate limiting status if applicable; provider-scoped calls know their limits.
+    // A local fail-fast (see assertNotRateLimited) is already on record.
+    if (errorInfo.isRateLimit && !error.isLocalRateLimit) {
+      const scope = context.rateLimitScope;
+      this.updateRateLimitStatus(scope?.service || errorInfo.provider, errorInfo.retryAfter, scope?.realmId ?? context.realmId);
     }
 
     // Handle authentication errors
@@ -56,6 +79,7 @@ class ErrorHandlerService {
       techMessage: errorInfo.message,
       canRetry: this.shouldRetry(errorInfo, context),
       isRateLimit: errorInfo.isRateLimit,
+      isPermissionDenied: errorInfo.isPermissionDenied,
       retryAfter: errorInfo.retryAfter,
       errorCode: errorInfo.code,
       context: errorInfo.context
@@ -73,6 +97,11 @@ class ErrorHandlerService {
       context: context,
       timestamp: new Date().toISOString(),
       isNetworkError: false,
+      isTimeout: false,
+      isQueueTimeout: false,
+      isCircuitOpen: false,
+      isContractViolation: false,
+      isPermissionDenied: false,
       isRateLimit: false,
       isAuthError: false,
       isServerError: false,
@@ -87,6 +116,46 @@ class ErrorHandlerService {
       errorInfo.category = 'NETWORK_ERROR';
     }
 
+    // Request exceeded its timeout (see WorkSyncAPI.request)
+    if (error.isTimeout || error.name === 'TimeoutError') {
+      errorInfo.isTimeout = true;
+      errorInfo.category = 'TIMEOUT';
+      errorInfo.code = 'TIMEOUT';
+    }
+
+    // Rejected locally because the upstream's circuit is open
+    if (error.isCircuitOpen) {
+      errorInfo.isCircuitOpen = true;
+      errorInfo.category = 'CIRCUIT_OPEN';
+      errorInfo.upstream = error.upstream;
+      errorInfo.retryAfter = error.retryAfter;
+      return errorInfo;
+    }
+
+    // Gave up waiting for a rate limit slot; the request was never sent
+    if (error.isQueueTimeout) {
+      errorInfo.isQueueTimeout = true;
+      errorInfo.category = 'QUEUE_TIMEOUT';
+      return errorInfo;
+    }
+
+    // Response arrived but did not match its declared schema
+    if (error.isContractViolation) {
+      errorInfo.isContractViolation = true;
+      errorInfo.category = 'CONTRACT_VIOLATION';
+      errorInfo.issues = error.issues || [];
+      return errorInfo;
+    }
+
+    // Signed in, but the user's role does not allow the action
+    if (error.isPermissionDenied || parseInt(error.status) === 403) {
+      errorInfo.isPermissionDenied = true;
+      errorInfo.category = 'PERMISSION_DENIED';
+      errorInfo.code = 403;
+      errorInfo.permission = error.permission || error.body?.requiredPermission || null;
+      return errorInfo;
+    }
+
     // HTTP status code analysis
     if (error.status || error.code) {
       const statusCode = parseInt(error.status || error.code);
@@ -116,14 +185,31 @@ class ErrorHandlerService {
     return errorInfo;
   }
 
+  /**
+   * Find the retry policy for a request
+   */
+  getRetryPolicy(context = {}) {
+    const method = (context.method || 'GET').toUpperCase();
+    const path = (context.endpoint || '').split('?')[0];
+
+    const policy = this.retryPolicies.find(p => p.method === method && path.startsWith(p.prefix));
+    return policy || { method, prefix: path, maxRetries: 0 };
+  }
+
   /**
    * Determine if error should be retried
    */
   shouldRetry(errorInfo, context) {
     const retryCount = context.retryCount || 0;
+    const policy = this.getRetryPolicy(context);
     
     // Don't retry if max retries exceeded
-    if (retryCount >= this.retryConfig.maxRetries) {
+    if (retryCount >= policy.maxRetries) {
+      return false;
+    }
+
+    // Non-idempotent operations are only safe to resend with an idempotency key
+    if (policy.requiresIdempotencyKey && !context.idempotencyKey) {
       return false;
     }
 
@@ -132,31 +218,96 @@ class ErrorHandlerService {
       return false;
     }
 
-    // Retry network errors, server errors, and rate limits
-    return errorInfo.isNetworkError || errorInfo.isServerError || errorInfo.isRateLimit;
+    // Retry network errors, timeouts, server errors, and rate limits
+    return errorInfo.isNetworkError || errorInfo.isTimeout || errorInfo.isServerError || errorInfo.isRateLimit;
   }
 
   /**
-   * Schedule retry with exponential backoff
+   * Decide whether and when to retry a failed attempt
    */
-  async scheduleRetry(errorInfo, context) {
+  getRetryDecision(errorInfo, context) {
     const retryCount = (context.retryCount || 0) + 1;
-    let delay = this.calculateRetryDelay(retryCount, errorInfo.retryAfter);
+    const policy = this.getRetryPolicy(context);
+
+    if (!this.shouldRetry(errorInfo, context)) {
+      return { shouldRetry: false, retryCount: retryCount - 1 };
+    }
+
+    // A retry within maxDelay would come before the server allows one (and
+    // fail fast on the limiter), so leave longer waits to the caller
+    if (errorInfo.retryAfter && errorInfo.retryAfter * 1000 > this.retryConfig.maxDelay) {
+      this.log(`Retry-After ${errorInfo.retryAfter}s exceeds the retry delay cap, not retrying:`, context.endpoint);
+      return { shouldRetry: false, retryCount: retryCount - 1 };
+    }
+
+    if (!this.consumeRetryBudget()) {
+      this.log('Retry budget exhausted, not retrying:', context.endpoint);
+      return { shouldRetry: false, retryCount: retryCount - 1, budgetExhausted: true };
+    }
 
     // Add jitter to prevent thundering herd
-    delay += Math.random() * 1000;
+    const delay = this.calculateRetryDelay(retryCount, errorInfo.retryAfter) + Math.random() * 1000;
 
-    this.log(`Scheduling retry ${retryCount} in ${delay}ms`);
+    return {
+      shouldRetry: true,
+      delay,
+      retryCount,
+      maxRetries: policy.maxRetries
+    };
+  }
 
-    return new Promise((resolve) => {
-      setTimeout(() => {
-        resolve({
-          shouldRetry: true,
-          delay,
-          retryCount,
-          userMessage: `Retrying in ${Math.ceil(delay / 1000)} seconds... (Attempt ${retryCount}/${this.retryConfig.maxRetries})`
-        });
+  /**
+   * Take one retry from the shared budget, if any is left
+   */
+  consumeRetryBudget() {
+    const now = Date.now();
+    const budget = this.retryBudget;
+    budget.retries = budget.retries.filter(timestamp => now - timestamp < budget.windowMs);
+
+    if (budget.retries.length >= budget.maxRetries) {
+      return false;
+    }
+
+    budget.retries.push(now);
+    return true;
+  }
+
+  /**
+   * Get remaining retry budget for UI display
+   */
+  getRetryBudgetStatus() {
+    const now = Date.now();
+    const used = this.retryBudget.retries.filter(timestamp => now - timestamp < this.retryBudget.windowMs).length;
+
+    return {
+      used,
+      remaining: Math.max(0, this.retryBudget.maxRetries - used),
+      max: this.retryBudget.maxRetries,
+      windowMs: this.retryBudget.windowMs
+    };
+  }
+
+  /**
+   * Wait before the next attempt, stopping early if the request is cancelled
+   */
+  waitForRetry(delay, signal) {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timeoutId);
+        const error = new Error('Retry cancelled');
+        error.name = 'AbortError';
+        reject(error);
+      };
+      const timeoutId = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
       }, delay);
+
+      if (signal?.aborted) {
+        onAbort();
+      } else {
+        signal?.addEventListener('abort', onAbort, { once: true });
+      }
     });
   }
 
@@ -212,6 +363,21 @@ class ErrorHandlerService {
       case 'NETWORK_ERROR':
         return 'Unable to connect to the server. Please check your internet connection and try again.';
 
+      case 'TIMEOUT':
+        return 'The server is taking too long to respond. Please try again in a few moments.';
+
+      case 'PERMISSION_DENIED':
+        return 'You do not have permission to perform this action. Ask a WorkSync admin for access.';
+
+      case 'CONTRACT_VIOLATION':
+        return 'The server returned data in an unexpected format. Please contact support if this continues.';
+
+      case 'CIRCUIT_OPEN':
+        return this.getCircuitMessage(errorInfo.upstream, errorInfo.retryAfter);
+
+      case 'QUEUE_TIMEOUT':
+        return 'Too many requests are waiting on API limits right now. Please try again in a few moments.';
+
       case 'AUTH_ERROR':
         return 'Your session has expired. Please sign in again.';
 
@@ -232,9 +398,6 @@ class ErrorHandlerService {
         if (errorInfo.code === 400) {
           return 'Invalid request. Please check your input and try again.';
         }
-        if (errorInfo.code === 403) {
-          return 'You do not have permission to perform this action.';
-        }
         if (errorInfo.code === 404) {
           return 'The requested resource was not found.';
         }
@@ -249,6 +412,11 @@ class ErrorHandlerService {
    * Extract retry-after value from error
    */
   extractRetryAfter(error) {
+    // Set on errors raised locally (see assertNotRateLimited)
+    if (error.retryAfter) {
+      return error.retryAfter;
+    }
+
     // Check headers if available
     if (error.headers && error.headers['retry-after']) {
       return parseInt(error.headers['retry-after']);
@@ -280,88 +448,316 @@ class ErrorHandlerService {
   }
 
   /**
-   * Update rate limit status tracking
+   * Update rate limit status tracking (kept by the RateLimiter)
    */
-  updateRateLimitStatus(provider, retryAfter) {
-    if (!this.rateLimitStatus[provider]) return;
-
-    this.rateLimitStatus[provider] = {
-      remaining: 0,
-      resetTime: new Date(Date.now() + (retryAfter || 60) * 1000)
-    };
-
-    this.log(`Rate limit hit for ${provider}, reset at:`, this.rateLimitStatus[provider].resetTime);
+  updateRateLimitStatus(provider, retryAfter, realmId = null) {
+    rateLimiter.markRateLimited(provider, realmId, retryAfter);
   }
 
   /**
    * Check if provider is currently rate limited
    */
-  isRateLimited(provider) {
-    const status = this.rateLimitStatus[provider];
-    if (!status || !status.resetTime) return false;
-
-    const now = new Date();
-    if (now >= status.resetTime) {
-      // Reset the rate limit status
-      status.remaining = this.rateLimits[provider];
-      status.resetTime = null;
-      return false;
-    }
+  isRateLimited(provider, realmId = null) {
+    return rateLimiter.isRateLimited(provider, realmId);
+  }
 
-    return status.remaining <= 0;
+  /**
+   * Throw a 429-like error instead of calling a provider that refused
+   * requests until its reset time
+   */
+  assertNotRateLimited(provider, realmId = null) {
+    if (!this.isRateLimited(provider, realmId)) return;
+
+    const { resetTime } = this.getRateLimitStatus(provider, realmId);
+    const error = new Error(`Rate limited for ${provider}. Reset at: ${resetTime}`);
+    error.name = 'RateLimitedError';
+    error.isLocalRateLimit = true;
+    error.status = 429;
+    error.retryAfter = Math.max(1, Math.ceil((resetTime - Date.now()) / 1000));
+    throw error;
   }
 
   /**
    * Get rate limit status for UI display
    */
-  getRateLimitStatus(provider) {
-    const status = this.rateLimitStatus[provider];
+  getRateLimitStatus(provider, realmId = null) {
+    const status = rateLimiter.getRateLimitStatus(provider, realmId);
     if (!status) return null;
 
     return {
       provider,
-      limit: this.rateLimits[provider],
+      realmId: status.realmId,
+      // Jobber is limited in query points, QuickBooks in requests
+      limit: status.costBased ? status.maximumAvailable : status.maxRequests,
       remaining: status.remaining,
       resetTime: status.resetTime,
-      isLimited: this.isRateLimited(provider)
+      isLimited: status.isLimited
+    };
+  }
+
+  /**
+   * Create a fresh closed circuit
+   */
+  createCircuit() {
+    return {
+      state: 'closed',
+      failures: 0,
+      openedAt: null,
+      openUntil: null,
+      probeTimer: null,
+      trialInFlight: false
     };
   }
 
   /**
-   * Create retry function with error handling
+   * Map a request context to its upstream circuit
+   */
+  getUpstream(context = {}) {
+    const provider = context.provider;
+    return provider === 'jobber' || provider === 'quickbooks' ? provider : 'backend';
+  }
+
+  /**
+   * Register the health probe used to test an open circuit (see WorkSyncAPI.getHealthStatus)
+   */
+  setCircuitProbe(probe) {
+    this.circuitProbe = probe;
+  }
+
+  /**
+   * Throw a fast-fail error if the upstream's circuit does not allow a call
+   */
+  assertCircuitClosed(context = {}) {
+    const upstream = this.getUpstream(context);
+    const circuit = this.circuits[upstream];
+
+    if (circuit.state === 'closed') return;
+
+    // Half-open allows a single trial request at a time
+    if (circuit.state === 'half-open' && !circuit.trialInFlight) {
+      circuit.trialInFlight = true;
+      return;
+    }
+
+    const retryAfter = circuit.state === 'open'
+      ? Math.max(1, Math.ceil((circuit.openUntil - Date.now()) / 1000))
+      : null;
+    const error = new Error(this.getCircuitMessage(upstream, retryAfter));
+    error.name = 'CircuitOpenError';
+    error.isCircuitOpen = true;
+    error.code = 'CIRCUIT_OPEN';
+    error.upstream = upstream;
+    error.retryAfter = retryAfter;
+    throw error;
+  }
+
+  /**
+   * Record a successful call, closing a half-open circuit
+   */
+  recordCircuitSuccess(context = {}) {
+    const upstream = this.getUpstream(context);
+    const circuit = this.circuits[upstream];
+
+    circuit.failures = 0;
+    circuit.trialInFlight = false;
+    if (circuit.state !== 'closed') {
+      this.setCircuitState(upstream, 'closed');
+    }
+  }
+
+  /**
+   * Record a failed call; only upstream failures (network, timeout, 5xx) count
+   */
+  recordCircuitFailure(context = {}, errorInfo) {
+    if (errorInfo.isCircuitOpen) return;
+
+    const upstream = this.getUpstream(context);
+    const circuit = this.circuits[upstream];
+    const isUpstreamFailure = errorInfo.isNetworkError || errorInfo.isTimeout || errorInfo.isServerError;
+
+    if (!isUpstreamFailure) {
+      // The upstream answered, so a half-open trial still proves it is reachable
+      if (circuit.state === 'half-open') this.recordCircuitSuccess(context);
+      return;
+    }
+
+    circuit.failures++;
+    circuit.trialInFlight = false;
+
+    if (circuit.state === 'half-open' || circuit.failures >= this.circuitConfig.failureThreshold) {
+      this.openCircuit(upstream);
+    }
+  }
+
+  /**
+   * Release a half-open trial slot without a verdict (e.g. the call was cancelled)
+   */
+  releaseCircuitTrial(context = {}) {
+    this.circuits[this.getUpstream(context)].trialInFlight = false;
+  }
+
+  /**
+   * Open a circuit and schedule the health probe
+   */
+  openCircuit(upstream) {
+    const circuit = this.circuits[upstream];
+    const now = Date.now();
+
+    circuit.openedAt = new Date(now);
+    circuit.openUntil = now + this.circuitConfig.openDurationMs;
+    clearTimeout(circuit.probeTimer);
+    circuit.probeTimer = setTimeout(() => this.probeCircuit(upstream), this.circuitConfig.openDurationMs);
+
+    this.setCircuitState(upstream, 'open');
+  }
+
+  /**
+   * Probe an open circuit's upstream; success moves it to half-open
+   */
+  async probeCircuit(upstream) {
+    const circuit = this.circuits[upstream];
+    circuit.probeTimer = null;
+
+    if (!this.circuitProbe) {
+      this.setCircuitState(upstream, 'half-open');
+      return;
+    }
+
+    try {
+      await this.circuitProbe(upstream);
+      this.log(`Health probe succeeded for ${upstream}`);
+      circuit.trialInFlight = false;
+      this.setCircuitState(upstream, 'half-open');
+    } catch (error) {
+      this.log(`Health probe failed for ${upstream}:`, error.message);
+      this.openCircuit(upstream);
+    }
+  }
+
+  /**
+   * Change circuit state and notify the UI
+   */
+  setCircuitState(upstream, state) {
+    const circuit = this.circuits[upstream];
+    const previousState = circuit.state;
+    circuit.state = state;
+
+    if (state === 'closed') {
+      clearTimeout(circuit.probeTimer);
+      Object.assign(circuit, this.createCircuit());
+    }
+
+    if (previousState !== state || state === 'open') {
+      this.log(`Circuit for ${upstream}: ${previousState} -> ${state}`);
+      eventBus.emit('circuit_state_changed', this.getCircuitStatus(upstream));
+    }
+  }
+
+  /**
+   * Get circuit status for UI display
+   */
+  getCircuitStatus(upstream) {
+    const circuit = this.circuits[upstream];
+    if (!circuit) return null;
+
+    const retryInMs = circuit.state === 'open' && circuit.openUntil
+      ? Math.max(0, circuit.openUntil - Date.now())
+      : 0;
+
+    return {
+      upstream,
+      label: this.upstreamLabels[upstream],
+      state: circuit.state,
+      failures: circuit.failures,
+      openedAt: circuit.openedAt,
+      retryInMs,
+      message: circuit.state === 'closed' ? null : this.getCircuitMessage(upstream, Math.ceil(retryInMs / 1000))
+    };
+  }
+
+  /**
+   * Get status of every circuit
+   */
+  getAllCircuitStatuses() {
+    return Object.keys(this.circuits).map(upstream => this.getCircuitStatus(upstream));
+  }
+
+  /**
+   * User-facing message for a paused upstream
+   */
+  getCircuitMessage(upstream, retryAfterSeconds) {
+    const label = this.upstreamLabels[upstream] || upstream;
+    if (!retryAfterSeconds) {
+      return `${label} calls paused while we check the connection`;
+    }
+    return `${label} calls paused for ${retryAfterSeconds}s`;
+  }
+
+  /**
+   * Create retry function with error handling.
+   * This is the only place requests are retried; handleError never waits.
    */
   withRetry(asyncFunction, context = {}) {
     return async (...args) => {
-      let lastError;
       let retryCount = 0;
 
-      while (retryCount <= this.retryConfig.maxRetries) {
+      for (;;) {
         try {
-          return await asyncFunction(...args);
+          const result = await asyncFunction(...args);
+          if (retryCount > 0) {
+            this.emitRetryEvent('request_retry_settled', context, { retryCount, success: true });
+          }
+          return result;
         } catch (error) {
-          lastError = error;
-          const errorResult = await this.handleError(error, { ...context, retryCount });
-
-          if (!errorResult.shouldRetry && !errorResult.canRetry) {
-            throw this.createEnhancedError(error, errorResult);
+          // Cancelled requests are never retried
+          if (error.name === 'AbortError') {
+            if (retryCount > 0) {
+              this.emitRetryEvent('request_retry_settled', context, { retryCount, success: false, cancelled: true });
+            }
+            throw error;
           }
 
-          if (errorResult.shouldRetry) {
-            retryCount++;
-            if (errorResult.delay) {
-              await new Promise(resolve => setTimeout(resolve, errorResult.delay));
+          const originalError = error.originalError || error;
+          const errorInfo = this.analyzeError(originalError, context);
+          const decision = this.getRetryDecision(errorInfo, { ...context, retryCount });
+
+          if (!decision.shouldRetry) {
+            if (retryCount > 0) {
+              this.emitRetryEvent('request_retry_settled', context, { retryCount, success: false });
             }
-            continue;
+            if (error.originalError) throw error;
+            throw this.createEnhancedError(error, await this.handleError(error, { ...context, retryCount }));
           }
 
-          throw this.createEnhancedError(error, errorResult);
+          retryCount = decision.retryCount;
+          this.log(`Retrying ${context.endpoint} (${retryCount}/${decision.maxRetries}) in ${Math.round(decision.delay)}ms`);
+          this.emitRetryEvent('request_retry', context, {
+            retryCount,
+            maxRetries: decision.maxRetries,
+            delay: decision.delay,
+            reason: errorInfo.category,
+            userMessage: `Retrying (${retryCount}/${decision.maxRetries})…`
+          });
+
+          await this.waitForRetry(decision.delay, context.signal);
         }
       }
-
-      throw this.createEnhancedError(lastError, { userMessage: 'Maximum retries exceeded' });
     };
   }
 
+  /**
+   * Emit a retry lifecycle event on the event bus
+   */
+  emitRetryEvent(event, context, details) {
+    eventBus.emit(event, {
+      endpoint: context.endpoint,
+      method: context.method || 'GET',
+      provider: context.provider || null,
+      ...details,
+      timestamp: new Date()
+    });
+  }
+
   /**
    * Create enhanced error with user-friendly information
    */
@@ -373,6 +769,12 @@ class ErrorHandlerService {
     enhancedError.canRetry = errorResult.canRetry;
     enhancedError.requiresReauth = errorResult.requiresReauth;
     enhancedError.isRateLimit = errorResult.isRateLimit;
+    enhancedError.retryAfter = errorResult.retryAfter;
+    enhancedError.isTimeout = originalError.isTimeout || false;
+    enhancedError.isCircuitOpen = originalError.isCircuitOpen || false;
+    enhancedError.isContractViolation = originalError.isContractViolation || false;
+    enhancedError.isPermissionDenied = errorResult.isPermissionDenied || false;
+    enhancedError.shouldRetry = errorResult.shouldRetry || false;
     enhancedError.provider = errorResult.provider;
     return enhancedError;
   }
@@ -1,21 +1,32 @@
 /**
  * Simple event bus for cross-component communication.
  * Used for webhook notifications and real-time updates.
+ *
+ * Listeners registered with { scoped: true } belong to the active workspace
+ * (see workspaceService) and are dropped when the scope changes, so nothing
+ * subscribed for one workspace hears events meant for the next.
  */
 
 class EventBus {
   constructor() {
     this.listeners = new Map();
+    this.scope = null;
+    this.scopedListeners = [];
   }
   
   /**
    * Adds an event listener.
+   * @param {Object} options - { scoped } to remove it on the next scope change
    */
-  on(event, callback) {
+  on(event, callback, { scoped = false } = {}) {
     if (!this.listeners.has(event)) {
       this.listeners.set(event, new Set());
     }
     this.listeners.get(event).add(callback);
+    
+    if (scoped) {
+      this.scopedListeners.push({ event, callback });
+    }
   }
   
   /**
@@ -25,6 +36,32 @@ class EventBus {
     if (this.listeners.has(event)) {
       this.listeners.get(event).delete(callback);
     }
+    this.scopedListeners = this.scopedListeners.filter(listener => (
+      listener.event !== event || listener.callback !== callback
+    ));
+  }
+  
+  /**
+   * Switches the active scope, dropping every scoped listener.
+   */
+  setScope(scope) {
+    if (scope === this.scope) return;
+    
+    const previousScope = this.scope;
+    this.scopedListeners.forEach(({ event, callback }) => {
+      this.listeners.get(event)?.delete(callback);
+    });
+    this.scopedListeners = [];
+    this.scope = scope;
+    
+    this.emit('scope_changed', { scope, previousScope });
+  }
+  
+  /**
+   * Gets the active scope.
+   */
+  getScope() {
+    return this.scope;
   }
   
   /**
@@ -48,8 +85,10 @@ class EventBus {
   removeAllListeners(event) {
     if (event) {
       this.listeners.delete(event);
+      this.scopedListeners = this.scopedListeners.filter(listener => listener.event !== event);
     } else {
       this.listeners.clear();
+      this.scopedListeners = [];
     }
   }
   
@@ -0,0 +1,1090 @@
+/**
+ * Fake WorkSync Backend
+ * Stateful in-browser stand-in for the WorkSync backend, used as the
+ * WorkSyncAPI transport when VITE_ENABLE_MOCK_MODE is true. Jobs, clients,
+ * provider connections and sync history persist in localStorage, so the
+ * Jobs -> sync -> History flow works (and survives reloads) with no network.
+ *
+ * Failures, 429s and outages can be scheduled on demand, e.g. from the
+ * browser console through window.worksyncFakeBackend:
+ *   worksyncFakeBackend.failNext('/sync/', { status: 503, times: 2 })
+ *   worksyncFakeBackend.rateLimitNext('/jobs', { retryAfter: 10 })
+ *   worksyncFakeBackend.setSyncFailureRate(0.3)
+ *   worksyncFakeBackend.seed({ jobCount: 60, connected: true, realmCount: 2 })
+ *
+ * Data is kept per workspace (organization, see DEMO_WORKSPACES) and the
+ * X-Workspace-Id header selects which one a request reads and writes. Each
+ * QuickBooks consent connects the workspace's next company, so several
+ * realms can be connected side by side.
+ *
+ * Provider API limits are simulated in memory (see getProviderCost): Jobber
+ * meters GraphQL query cost per account and reports it in extensions.cost,
+ * QuickBooks counts calls per company and reports x-ratelimit-* headers.
+ * Calls over either limit get a 429.
+ *
+ * Demo staff accounts (see DEMO_USERS) sign in with the password "demo".
+ */
+
+import { tokenStorage } from './tokenStorage.js';
+import { PERMISSIONS, hasPermission } from './permissions.js';
+
+const JOB_STATUSES = ['completed', 'completed', 'invoiced', 'scheduled', 'in_progress', 'cancelled'];
+
+const JOB_TITLES = [
+  'Lawn maintenance', 'Gutter cleaning', 'HVAC inspection', 'Window washing',
+  'Deck staining', 'Plumbing repair', 'Snow removal', 'Pressure washing',
+  'Tree trimming', 'Electrical panel upgrade', 'Carpet cleaning', 'Fence repair'
+];
+
+const CLIENT_NAMES = [
+  'Acme Property Management', 'Brightside Dental', 'Casa Verde Condos', 'Delgado Family',
+  'Evergreen Offices', 'Fairview HOA', 'Greenwood Bakery', 'Harbor View Hotel'
+];
+
+// Realistic reasons QuickBooks rejects an invoice
+const SYNC_FAILURE_MESSAGES = [
+  'QuickBooks rejected the invoice: customer not found',
+  'QuickBooks rejected the invoice: duplicate document number',
+  'QuickBooks rejected the invoice: income account is inactive'
+];
+
+// Any of these staff members can sign in with the password "demo"
+const DEMO_USERS = [
+  {
+    id: 'user-ana',
+    email: 'ana@worksync.example',
+    name: 'Ana Rodríguez',
+    role: 'admin',
+    workspaceIds: ['ws-worksync', 'ws-casaverde']
+  },
+  {
+    id: 'user-luis',
+    email: 'luis@worksync.example',
+    name: 'Luis Méndez',
+    role: 'bookkeeper',
+    workspaceIds: ['ws-worksync', 'ws-casaverde']
+  },
+  {
+    id: 'user-sofia',
+    email: 'sofia@worksync.example',
+    name: 'Sofía Vargas',
+    role: 'viewer',
+    workspaceIds: ['ws-worksync']
+  }
+];
+
+const DEMO_PASSWORD = 'demo';
+
+// Organizations, each with its own Jobber account and the QuickBooks
+// companies offered on its consent screen (in order)
+const DEMO_WORKSPACES = [
+  {
+    id: 'ws-worksync',
+    name: 'WorkSync Costa Rica',
+    jobberAccount: { accountId: 'jobber-acct-1', accountName: 'WorkSync Field Services' },
+    companies: [
+      { realmId: '9130350000000001', companyName: 'WorkSync Servicios S.A.' },
+      { realmId: '9130350000000002', companyName: 'WorkSync Norte LLC' },
+      { realmId: '9130350000000003', companyName: 'WorkSync Sur S.R.L.' }
+    ]
+  },
+  {
+    id: 'ws-casaverde',
+    name: 'Casa Verde Property Co.',
+    jobberAccount: { accountId: 'jobber-acct-2', accountName: 'Casa Verde Maintenance' },
+    companies: [
+      { realmId: '9130350000000101', companyName: 'Casa Verde Property Co.' },
+      { realmId: '9130350000000102', companyName: 'Casa Verde Rentals LLC' }
+    ]
+  }
+];
+
+// Provider API limits: Jobber restores query cost points per second,
+// QuickBooks allows a number of calls per company per window
+const JOBBER_QUOTA = { maximumAvailable: 10000, restoreRate: 500 };
+const QUICKBOOKS_QUOTA = { limit: 500, windowMs: 60 * 1000 };
+
+// Bump when the state shape changes; older saved state is reseeded
+const STATE_VERSION = 4;
+
+const STATUS_TEXT = {
+  200: 'OK',
+  400: 'Bad Request',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'Not Found',
+  429: 'Too Many Requests',
+  500: 'Internal Server Error',
+  502: 'Bad Gateway',
+  503: 'Service Unavailable'
+};
+
+/**
+ * Small deterministic PRNG so a given seed always produces the same data
+ */
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+class FakeWorkSyncBackend {
+  constructor() {
+    this.storageKey = 'worksync_fake_backend';
+    this.debugLogging = import.meta.env.VITE_ENABLE_DEBUG_LOGGING === 'true';
+    this.latency = parseInt(import.meta.env.VITE_MOCK_LATENCY) || 300;
+    this.syncFailureRate = parseFloat(import.meta.env.VITE_MOCK_SYNC_FAILURE_RATE) || 0;
+    this.offline = false;
+    this.faults = [];
+    // Provider quotas by provider and account/company, like the providers' own counters
+    this.quotas = {};
+
+    this.routes = {
+      'GET /': () => this.handleRoot(),
+      'GET /health': () => this.handleHealth(),
+      'POST /session/login': (req) => this.handleLogin(req),
+      'POST /session/logout': (req) => this.handleLogout(req),
+      'GET /auth/status': () => this.handleAuthStatus(),
+      'GET /auth/jobber': () => this.handleAuthUrl('jobber'),
+      'GET /auth/quickbooks': () => this.handleAuthUrl('quickbooks'),
+      'POST /auth/quickbooks/default': (req) => this.handleSetDefaultRealm(req),
+      'POST /auth/disconnect': (req) => this.handleDisconnect(req),
+      'POST /auth/refresh': (req) => this.handleRefresh(req),
+      'GET /jobs': (req) => this.handleListJobs(req),
+      'GET /jobs/recent': () => this.handleRecentJobs(),
+      'GET /jobs/pending': () => this.handlePendingJobs(),
+      'POST /sync/job': (req) => this.handleSyncJob(req),
+      'POST /sync/multiple': (req) => this.handleSyncMultiple(req),
+      'POST /sync/pending': (req) => this.handleSyncPending(req),
+      'GET /sync/stats': () => this.handleSyncStats()
+    };
+
+    // Routes the signed-in user's role must allow
+    this.routePermissions = {
+      'GET /auth/jobber': PERMISSIONS.MANAGE_CONNECTIONS,
+      'GET /auth/quickbooks': PERMISSIONS.MANAGE_CONNECTIONS,
+      'POST /auth/quickbooks/default': PERMISSIONS.MANAGE_CONNECTIONS,
+      'POST /auth/disconnect': PERMISSIONS.MANAGE_CONNECTIONS,
+      'POST /sync/job': PERMISSIONS.SYNC_JOBS,
+      'POST /sync/multiple': PERMISSIONS.SYNC_JOBS,
+      'POST /sync/pending': PERMISSIONS.SYNC_JOBS
+    };
+
+    this.state = this.loadState() || this.createState();
+    // Workspace of the request being handled (see resolveWorkspace)
+    this.workspace = null;
+  }
+
+  /**
+   * fetch()-compatible entry point. Routes on the URL path, so the API
+   * base URL must not carry a path prefix.
+   */
+  async fetch(url, init = {}) {
+    const method = (init.method || 'GET').toUpperCase();
+    const { pathname, searchParams } = new URL(url, 'http://worksync.fake');
+    const headers = init.headers || {};
+
+    await this.delay(this.latency, init.signal);
+
+    if (this.offline) {
+      throw new TypeError('Failed to fetch');
+    }
+
+    const fault = this.takeFault(method, pathname);
+    if (fault) {
+      return this.respondWithFault(fault);
+    }
+
+    // Every open tab talks to the same fake server: pick up what other tabs saved
+    this.state = this.loadState() || this.state;
+
+    const handler = this.routes[`${method} ${pathname}`];
+    if (!handler) {
+      return this.respond(404, { success: false, message: `No fake route for ${method} ${pathname}` });
+    }
+
+    let body = {};
+    try {
+      body = init.body ? JSON.parse(init.body) : {};
+    } catch {
+      return this.respond(400, { success: false, message: 'Request body is not valid JSON' });
+    }
+
+    const requiredPermission = this.routePermissions[`${method} ${pathname}`];
+    if (requiredPermission && !hasPermission(this.getSessionUser(headers), requiredPermission)) {
+      return this.respond(403, {
+        success: false,
+        message: 'Your role does not allow this action',
+        requiredPermission
+      });
+    }
+
+    const workspace = this.resolveWorkspace(headers);
+    if (workspace.error) {
+      return this.respond(...workspace.error);
+    }
+    this.workspace = workspace;
+
+    // Replay the stored outcome for a reused idempotency key
+    const idempotencyKey = headers['Idempotency-Key'];
+    if (idempotencyKey && this.state.idempotency[idempotencyKey]) {
+      const stored = this.state.idempotency[idempotencyKey];
+      this.log('Replaying idempotent result for', pathname, idempotencyKey);
+      return this.respond(stored.status, stored.body, { 'idempotent-replayed': 'true' });
+    }
+
+    const cost = this.getProviderCost(method, pathname, { query: searchParams, body });
+    const quota = cost && this.getQuota(cost);
+    if (quota && quota.available < cost.cost) {
+      return this.respondOverQuota(cost, quota);
+    }
+
+    const [status, responseBody] = handler({ method, path: pathname, query: searchParams, body, headers });
+    this.log(method, pathname, '->', status);
+
+    if (idempotencyKey && status < 500) {
+      this.rememberIdempotentResult(idempotencyKey, status, responseBody);
+    }
+    this.saveState();
+
+    if (quota && status < 400) {
+      return this.respond(status, ...this.chargeQuota(cost, quota, responseBody));
+    }
+    return this.respond(status, responseBody);
+  }
+
+  // Fault injection
+
+  /**
+   * Fail the next matching request(s)
+   * @param {string|Function} match - Path prefix or predicate (method, path) => boolean
+   * @param {Object} options - { status, message, times, network, method }
+   */
+  failNext(match, { status = 500, message = 'Simulated backend failure', times = 1, network = false, method = null } = {}) {
+    this.faults.push({ match, method, status, message, times, network });
+  }
+
+  /**
+   * Answer the next matching request(s) with 429 Too Many Requests
+   */
+  rateLimitNext(match, { retryAfter = 30, times = 1, method = null } = {}) {
+    this.faults.push({
+      match,
+      method,
+      status: 429,
+      message: 'Rate limit exceeded',
+      times,
+      retryAfter
+    });
+  }
+
+  /**
+   * Drop all scheduled faults
+   */
+  clearFaults() {
+    this.faults = [];
+  }
+
+  /**
+   * Fraction (0-1) of job syncs that QuickBooks rejects
+   */
+  setSyncFailureRate(rate) {
+    this.syncFailureRate = Math.min(Math.max(rate, 0), 1);
+  }
+
+  /**
+   * Simulated network latency in milliseconds
+   */
+  setLatency(ms) {
+    this.latency = Math.max(ms, 0);
+  }
+
+  /**
+   * Make every request fail as if the network were down
+   */
+  setOffline(offline = true) {
+    this.offline = offline;
+  }
+
+  takeFault(method, path) {
+    const index = this.faults.findIndex(fault => (
+      (!fault.method || fault.method === method) &&
+      (typeof fault.match === 'function' ? fault.match(method, path) : path.startsWith(fault.match))
+    ));
+    if (index === -1) return null;
+
+    const fault = this.faults[index];
+    fault.times--;
+    if (fault.times <= 0) {
+      this.faults.splice(index, 1);
+    }
+    return fault;
+  }
+
+  respondWithFault(fault) {
+    this.log('Injecting fault:', fault);
+
+    if (fault.network) {
+      throw new TypeError('Failed to fetch');
+    }
+
+    const headers = {};
+    if (fault.status === 429) {
+      headers['retry-after'] = String(fault.retryAfter);
+      headers['x-ratelimit-remaining'] = '0';
+      headers['x-ratelimit-reset'] = String(Math.ceil(Date.now() / 1000) + fault.retryAfter);
+    }
+
+    return this.respond(fault.status, {
+      success: false,
+      message: fault.message,
+      ...(fault.retryAfter && { retryAfter: fault.retryAfter })
+    }, headers);
+  }
+
+  // Provider quotas
+
+  /**
+   * What a request costs against its provider's limit, or null for calls
+   * that don't reach a provider. Jobber queries cost points by page size;
+   * QuickBooks syncs make one call per job.
+   */
+  getProviderCost(method, path, { query, body }) {
+    if (method === 'GET' && path.startsWith('/jobs')) {
+      const pageSize = { '/jobs/recent': 10, '/jobs/pending': 50 }[path] || parseInt(query.get('perPage')) || 50;
+      return { provider: 'jobber', key: this.workspace.connections.jobber.accountId, cost: 2 + pageSize * 3 };
+    }
+
+    if (method === 'POST' && path.startsWith('/sync/')) {
+      const calls = {
+        '/sync/job': 1,
+        '/sync/multiple': body.jobIds?.length || 1,
+        '/sync/pending': Math.max(this.pendingJobs().length, 1)
+      }[path];
+      return calls ? { provider: 'quickbooks', key: body.realmId || this.getDefaultRealmId(), cost: calls } : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * The account's point bucket, refilled, or the company's call window,
+   * started over once it has passed. available is what can be spent now.
+   */
+  getQuota({ provider, key }) {
+    const now = Date.now();
+    const quotaKey = `${provider}:${key}`;
+
+    if (provider === 'jobber') {
+      const bucket = this.quotas[quotaKey] || { available: JOBBER_QUOTA.maximumAvailable, updatedAt: now };
+      bucket.available = Math.min(
+        JOBBER_QUOTA.maximumAvailable,
+        bucket.available + ((now - bucket.updatedAt) / 1000) * JOBBER_QUOTA.restoreRate
+      );
+      bucket.updatedAt = now;
+      this.quotas[quotaKey] = bucket;
+      return bucket;
+    }
+
+    if (!this.quotas[quotaKey] || now >= this.quotas[quotaKey].resetAt) {
+      this.quotas[quotaKey] = { available: QUICKBOOKS_QUOTA.limit, resetAt: now + QUICKBOOKS_QUOTA.windowMs };
+    }
+    return this.quotas[quotaKey];
+  }
+
+  /**
+   * Forget all quota usage
+   */
+  resetQuotas() {
+    this.quotas = {};
+  }
+
+  respondOverQuota(cost, quota) {
+    this.log(`${cost.provider} limit reached for ${cost.key}:`, quota);
+
+    if (cost.provider === 'jobber') {
+      const retryAfter = Math.ceil((cost.cost - quota.available) / JOBBER_QUOTA.restoreRate);
+      return this.respond(429, {
+        success: false,
+        message: 'Jobber API query cost limit exceeded',
+        retryAfter,
+        extensions: { cost: this.describeQueryCost(cost.cost, null, quota) }
+      }, { 'retry-after': String(retryAfter) });
+    }
+
+    const retryAfter = Math.max(Math.ceil((quota.resetAt - Date.now()) / 1000), 1);
+    return this.respond(429, {
+      success: false,
+      message: 'QuickBooks API rate limit exceeded',
+      retryAfter
+    }, { 'retry-after': String(retryAfter), ...this.describeCallWindow(quota) });
+  }
+
+  /**
+   * Spend a successful call's cost and report the quota the way the
+   * provider does. Jobber only charges for the jobs a query returned.
+   * @returns {[Object, Object]} Response body and headers
+   */
+  chargeQuota(cost, quota, body) {
+    if (cost.provider === 'jobber') {
+      const actualQueryCost = body.jobs ? Math.min(2 + body.jobs.length * 3, cost.cost) : cost.cost;
+      quota.available -= actualQueryCost;
+      return [{ ...body, extensions: { cost: this.describeQueryCost(cost.cost, actualQueryCost, quota) } }, {}];
+    }
+
+    quota.available -= cost.cost;
+    return [body, this.describeCallWindow(quota)];
+  }
+
+  describeQueryCost(requestedQueryCost, actualQueryCost, quota) {
+    return {
+      requestedQueryCost,
+      actualQueryCost,
+      throttleStatus: {
+        maximumAvailable: JOBBER_QUOTA.maximumAvailable,
+        currentlyAvailable: Math.floor(quota.available),
+        restoreRate: JOBBER_QUOTA.restoreRate
+      }
+    };
+  }
+
+  describeCallWindow(quota) {
+    return {
+      'x-ratelimit-limit': String(QUICKBOOKS_QUOTA.limit),
+      'x-ratelimit-remaining': String(Math.max(quota.available, 0)),
+      'x-ratelimit-reset': String(Math.ceil(quota.resetAt / 1000))
+    };
+  }
+
+  // Seeding and persistence
+
+  /**
+   * Replace all data with a generated (or explicit) data set. Every
+   * workspace gets its own data, generated from seed + its index.
+   * @param {Object} options - { seed, jobCount, clientCount, connected, realmCount, jobs, clients }
+   */
+  seed(options = {}) {
+    this.state = this.createState(options);
+    this.saveState();
+    return this.state;
+  }
+
+  /**
+   * Back to the default data set
+   */
+  reset() {
+    this.clearFaults();
+    this.resetQuotas();
+    return this.seed();
+  }
+
+  createState({ seed = 42, users = DEMO_USERS, ...options } = {}) {
+    return {
+      version: STATE_VERSION,
+      users,
+      workspaces: Object.fromEntries(DEMO_WORKSPACES.map((definition, index) => (
+        [definition.id, this.createWorkspace(definition, { ...options, seed: seed + index })]
+      ))),
+      sessions: {},
+      idempotency: {}
+    };
+  }
+
+  createWorkspace(definition, {
+    seed,
+    jobCount = 24,
+    clientCount = 6,
+    connected = false,
+    realmCount = 1,
+    jobs,
+    clients
+  }) {
+    const random = createRandom(seed);
+    const pick = (list) => list[Math.floor(random() * list.length)];
+    const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+    const seededClients = clients || CLIENT_NAMES.slice(0, clientCount).map((name, index) => ({
+      id: `client-${index + 1}`,
+      name,
+      email: `billing@${name.toLowerCase().replace(/[^a-z]+/g, '')}.example`
+    }));
+
+    const seededJobs = jobs || Array.from({ length: jobCount }, (_, index) => {
+      const client = pick(seededClients);
+      const createdDaysAgo = Math.floor(random() * 30) + 1;
+      return {
+        id: `job-${1000 + index}`,
+        title: `${pick(JOB_TITLES)} - ${client.name}`,
+        status: pick(JOB_STATUSES),
+        client: { id: client.id, name: client.name },
+        scheduled_date: daysAgo(createdDaysAgo - Math.floor(random() * 7)),
+        created_at: daysAgo(createdDaysAgo),
+        total_amount: Math.round((80 + random() * 1900) * 100) / 100,
+        syncStatus: null
+      };
+    });
+
+    const connectedAt = connected ? new Date().toISOString() : null;
+    const realms = connected
+      ? definition.companies.slice(0, realmCount).map(company => ({ ...company, connectedAt, lastSync: null }))
+      : [];
+    const { accountId } = definition.jobberAccount;
+
+    return {
+      id: definition.id,
+      name: definition.name,
+      clients: seededClients,
+      jobs: seededJobs,
+      connections: {
+        jobber: { connected: Boolean(connected), connectedAt, lastSync: null, ...definition.jobberAccount },
+        // Default target company per Jobber account
+        quickbooks: {
+          realms,
+          defaultRealms: realms.length ? { [accountId]: realms[0].realmId } : {}
+        }
+      },
+      syncLog: []
+    };
+  }
+
+  loadState() {
+    try {
+      const stored = localStorage.getItem(this.storageKey);
+      const state = stored ? JSON.parse(stored) : null;
+      return state?.version === STATE_VERSION ? state : null;
+    } catch (error) {
+      console.error('Failed to read fake backend state:', error);
+      return null;
+    }
+  }
+
+  saveState() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.state));
+    } catch (error) {
+      console.error('Failed to store fake backend state:', error);
+    }
+  }
+
+  rememberIdempotentResult(key, status, body) {
+    this.state.idempotency[key] = { status, body, storedAt: new Date().toISOString() };
+
+    // Keep the most recent 100 results
+    const keys = Object.keys(this.state.idempotency);
+    if (keys.length > 100) {
+      keys
+        .sort((a, b) => this.state.idempotency[a].storedAt.localeCompare(this.state.idempotency[b].storedAt))
+        .slice(0, keys.length - 100)
+        .forEach(oldKey => delete this.state.idempotency[oldKey]);
+    }
+  }
+
+  // Route handlers return [status, body]
+
+  handleRoot() {
+    return [200, { success: true, service: 'WorkSync fake backend', status: 'UP' }];
+  }
+
+  handleHealth() {
+    return [200, { success: true, status: 'Mock Mode - fake backend', timestamp: new Date().toISOString() }];
+  }
+
+  handleLogin({ body }) {
+    const user = this.state.users.find(candidate => candidate.email === body.email?.trim().toLowerCase());
+    if (!user || body.password !== DEMO_PASSWORD) {
+      return [401, { success: false, message: 'Invalid email or password' }];
+    }
+
+    const sessionToken = `fake-session-${user.id}-${Math.random().toString(36).slice(2, 12)}`;
+    this.state.sessions[sessionToken] = user.id;
+
+    return [200, {
+      success: true,
+      user: { id: user.id, email: user.email, name: user.name, role: user.role },
+      workspaces: user.workspaceIds.map(workspaceId => ({
+        id: workspaceId,
+        name: this.state.workspaces[workspaceId].name
+      })),
+      sessionToken,
+      expiresAt: new Date(Date.now() + 8 * 60 * 60 * 1000).toISOString()
+    }];
+  }
+
+  handleLogout({ headers }) {
+    delete this.state.sessions[headers['X-Session-Token']];
+    return [200, { success: true }];
+  }
+
+  handleAuthStatus() {
+    const { jobber, quickbooks } = this.workspace.connections;
+    this.handOffTokens();
+    const defaultRealmId = this.getDefaultRealmId();
+    const lastSyncs = quickbooks.realms.map(realm => realm.lastSync).filter(Boolean).sort();
+
+    return [200, {
+      success: true,
+      jobber: {
+        connected: jobber.connected,
+        authenticated: jobber.connected,
+        lastSync: jobber.lastSync,
+        expiresAt: null,
+        expired: false,
+        accountId: jobber.accountId,
+        accountName: jobber.accountName,
+        error: null
+      },
+      quickbooks: {
+        connected: quickbooks.realms.length > 0,
+        authenticated: quickbooks.realms.length > 0,
+        lastSync: lastSyncs[lastSyncs.length - 1] || null,
+        expiresAt: null,
+        expired: false,
+        companyId: defaultRealmId,
+        defaultRealmId,
+        realms: quickbooks.realms.map(realm => ({
+          realmId: realm.realmId,
+          companyName: realm.companyName,
+          connected: true,
+          connectedAt: realm.connectedAt,
+          lastSync: realm.lastSync
+        })),
+        error: null
+      }
+    }];
+  }
+
+  /**
+   * Consent is granted instantly: the provider is connected and the
+   * returned URL points straight at the app's OAuth callback. QuickBooks
+   * connects the next company that is not connected yet.
+   */
+  handleAuthUrl(provider) {
+    const origin = typeof window !== 'undefined' ? window.location.origin : '';
+    const now = new Date().toISOString();
+
+    if (provider === 'quickbooks') {
+      const { realms, defaultRealms } = this.workspace.connections.quickbooks;
+      const { accountId } = this.workspace.connections.jobber;
+      const companies = DEMO_WORKSPACES.find(definition => definition.id === this.workspace.id).companies;
+      const company = companies.find(candidate => !realms.some(realm => realm.realmId === candidate.realmId))
+        || companies[0];
+      if (!realms.some(realm => realm.realmId === company.realmId)) {
+        realms.push({ ...company, connectedAt: now, lastSync: null });
+      }
+      if (!defaultRealms[accountId]) {
+        defaultRealms[accountId] = company.realmId;
+      }
+      this.issueToken(provider, company.realmId);
+
+      return [200, {
+        success: true,
+        authUrl: `${origin}/auth/callback?success=true&connected=${provider}&realmId=${company.realmId}`
+      }];
+    }
+
+    const connection = this.workspace.connections[provider];
+    connection.connected = true;
+    connection.connectedAt = now;
+    this.issueToken(provider);
+
+    return [200, { success: true, authUrl: `${origin}/auth/callback?success=true&connected=${provider}` }];
+  }
+
+  /**
+   * Disconnect a provider; QuickBooks disconnects one company when a realmId is given
+   */
+  handleDisconnect({ body }) {
+    if (body.provider === 'quickbooks') {
+      const quickbooks = this.workspace.connections.quickbooks;
+      quickbooks.realms = body.realmId
+        ? quickbooks.realms.filter(realm => realm.realmId !== body.realmId)
+        : [];
+
+      // A removed default falls back to the first remaining company
+      Object.keys(quickbooks.defaultRealms).forEach(accountId => {
+        if (!quickbooks.realms.some(realm => realm.realmId === quickbooks.defaultRealms[accountId])) {
+          if (quickbooks.realms.length) {
+            quickbooks.defaultRealms[accountId] = quickbooks.realms[0].realmId;
+          } else {
+            delete quickbooks.defaultRealms[accountId];
+          }
+        }
+      });
+
+      const message = body.realmId ? `QuickBooks company ${body.realmId} disconnected` : 'quickbooks disconnected';
+      return [200, { success: true, message }];
+    }
+
+    const connection = this.workspace.connections[body.provider];
+    if (!connection) {
+      return [400, { success: false, message: `Unknown provider: ${body.provider}` }];
+    }
+
+    connection.connected = false;
+    connection.connectedAt = null;
+    return [200, { success: true, message: `${body.provider} disconnected` }];
+  }
+
+  handleSetDefaultRealm({ body }) {
+    const realm = this.findRealm(body.realmId);
+    if (!realm) {
+      return [400, { success: false, message: `QuickBooks company ${body.realmId} is not connected` }];
+    }
+
+    const accountId = body.jobberAccountId || this.workspace.connections.jobber.accountId;
+    this.workspace.connections.quickbooks.defaultRealms[accountId] = realm.realmId;
+    return [200, { success: true, message: `${realm.companyName} is now the default company` }];
+  }
+
+  handleRefresh({ body }) {
+    const connected = body.provider === 'quickbooks'
+      ? (body.realmId ? Boolean(this.findRealm(body.realmId)) : this.workspace.connections.quickbooks.realms.length > 0)
+      : this.workspace.connections[body.provider]?.connected;
+    if (!connected) {
+      return [401, { success: false, message: `${body.provider} is not connected` }];
+    }
+
+    return [200, { success: true, tokenData: this.createTokenData(body.provider) }];
+  }
+
+  handleListJobs({ query }) {
+    if (!this.workspace.connections.jobber.connected) {
+      return this.notConnected('jobber');
+    }
+
+    const page = parseInt(query.get('page')) || 1;
+    const perPage = parseInt(query.get('perPage')) || 50;
+    const status = query.get('status');
+    const dateFrom = query.get('dateFrom');
+    const dateTo = query.get('dateTo');
+
+    const filtered = this.sortedJobs().filter(job => (
+      (!status || job.status === status) &&
+      (!dateFrom || job.scheduled_date >= dateFrom) &&
+      (!dateTo || job.scheduled_date <= dateTo)
+    ));
+    const totalPages = Math.max(Math.ceil(filtered.length / perPage), 1);
+
+    return [200, {
+      success: true,
+      jobs: filtered.slice((page - 1) * perPage, page * perPage),
+      pagination: {
+        page,
+        perPage,
+        totalPages,
+        hasNext: page < totalPages,
+        hasPrevious: page > 1
+      },
+      total: filtered.length
+    }];
+  }
+
+  handleRecentJobs() {
+    if (!this.workspace.connections.jobber.connected) {
+      return this.notConnected('jobber');
+    }
+
+    const jobs = this.sortedJobs().slice(0, 10);
+    return [200, { success: true, jobs, total: jobs.length }];
+  }
+
+  handlePendingJobs() {
+    if (!this.workspace.connections.jobber.connected) {
+      return this.notConnected('jobber');
+    }
+
+    const jobs = this.pendingJobs();
+    return [200, { success: true, jobs, total: jobs.length }];
+  }
+
+  handleSyncJob({ body }) {
+    const target = this.resolveSyncTarget(body);
+    if (target.error) return target.error;
+
+    const job = this.workspace.jobs.find(candidate => candidate.id === body.jobId);
+    if (!job) {
+      return [404, { success: false, message: `Job ${body.jobId} not found` }];
+    }
+
+    const result = this.syncOne(job, 'single', target.realm);
+    return [200, {
+      success: result.success,
+      message: result.message,
+      realmId: target.realm.realmId,
+      successfulJobs: result.success ? 1 : 0,
+      failedJobs: result.success ? 0 : 1,
+      results: [result]
+    }];
+  }
+
+  handleSyncMultiple({ body }) {
+    const target = this.resolveSyncTarget(body);
+    if (target.error) return target.error;
+
+    if (!Array.isArray(body.jobIds) || body.jobIds.length === 0) {
+      return [400, { success: false, message: 'jobIds must be a non-empty array' }];
+    }
+
+    const jobs = body.jobIds.map(jobId => this.workspace.jobs.find(job => job.id === jobId) || { id: jobId, missing: true });
+    return [200, this.syncBatch(jobs, target.realm)];
+  }
+
+  handleSyncPending({ body }) {
+    const target = this.resolveSyncTarget(body);
+    if (target.error) return target.error;
+
+    return [200, this.syncBatch(this.pendingJobs(), target.realm)];
+  }
+
+  handleSyncStats() {
+    const log = this.workspace.syncLog;
+    const now = Date.now();
+    const within = (ms) => log.filter(entry => now - new Date(entry.createdAt).getTime() <= ms).length;
+    const successful = log.filter(entry => entry.status === 'success');
+
+    return [200, {
+      success: true,
+      stats: {
+        totalSyncs: log.length,
+        successfulSyncs: successful.length,
+        failedSyncs: log.length - successful.length,
+        pendingSyncs: this.pendingJobs().length,
+        syncsLast24h: within(24 * 60 * 60 * 1000),
+        syncsLast7days: within(7 * 24 * 60 * 60 * 1000),
+        lastSyncTime: log[0]?.createdAt || null,
+        totalAmount: Math.round(successful.reduce((sum, entry) => sum + (entry.amount || 0), 0) * 100) / 100,
+        recentActivity: log.slice(0, 20)
+      }
+    }];
+  }
+
+  // Helpers
+
+  sortedJobs() {
+    return [...this.workspace.jobs].sort((a, b) => b.created_at.localeCompare(a.created_at));
+  }
+
+  pendingJobs() {
+    return this.sortedJobs().filter(job => (
+      (job.status === 'completed' || job.status === 'invoiced') && job.syncStatus !== 'synced'
+    ));
+  }
+
+  /**
+   * Workspace named by X-Workspace-Id, which the signed-in user must belong
+   * to. Without the header the user's first workspace is used.
+   * @returns {Object} workspace data, or { error: [status, body] }
+   */
+  resolveWorkspace(headers) {
+    const user = this.getSessionUser(headers);
+    const workspaceId = headers['X-Workspace-Id'] || user?.workspaceIds[0] || DEMO_WORKSPACES[0].id;
+    const workspace = this.state.workspaces[workspaceId];
+
+    if (!workspace) {
+      return { error: [404, { success: false, message: `Workspace ${workspaceId} not found` }] };
+    }
+    if (user && !user.workspaceIds.includes(workspaceId)) {
+      return { error: [403, { success: false, message: 'You are not a member of this workspace' }] };
+    }
+    return workspace;
+  }
+
+  getSessionUser(headers) {
+    const userId = this.state.sessions[headers['X-Session-Token']];
+    return this.state.users.find(user => user.id === userId) || null;
+  }
+
+  findRealm(realmId) {
+    return this.workspace.connections.quickbooks.realms.find(realm => realm.realmId === realmId) || null;
+  }
+
+  /**
+   * Default company for the connected Jobber account, or the first connected one
+   */
+  getDefaultRealmId() {
+    const { jobber, quickbooks } = this.workspace.connections;
+    const realmId = quickbooks.defaultRealms[jobber.accountId];
+    return this.findRealm(realmId)?.realmId || quickbooks.realms[0]?.realmId || null;
+  }
+
+  /**
+   * Both providers must be connected; the target company is the requested
+   * realmId or the default one
+   * @returns {{ realm: Object }|{ error: Array }}
+   */
+  resolveSyncTarget(body) {
+    if (!this.workspace.connections.jobber.connected) {
+      return { error: this.notConnected('jobber') };
+    }
+
+    const realmId = body.realmId || this.getDefaultRealmId();
+    const realm = this.findRealm(realmId);
+    if (!realm) {
+      return {
+        error: [401, {
+          success: false,
+          message: realmId ? `QuickBooks company ${realmId} is not connected` : 'quickbooks is not connected',
+          provider: 'quickbooks',
+          realmId
+        }]
+      };
+    }
+    return { realm };
+  }
+
+  notConnected(provider) {
+    return [401, { success: false, message: `${provider} is not connected`, provider }];
+  }
+
+  syncBatch(jobs, realm) {
+    const results = jobs.map(job => (
+      job.missing
+        ? { jobId: job.id, success: false, message: `Job ${job.id} not found` }
+        : this.syncOne(job, 'batch', realm)
+    ));
+    const successfulJobs = results.filter(result => result.success).length;
+    const failedJobs = results.length - successfulJobs;
+
+    return {
+      success: true,
+      message: `${successfulJobs} synced, ${failedJobs} failed`,
+      realmId: realm.realmId,
+      successfulJobs,
+      failedJobs,
+      results
+    };
+  }
+
+  /**
+   * Export one job to a QuickBooks company and record the outcome in the sync log
+   */
+  syncOne(job, syncType, realm) {
+    const failed = job.status === 'cancelled' || Math.random() < this.syncFailureRate;
+    const message = job.status === 'cancelled'
+      ? 'Cancelled jobs cannot be invoiced'
+      : failed
+        ? SYNC_FAILURE_MESSAGES[Math.floor(Math.random() * SYNC_FAILURE_MESSAGES.length)]
+        : `Invoice created in ${realm.companyName} for ${job.title}`;
+    const now = new Date().toISOString();
+
+    job.syncStatus = failed ? 'failed' : 'synced';
+    if (!failed) {
+      job.quickbooksInvoiceId = job.quickbooksInvoiceId || `INV-${job.id.replace(/\D/g, '')}`;
+      job.quickbooksRealmId = realm.realmId;
+      this.workspace.connections.jobber.lastSync = now;
+      realm.lastSync = now;
+    }
+
+    this.workspace.syncLog.unshift({
+      id: `sync-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      jobId: job.id,
+      realmId: realm.realmId,
+      status: failed ? 'error' : 'success',
+      message,
+      createdAt: now,
+      syncType,
+      amount: job.total_amount
+    });
+    this.workspace.syncLog = this.workspace.syncLog.slice(0, 500);
+
+    return {
+      jobId: job.id,
+      realmId: realm.realmId,
+      success: !failed,
+      message,
+      invoiceId: failed ? null : job.quickbooksInvoiceId
+    };
+  }
+
+  createTokenData(provider) {
+    const random = Math.random().toString(36).slice(2, 12);
+    return {
+      accessToken: `fake-${provider}-access-${random}`,
+      refreshToken: `fake-${provider}-refresh-${random}`,
+      tokenRef: `fake-${provider}-ref-${random}`,
+      tokenType: 'Bearer',
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Issue tokens for connected providers the app holds none for, e.g. after
+   * seeding or when a workspace is opened in this browser for the first time
+   */
+  handOffTokens() {
+    const { jobber, quickbooks } = this.workspace.connections;
+    if (jobber.connected && !tokenStorage.getToken('jobber')) {
+      this.issueToken('jobber');
+    }
+    quickbooks.realms
+      .filter(realm => !tokenStorage.getToken(tokenStorage.getTokenKey('quickbooks', realm.realmId)))
+      .forEach(realm => this.issueToken('quickbooks', realm.realmId));
+  }
+
+  /**
+   * Stands in for the token handoff the real OAuth callback performs
+   */
+  issueToken(provider, realmId = null) {
+    tokenStorage.storeToken(tokenStorage.getTokenKey(provider, realmId), {
+      ...this.createTokenData(provider),
+      ...(realmId && { realmId }),
+      source: 'fake_backend'
+    });
+  }
+
+  respond(status, body, headers = {}) {
+    return new Response(JSON.stringify(body), {
+      status,
+      statusText: STATUS_TEXT[status] || '',
+      headers: { 'Content-Type': 'application/json', ...headers }
+    });
+  }
+
+  /**
+   * Wait for the simulated latency, rejecting like fetch() if aborted
+   */
+  delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+      const abortError = () => new DOMException('The operation was aborted.', 'AbortError');
+      if (signal?.aborted) {
+        reject(abortError());
+        return;
+      }
+
+      const timeoutId = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      const onAbort = () => {
+        clearTimeout(timeoutId);
+        reject(abortError());
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Debug logging
+   */
+  log(...args) {
+    if (this.debugLogging) {
+      console.log('[FakeBackend]', ...args);
+    }
+  }
+}
+
+// Create singleton instance
+export const fakeBackend = new FakeWorkSyncBackend();
+
+// Console access for scheduling failures while demoing
+if (typeof window !== 'undefined' && import.meta.env.VITE_ENABLE_MOCK_MODE === 'true') {
+  window.worksyncFakeBackend = fakeBackend;
+}
+
+// Export class for testing
+export { FakeWorkSyncBackend };
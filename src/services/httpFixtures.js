@@ -0,0 +1,250 @@
+/**
+ * HTTP Fixtures
+ * Record WorkSyncAPI traffic into a fixture file and replay it later, so a
+ * customer's Dashboard/Jobs/History state can be reproduced locally and
+ * attached to a bug report.
+ *
+ * Recorded data is redacted before it is kept: tokens and secrets are
+ * replaced, emails, phone numbers and addresses are masked, and names and
+ * user IDs get stable pseudonyms ("Client 1") so screens still read sensibly.
+ * Free-text fields such as job titles and messages are kept as-is.
+ */
+
+export const FIXTURE_VERSION = 1;
+
+const MAX_ENTRIES = 500;
+
+const REDACTED = '[REDACTED]';
+
+// Only these response headers affect client behaviour
+const RECORDED_HEADERS = ['content-type', 'retry-after', 'x-ratelimit-remaining', 'x-ratelimit-reset', 'idempotent-replayed'];
+
+// Query params that identify the user rather than the data being requested
+const IGNORED_QUERY_PARAMS = ['userId'];
+
+const SECRET_KEY = /token|secret|password|authorization|^code$|^state$|apikey|api_key/i;
+const EMAIL_KEY = /email/i;
+const MASKED_KEY = /phone|mobile|address|street|city|postal|zip/i;
+const NAME_KEY = /^(name|firstName|lastName|first_name|last_name|displayName|companyName|company_name)$/i;
+const USER_KEY = /^(userId|user_id)$/i;
+const SECRET_URL_PARAM = /([?&](?:code|state|token|access_token|refresh_token|id_token)=)[^&#]+/gi;
+
+/**
+ * Replaces PII with pseudonyms that stay stable within one fixture
+ */
+class Pseudonymizer {
+  constructor() {
+    this.values = new Map();
+    this.counters = {};
+  }
+
+  get(kind, original, format) {
+    const key = `${kind}:${original}`;
+    if (!this.values.has(key)) {
+      this.counters[kind] = (this.counters[kind] || 0) + 1;
+      this.values.set(key, format(this.counters[kind]));
+    }
+    return this.values.get(key);
+  }
+}
+
+/**
+ * Deep-copy a JSON value with secrets and PII redacted
+ */
+export function redactValue(value, pseudonyms, key = '') {
+  if (Array.isArray(value)) {
+    return value.map(item => redactValue(item, pseudonyms, key));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.keys(value).reduce((acc, field) => {
+      acc[field] = redactValue(value[field], pseudonyms, field);
+      return acc;
+    }, {});
+  }
+
+  if (typeof value !== 'string' && typeof value !== 'number') return value;
+  if (value === '') return value;
+
+  if (SECRET_KEY.test(key)) return REDACTED;
+  if (MASKED_KEY.test(key)) return REDACTED;
+  if (EMAIL_KEY.test(key)) return pseudonyms.get('email', value, n => `user${n}@redacted.example`);
+  if (USER_KEY.test(key)) return pseudonyms.get('user', value, n => `user-${n}`);
+  if (NAME_KEY.test(key) && typeof value === 'string') return pseudonyms.get('name', value, n => `Client ${n}`);
+
+  if (typeof value === 'string') {
+    return value.replace(SECRET_URL_PARAM, `$1${REDACTED}`);
+  }
+  return value;
+}
+
+/**
+ * Path plus query with user-identifying params dropped
+ */
+export function normalizeEndpoint(url) {
+  const { pathname, searchParams } = new URL(url, 'http://worksync.fixture');
+  IGNORED_QUERY_PARAMS.forEach(param => searchParams.delete(param));
+  searchParams.sort();
+
+  const query = searchParams.toString();
+  return query ? `${pathname}?${query}` : pathname;
+}
+
+// Statuses a Response may not be constructed with a body for
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+const parseBody = (body) => {
+  if (!body) return null;
+  try {
+    return JSON.parse(body);
+  } catch {
+    return REDACTED;
+  }
+};
+
+/**
+ * Collects redacted request/response pairs
+ */
+export class HttpFixtureRecorder {
+  constructor({ onRecord = null } = {}) {
+    this.entries = [];
+    this.startedAt = new Date().toISOString();
+    this.pseudonyms = new Pseudonymizer();
+    this.onRecord = onRecord;
+  }
+
+  async record(url, init, response, durationMs) {
+    let body = null;
+    try {
+      body = await response.clone().json();
+    } catch {
+      body = null;
+    }
+
+    const headers = {};
+    RECORDED_HEADERS.forEach(header => {
+      const value = response.headers.get(header);
+      if (value !== null) headers[header] = value;
+    });
+
+    this.entries.push({
+      method: (init.method || 'GET').toUpperCase(),
+      endpoint: normalizeEndpoint(url),
+      requestBody: redactValue(parseBody(init.body), this.pseudonyms),
+      status: response.status,
+      statusText: response.statusText,
+      headers,
+      body: redactValue(body, this.pseudonyms),
+      durationMs,
+      recordedAt: new Date().toISOString()
+    });
+
+    if (this.entries.length > MAX_ENTRIES) {
+      this.entries.shift();
+    }
+    this.onRecord?.(this.entries.length);
+  }
+
+  toFixture() {
+    return {
+      version: FIXTURE_VERSION,
+      appVersion: import.meta.env.VITE_APP_VERSION || null,
+      recordedAt: this.startedAt,
+      entries: [...this.entries]
+    };
+  }
+}
+
+/**
+ * Wrap a fetch()-compatible transport so every response is recorded
+ */
+export function createRecordingTransport(transport, recorder) {
+  return async (url, init = {}) => {
+    const startTime = Date.now();
+    const response = await transport(url, init);
+    await recorder.record(url, init, response, Date.now() - startTime);
+    return response;
+  };
+}
+
+/**
+ * fetch()-compatible transport that serves responses from a fixture.
+ * Requests match on method and normalized endpoint; repeated requests get
+ * the recorded responses in order, then the last one again.
+ */
+export function createReplayTransport(fixture) {
+  const queues = new Map();
+  const served = new Map();
+
+  fixture.entries.forEach(entry => {
+    const key = `${entry.method} ${entry.endpoint}`;
+    if (!queues.has(key)) queues.set(key, []);
+    queues.get(key).push(entry);
+  });
+
+  return async (url, init = {}) => {
+    if (init.signal?.aborted) {
+      throw new DOMException('The operation was aborted.', 'AbortError');
+    }
+
+    const key = `${(init.method || 'GET').toUpperCase()} ${normalizeEndpoint(url)}`;
+    const queue = queues.get(key);
+
+    if (!queue) {
+      return new Response(JSON.stringify({ success: false, message: `No recorded response for ${key}` }), {
+        status: 404,
+        statusText: 'Not Found',
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const index = served.get(key) || 0;
+    served.set(key, index + 1);
+    const entry = queue[Math.min(index, queue.length - 1)];
+
+    // Non-JSON bodies aren't recorded, and null-body statuses (204, 304) can't carry one
+    const hasBody = entry.body !== null && entry.body !== undefined && !NULL_BODY_STATUSES.includes(entry.status);
+    return new Response(hasBody ? JSON.stringify(entry.body) : null, {
+      status: entry.status,
+      statusText: entry.statusText || '',
+      headers: entry.headers
+    });
+  };
+}
+
+/**
+ * Parse and check a fixture file's contents
+ */
+export function parseFixture(text) {
+  let fixture;
+  try {
+    fixture = typeof text === 'string' ? JSON.parse(text) : text;
+  } catch {
+    throw new Error('Fixture file is not valid JSON');
+  }
+
+  if (!fixture || !Array.isArray(fixture.entries)) {
+    throw new Error('Fixture file has no recorded entries');
+  }
+  if (fixture.version !== FIXTURE_VERSION) {
+    throw new Error(`Unsupported fixture version: ${fixture.version}`);
+  }
+  return fixture;
+}
+
+/**
+ * Offer a fixture as a JSON file download
+ */
+export function downloadFixture(fixture, filename = null) {
+  const name = filename || `worksync-fixture-${fixture.recordedAt.replace(/[:.]/g, '-')}.json`;
+  const blob = new Blob([JSON.stringify(fixture, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,161 @@
+/**
+ * Idempotency Key Store
+ * Generates one idempotency key per logical sync operation and persists it
+ * until the outcome is known, so retries and page reloads reuse the same key
+ */
+
+import { persistedState } from './persistedState.js';
+
+const IDEMPOTENCY_SCHEMA = 'idempotency_keys';
+
+// fingerprint -> { key, operation, createdAt, attempts }
+persistedState.define(IDEMPOTENCY_SCHEMA, {
+  version: 1,
+  validate: (entries) => Boolean(entries) && typeof entries === 'object' && !Array.isArray(entries) &&
+    Object.values(entries).every(entry => typeof entry?.key === 'string')
+});
+
+class IdempotencyKeyStore {
+  constructor() {
+    this.storageKey = 'worksync_idempotency_keys';
+    this.keyTtlMs = 24 * 60 * 60 * 1000; // 24 hours
+    this.debugLogging = import.meta.env.VITE_ENABLE_DEBUG_LOGGING === 'true';
+
+    this.cleanupExpiredKeys();
+  }
+
+  /**
+   * Build a stable fingerprint for an operation and its payload
+   */
+  fingerprint(operation, payload = {}) {
+    const normalized = Object.keys(payload)
+      .sort()
+      .reduce((acc, field) => {
+        const value = payload[field];
+        // Order of ids doesn't change the operation
+        acc[field] = Array.isArray(value) ? [...value].sort() : value;
+        return acc;
+      }, {});
+
+    return `${operation}:${JSON.stringify(normalized)}`;
+  }
+
+  /**
+   * Get the pending key for an operation, creating one if needed
+   */
+  getKey(operation, payload = {}) {
+    const fingerprint = this.fingerprint(operation, payload);
+    const entries = this.getAllEntries();
+    const existing = entries[fingerprint];
+
+    if (existing && !this.isExpired(existing)) {
+      this.log(`Reusing idempotency key for ${operation}:`, existing.key);
+      existing.attempts = (existing.attempts || 1) + 1;
+      this.saveEntries(entries);
+      return existing.key;
+    }
+
+    const key = this.generateKey();
+    entries[fingerprint] = {
+      key,
+      operation,
+      createdAt: new Date().toISOString(),
+      attempts: 1
+    };
+    this.saveEntries(entries);
+
+    this.log(`Created idempotency key for ${operation}:`, key);
+    return key;
+  }
+
+  /**
+   * Forget a key once its operation's outcome is known
+   */
+  complete(key) {
+    const entries = this.getAllEntries();
+    const fingerprint = Object.keys(entries).find(fp => entries[fp].key === key);
+
+    if (fingerprint) {
+      delete entries[fingerprint];
+      this.saveEntries(entries);
+      this.log('Completed idempotency key:', key);
+    }
+  }
+
+  /**
+   * Operations whose outcome is still unknown
+   */
+  getPendingOperations() {
+    const entries = this.getAllEntries();
+    return Object.values(entries).filter(entry => !this.isExpired(entry));
+  }
+
+  /**
+   * Check if a key is past its TTL
+   */
+  isExpired(entry) {
+    return Date.now() - new Date(entry.createdAt).getTime() > this.keyTtlMs;
+  }
+
+  /**
+   * Generate a new random key
+   */
+  generateKey() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+      return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+  }
+
+  /**
+   * Get all stored entries keyed by fingerprint
+   */
+  getAllEntries() {
+    return persistedState.read(IDEMPOTENCY_SCHEMA, this.storageKey, { fallback: {} });
+  }
+
+  /**
+   * Persist all entries
+   */
+  saveEntries(entries) {
+    try {
+      persistedState.write(IDEMPOTENCY_SCHEMA, this.storageKey, entries);
+    } catch (error) {
+      console.error('Failed to store idempotency keys:', error);
+    }
+  }
+
+  /**
+   * Remove keys older than the TTL
+   */
+  cleanupExpiredKeys() {
+    const entries = this.getAllEntries();
+    let cleaned = false;
+
+    Object.keys(entries).forEach(fingerprint => {
+      if (this.isExpired(entries[fingerprint])) {
+        delete entries[fingerprint];
+        cleaned = true;
+      }
+    });
+
+    if (cleaned) {
+      this.saveEntries(entries);
+    }
+  }
+
+  /**
+   * Debug logging
+   */
+  log(...args) {
+    if (this.debugLogging) {
+      console.log('[IdempotencyStore]', ...args);
+    }
+  }
+}
+
+// Create singleton instance
+export const idempotencyStore = new IdempotencyKeyStore();
+
+// Export class for testing
+export { IdempotencyKeyStore };
@@ -0,0 +1,216 @@
+/**
+ * Built-in WorkSyncAPI interceptors.
+ *
+ * An interceptor is an object with a name and any of three phase hooks:
+ *   request(ctx)         - before fetch; may change ctx.config or throw to reject the call
+ *   response(ctx)        - for every HTTP response (ok or not); may change ctx.data
+ *   error(error, ctx)    - on any failure; returning a value recovers with that data,
+ *                          throwing replaces the error
+ * ctx carries url, endpoint, method, provider, realmId, rateLimitScope,
+ * queueOptions, schema, config (fetch init), response, data, cancelled and
+ * startTime. Register extra interceptors with workSyncAPI.use().
+ */
+
+import { tokenStorage } from './tokenStorage.js';
+import { errorHandler } from './errorHandler.js';
+import { rateLimiter } from './rate_limiter_service.js';
+import { sessionService } from './sessionService.js';
+import { workspaceService } from './workspaceService.js';
+import { validateResponse, createContractViolationError, strictContracts } from './responseSchemas.js';
+
+/**
+ * Debug logging of request lifecycle
+ */
+export const createLoggingInterceptor = (api) => ({
+  name: 'logging',
+  request(ctx) {
+    api.log('Making request to:', ctx.url, 'with method:', ctx.method);
+  },
+  response(ctx) {
+    if (ctx.response.ok) {
+      api.log('Request successful:', ctx.endpoint, `(${Date.now() - ctx.startTime}ms)`);
+    }
+  },
+  error(error, ctx) {
+    if (ctx.cancelled) {
+      api.log('Request cancelled:', ctx.endpoint);
+    } else {
+      api.log('Request failed:', ctx.endpoint, error.message);
+    }
+  }
+});
+
+/**
+ * Tag every request with a correlation ID for backend tracing
+ */
+export const createCorrelationIdInterceptor = () => ({
+  name: 'correlationId',
+  request(ctx) {
+    const headers = ctx.config.headers;
+    if (!headers['X-Correlation-ID']) {
+      headers['X-Correlation-ID'] = typeof crypto !== 'undefined' && crypto.randomUUID
+        ? crypto.randomUUID()
+        : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+    ctx.correlationId = headers['X-Correlation-ID'];
+  }
+});
+
+/**
+ * Identify the signed-in WorkSync user to the backend
+ */
+export const createSessionInterceptor = () => ({
+  name: 'session',
+  request(ctx) {
+    const sessionToken = sessionService.getSessionToken();
+    if (sessionToken && !ctx.config.headers['X-Session-Token']) {
+      ctx.config.headers['X-Session-Token'] = sessionToken;
+    }
+  }
+});
+
+/**
+ * Scope every request to the active workspace (organization)
+ */
+export const createWorkspaceInterceptor = () => ({
+  name: 'workspace',
+  request(ctx) {
+    const workspaceId = workspaceService.getActiveWorkspaceId();
+    if (workspaceId && !ctx.config.headers['X-Workspace-Id']) {
+      ctx.config.headers['X-Workspace-Id'] = workspaceId;
+    }
+    ctx.workspaceId = ctx.config.headers['X-Workspace-Id'] || null;
+  }
+});
+
+/**
+ * Attach the stored provider token to provider-scoped requests,
+ * using the target company's token for QuickBooks calls with a realmId
+ */
+export const createAuthHeaderInterceptor = () => ({
+  name: 'authHeader',
+  async request(ctx) {
+    // Tokens are decrypted asynchronously after start-up and workspace switches
+    await tokenStorage.ready();
+    if (!ctx.provider || ctx.config.headers.Authorization) return;
+
+    const token = (ctx.realmId && tokenStorage.getToken(tokenStorage.getTokenKey(ctx.provider, ctx.realmId)))
+      || tokenStorage.getToken(ctx.provider);
+    if (token?.accessToken) {
+      ctx.config.headers.Authorization = `${token.tokenType || 'Bearer'} ${token.accessToken}`;
+    }
+  }
+});
+
+const releaseRateLimitSlot = (ctx) => {
+  if (!ctx.rateLimitSlot) return;
+
+  ctx.rateLimitSlot = false;
+  rateLimiter.recordRequestComplete(ctx.rateLimitScope.service, ctx.rateLimitScope.realmId);
+};
+
+/**
+ * Hold provider-scoped calls to the provider's limits: reject them while the
+ * provider refuses requests, otherwise wait for a limiter slot, released once
+ * the call settles. Responses reconcile the limiter with what they report.
+ */
+export const createRateLimitInterceptor = (api) => ({
+  name: 'rateLimit',
+  async request(ctx) {
+    const scope = ctx.rateLimitScope;
+    if (!scope) return;
+
+    errorHandler.assertNotRateLimited(scope.service, scope.realmId);
+    await rateLimiter.acquire(scope.service, scope.realmId, {
+      ...ctx.queueOptions,
+      operation: scope.operation,
+      signal: ctx.config.signal
+    });
+    ctx.rateLimitSlot = true;
+  },
+  response(ctx) {
+    api.updateRateLimitFromResponse(ctx.response, ctx.rateLimitScope, ctx.data);
+    releaseRateLimitSlot(ctx);
+  },
+  error(error, ctx) {
+    releaseRateLimitSlot(ctx);
+  }
+});
+
+/**
+ * Fast-fail while an upstream's circuit is open and feed call outcomes to the breaker
+ */
+export const createCircuitBreakerInterceptor = () => ({
+  name: 'circuitBreaker',
+  request(ctx) {
+    if (ctx.skipCircuitBreaker) return;
+    errorHandler.assertCircuitClosed(ctx);
+    ctx.circuitChecked = true;
+  },
+  response(ctx) {
+    if (ctx.circuitChecked && ctx.response.ok) {
+      errorHandler.recordCircuitSuccess(ctx);
+    }
+  },
+  error(error, ctx) {
+    if (!ctx.circuitChecked) return;
+
+    const errorInfo = errorHandler.analyzeError(error, ctx);
+    const reachedUpstream = ctx.response || errorInfo.isNetworkError || errorInfo.isTimeout;
+
+    // Cancelled calls and local failures say nothing about the upstream
+    if (ctx.cancelled || !reachedUpstream) {
+      errorHandler.releaseCircuitTrial(ctx);
+      return;
+    }
+    errorHandler.recordCircuitFailure(ctx, errorInfo);
+  }
+});
+
+/**
+ * Validate successful responses against the schema passed as options.schema
+ */
+export const createSchemaValidationInterceptor = () => ({
+  name: 'schemaValidation',
+  response(ctx) {
+    if (!ctx.schema || !ctx.response.ok) return;
+
+    const { value, issues } = validateResponse(ctx.schema, ctx.data);
+    if (issues.length > 0) {
+      const error = createContractViolationError(ctx.endpoint, issues);
+      if (strictContracts) {
+        throw error;
+      }
+      console.warn(error.message, issues);
+    }
+    ctx.data = value;
+  }
+});
+
+/**
+ * Flag results the backend replayed for a reused idempotency key
+ */
+export const createIdempotencyReplayInterceptor = () => ({
+  name: 'idempotencyReplay',
+  response(ctx) {
+    const replayed = ctx.response.headers.get('idempotent-replayed') === 'true';
+    if (replayed && ctx.data && typeof ctx.data === 'object') {
+      ctx.data = { ...ctx.data, replayed: true };
+    }
+  }
+});
+
+/**
+ * Interceptors installed on every WorkSyncAPI instance, in order
+ */
+export const createDefaultInterceptors = (api) => [
+  createLoggingInterceptor(api),
+  createCorrelationIdInterceptor(),
+  createSessionInterceptor(),
+  createWorkspaceInterceptor(),
+  createAuthHeaderInterceptor(),
+  createRateLimitInterceptor(api),
+  createCircuitBreakerInterceptor(),
+  createSchemaValidationInterceptor(),
+  createIdempotencyReplayInterceptor()
+];
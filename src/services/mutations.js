@@ -0,0 +1,180 @@
+/**
+ * Mutation definitions for WorkSync write operations.
+ * Each mutation declares the permission it requires, the cached queries it
+ * invalidates and, optionally, an optimistic update that is rolled back if
+ * the request fails.
+ *
+ * Sync mutations also take queue options (priority, deadline,
+ * onQueuePosition) for when provider limits make them wait.
+ */
+
+import { workSyncAPI } from './api.js';
+import { queryCache } from './queryCache.js';
+import { sessionService } from './sessionService.js';
+import { workspaceService } from './workspaceService.js';
+import { tokenStorage } from './tokenStorage.js';
+import { crossTabSync } from './crossTabSync.js';
+import { PERMISSIONS, hasPermission, createPermissionError } from './permissions.js';
+
+// Query key prefixes (see queryCache.buildKey)
+export const QUERY_KEYS = {
+  authStatus: '/auth/status',
+  jobs: '/jobs:',
+  recentJobs: '/jobs/recent',
+  pendingJobs: '/jobs/pending',
+  allJobs: '/jobs',
+  syncStats: '/sync/stats'
+};
+
+/**
+ * Build an updater that flags the given jobs as syncing in a jobs list response
+ */
+const markJobsSyncing = (jobIds = null) => (data) => {
+  if (!data || !Array.isArray(data.jobs)) return data;
+
+  return {
+    ...data,
+    jobs: data.jobs.map(job => (
+      jobIds === null || jobIds.includes(job.id)
+        ? { ...job, syncStatus: 'syncing' }
+        : job
+    ))
+  };
+};
+
+export const MUTATIONS = {
+  syncJob: {
+    permission: PERMISSIONS.SYNC_JOBS,
+    mutationFn: ({ jobId, userId, realmId, ...queueOptions }, signal) => (
+      workSyncAPI.syncJob(jobId, userId, { realmId, ...queueOptions, signal })
+    ),
+    optimistic: ({ jobId }) => [
+      { match: QUERY_KEYS.allJobs, update: markJobsSyncing([jobId]) }
+    ],
+    invalidates: [QUERY_KEYS.allJobs, QUERY_KEYS.syncStats]
+  },
+
+  syncMultipleJobs: {
+    permission: PERMISSIONS.SYNC_JOBS,
+    mutationFn: ({ jobIds, userId, realmId, ...queueOptions }, signal) => (
+      workSyncAPI.syncMultipleJobs(jobIds, userId, { realmId, ...queueOptions, signal })
+    ),
+    optimistic: ({ jobIds }) => [
+      { match: QUERY_KEYS.allJobs, update: markJobsSyncing(jobIds) }
+    ],
+    invalidates: [QUERY_KEYS.allJobs, QUERY_KEYS.syncStats]
+  },
+
+  syncPendingJobs: {
+    permission: PERMISSIONS.SYNC_JOBS,
+    mutationFn: ({ userId, realmId, ...queueOptions }, signal) => (
+      workSyncAPI.syncPendingJobs(userId, { realmId, ...queueOptions, signal })
+    ),
+    optimistic: () => [
+      { match: QUERY_KEYS.pendingJobs, update: markJobsSyncing() }
+    ],
+    invalidates: [QUERY_KEYS.allJobs, QUERY_KEYS.syncStats]
+  },
+
+  // realmId disconnects a single QuickBooks company
+  disconnectProvider: {
+    permission: PERMISSIONS.MANAGE_CONNECTIONS,
+    mutationFn: ({ provider, userId, realmId }, signal) => (
+      workSyncAPI.disconnectProvider(provider, userId, { realmId, signal })
+    ),
+    optimistic: ({ provider, realmId }) => [
+      {
+        match: QUERY_KEYS.authStatus,
+        update: (data) => {
+          if (!data) return data;
+          if (!realmId) {
+            return { ...data, [provider]: { ...data[provider], connected: false, authenticated: false } };
+          }
+
+          const realms = (data[provider].realms || []).filter(realm => realm.realmId !== realmId);
+          return { ...data, [provider]: { ...data[provider], realms, connected: realms.length > 0 } };
+        }
+      }
+    ],
+    invalidates: [QUERY_KEYS.authStatus, QUERY_KEYS.allJobs]
+  },
+
+  setDefaultRealm: {
+    permission: PERMISSIONS.MANAGE_CONNECTIONS,
+    mutationFn: ({ realmId, jobberAccountId, userId }, signal) => (
+      workSyncAPI.setDefaultRealm(realmId, jobberAccountId, userId, { signal })
+    ),
+    optimistic: ({ realmId }) => [
+      {
+        match: QUERY_KEYS.authStatus,
+        update: (data) => data && ({
+          ...data,
+          quickbooks: { ...data.quickbooks, defaultRealmId: realmId, companyId: realmId }
+        })
+      }
+    ],
+    invalidates: [QUERY_KEYS.authStatus]
+  }
+};
+
+/**
+ * Run a mutation: apply optimistic updates, call the API, roll back on
+ * failure and invalidate the affected queries either way.
+ * @param {string|Object} mutation - Key of MUTATIONS or a mutation definition
+ * @param {Object} variables - Arguments passed to the mutation function
+ * @param {AbortSignal} signal - Optional cancellation signal
+ */
+export async function runMutation(mutation, variables = {}, signal = undefined) {
+  const definition = typeof mutation === 'string' ? MUTATIONS[mutation] : mutation;
+  if (!definition) {
+    throw new Error(`Unknown mutation: ${mutation}`);
+  }
+
+  // Refuse before touching the cache; the backend would answer 403 anyway
+  if (definition.permission && !hasPermission(sessionService.getUser(), definition.permission)) {
+    throw createPermissionError(definition.permission);
+  }
+
+  const updates = definition.optimistic ? definition.optimistic(variables) : [];
+  const snapshots = updates.map(({ match, update }) => {
+    // In-flight fetches would overwrite the optimistic data
+    queryCache.cancelQueries(match);
+    const saved = queryCache.snapshot(match);
+    queryCache.updateQueries(match, update);
+    return saved;
+  });
+
+  try {
+    return await definition.mutationFn(variables, signal);
+  } catch (error) {
+    snapshots.reverse().forEach(saved => queryCache.restore(saved));
+    throw error;
+  } finally {
+    invalidateQueries(definition.invalidates || []);
+  }
+}
+
+/**
+ * Invalidate queries in this tab and every other tab on the same workspace
+ * (only string matches cross tabs)
+ */
+export function invalidateQueries(matches) {
+  matches.forEach(match => queryCache.invalidate(match));
+  crossTabSync.publish('queries_invalidated', {
+    matches: matches.filter(match => typeof match === 'string'),
+    workspaceId: workspaceService.getActiveWorkspaceId()
+  });
+}
+
+// Keep other tabs' caches in step with mutations made in this one
+crossTabSync.subscribe('queries_invalidated', ({ matches, workspaceId }) => {
+  if (workspaceId !== workspaceService.getActiveWorkspaceId()) return;
+  matches.forEach(match => queryCache.invalidate(match));
+});
+
+// Tokens stored or removed in another tab (connect, refresh, disconnect)
+// change the connection status shown here
+crossTabSync.subscribe('tokens_changed', ({ storageKey }) => {
+  if (storageKey !== tokenStorage.storageKey) return;
+  tokenStorage.ready().then(() => queryCache.invalidate(QUERY_KEYS.authStatus));
+});
@@ -0,0 +1,66 @@
+/**
+ * Role-based permissions
+ * Roles come with the signed-in user (see sessionService). These checks only
+ * shape the UI; the backend enforces the same rules and answers 403.
+ */
+
+export const ROLES = {
+  ADMIN: 'admin',
+  BOOKKEEPER: 'bookkeeper',
+  VIEWER: 'viewer'
+};
+
+export const PERMISSIONS = {
+  MANAGE_CONNECTIONS: 'connections:manage',
+  SYNC_JOBS: 'jobs:sync',
+  RETRY_WEBHOOKS: 'webhooks:retry',
+  VIEW_SETTINGS: 'settings:view',
+  USE_DIAGNOSTICS: 'diagnostics:use'
+};
+
+const ROLE_PERMISSIONS = {
+  [ROLES.ADMIN]: Object.values(PERMISSIONS),
+  [ROLES.BOOKKEEPER]: [PERMISSIONS.SYNC_JOBS, PERMISSIONS.RETRY_WEBHOOKS, PERMISSIONS.VIEW_SETTINGS],
+  [ROLES.VIEWER]: []
+};
+
+export const ROLE_LABELS = {
+  [ROLES.ADMIN]: 'Administrador',
+  [ROLES.BOOKKEEPER]: 'Contador',
+  [ROLES.VIEWER]: 'Solo lectura'
+};
+
+/**
+ * Role of a user; unknown or missing roles get the least privileged one
+ */
+export function getRole(user) {
+  return ROLE_PERMISSIONS[user?.role] ? user.role : ROLES.VIEWER;
+}
+
+/**
+ * Whether a user may perform an action
+ */
+export function hasPermission(user, permission) {
+  if (!user) return false;
+  return ROLE_PERMISSIONS[getRole(user)].includes(permission);
+}
+
+/**
+ * Roles that grant a permission, e.g. for "ask an admin" hints
+ */
+export function getRolesWithPermission(permission) {
+  return Object.keys(ROLE_PERMISSIONS).filter(role => ROLE_PERMISSIONS[role].includes(permission));
+}
+
+/**
+ * Create the error thrown when an action is refused locally
+ */
+export function createPermissionError(permission) {
+  const error = new Error('You do not have permission to perform this action. Ask a WorkSync admin for access.');
+  error.name = 'PermissionDeniedError';
+  error.isPermissionDenied = true;
+  error.code = 'PERMISSION_DENIED';
+  error.status = 403;
+  error.permission = permission;
+  return error;
+}
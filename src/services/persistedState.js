@@ -0,0 +1,255 @@
+/**
+ * Persisted State
+ * Versioned format for everything WorkSync keeps in browser storage. Records
+ * are stored as { version, data }; each owner defines a schema with its
+ * current version and one migration step per version, and reading an older
+ * record runs the missing steps in order. Data written before versioning
+ * counts as version 0.
+ *
+ * Records that cannot be read (malformed, written by a newer build, rejected
+ * by a step or failing validation) are quarantined: moved aside and listed in
+ * the diagnostics view instead of being handed out or silently dropped.
+ *
+ * Emits 'persistence_diagnostics_changed' on the event bus.
+ */
+
+import { eventBus } from './event_bus_manager.js';
+
+/**
+ * Create the error raised when a stored record cannot be read
+ */
+export function createUnreadableStateError(schema, message, version = null) {
+  const error = new Error(`Stored ${schema} data is unreadable: ${message}`);
+  error.name = 'UnreadableStateError';
+  error.isUnreadableState = true;
+  error.schema = schema;
+  error.version = version;
+  return error;
+}
+
+class PersistedStateService {
+  constructor() {
+    this.quarantineKey = 'worksync_quarantine';
+    this.maxQuarantined = 20;
+    // Keep quarantined copies small enough not to crowd out real data
+    this.maxQuarantinedSize = 50 * 1024;
+    this.maxMigrationLog = 20;
+    this.debugLogging = import.meta.env.VITE_ENABLE_DEBUG_LOGGING === 'true';
+
+    this.schemas = new Map();
+    this.migrationLog = [];
+  }
+
+  /**
+   * Declare a persisted schema.
+   * @param {string} name
+   * @param {Object} definition
+   * @param {number} definition.version - Current version; bump it with every shape change
+   * @param {Object<number, Function>} definition.migrations - Step to each version from the one before
+   * @param {Function} definition.validate - Whether migrated data has the current shape
+   * @param {boolean} definition.sensitive - Quarantine only metadata, never the data itself
+   */
+  define(name, { version, migrations = {}, validate = () => true, sensitive = false }) {
+    this.schemas.set(name, { name, version, migrations, validate, sensitive });
+  }
+
+  getSchema(name) {
+    const schema = this.schemas.get(name);
+    if (!schema) {
+      throw new Error(`Unknown persisted schema: ${name}`);
+    }
+    return schema;
+  }
+
+  /**
+   * Wrap data in a record of the schema's current version
+   */
+  wrap(name, data) {
+    return { version: this.getSchema(name).version, data };
+  }
+
+  /**
+   * Split a parsed stored value into { version, data }
+   */
+  unwrap(value) {
+    const isRecord = Boolean(value) && typeof value === 'object' &&
+      Object.keys(value).length === 2 && Number.isInteger(value.version) && 'data' in value;
+    return isRecord ? value : { version: 0, data: value };
+  }
+
+  /**
+   * Bring a record up to the schema's current version
+   * @returns {{ data: *, migrated: boolean }}
+   * @throws When the record is newer than this build, a step fails or the result is invalid
+   */
+  migrate(name, { version, data }, storageKey = name) {
+    const schema = this.getSchema(name);
+    if (version > schema.version) {
+      throw createUnreadableStateError(name, `written by a newer version of WorkSync (v${version}, this build reads v${schema.version})`, version);
+    }
+
+    let migrated = data;
+    for (let target = version + 1; target <= schema.version; target++) {
+      const step = schema.migrations[target];
+      try {
+        migrated = step ? step(migrated) : migrated;
+      } catch (error) {
+        throw createUnreadableStateError(name, `migration to v${target} failed (${error.message})`, version);
+      }
+    }
+
+    if (!schema.validate(migrated)) {
+      throw createUnreadableStateError(name, `does not match the v${schema.version} format`, version);
+    }
+
+    if (version < schema.version) {
+      this.recordMigration({ schema: name, storageKey, from: version, to: schema.version, migratedAt: new Date().toISOString() });
+    }
+    return { data: migrated, migrated: version < schema.version };
+  }
+
+  /**
+   * Read a record from Web Storage, migrating it in place. Unreadable records
+   * are quarantined and the fallback is returned.
+   */
+  read(name, storageKey, { storage = localStorage, fallback = null } = {}) {
+    let raw;
+    try {
+      raw = storage.getItem(storageKey);
+    } catch (error) {
+      console.error(`Failed to read ${name} data:`, error);
+      return fallback;
+    }
+    if (raw === null) return fallback;
+
+    let result;
+    try {
+      result = this.migrate(name, this.unwrap(JSON.parse(raw)), storageKey);
+    } catch (error) {
+      this.quarantine(name, storageKey, raw, error);
+      storage.removeItem(storageKey);
+      return fallback;
+    }
+
+    if (result.migrated) {
+      try {
+        this.write(name, storageKey, result.data, { storage });
+      } catch (error) {
+        console.error(`Failed to store migrated ${name} data:`, error);
+      }
+    }
+    return result.data;
+  }
+
+  /**
+   * Write data to Web Storage as a record of the current version
+   */
+  write(name, storageKey, data, { storage = localStorage } = {}) {
+    storage.setItem(storageKey, JSON.stringify(this.wrap(name, data)));
+  }
+
+  /**
+   * Set aside a stored value that could not be read. The caller removes the
+   * original so the app starts over from a clean slate.
+   */
+  quarantine(name, storageKey, raw, error) {
+    const schema = this.schemas.get(name);
+    const size = raw?.length || 0;
+    const keepData = Boolean(raw) && !schema?.sensitive && size <= this.maxQuarantinedSize;
+    const entry = {
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      schema: name,
+      storageKey,
+      reason: error.message,
+      version: error.version ?? null,
+      size,
+      quarantinedAt: new Date().toISOString(),
+      raw: keepData ? raw : null
+    };
+
+    console.warn(`Quarantined unreadable ${name} data from ${storageKey}:`, error.message);
+    this.saveQuarantine([...this.loadQuarantine(), entry].slice(-this.maxQuarantined));
+    this.emitChange();
+    return entry;
+  }
+
+  /**
+   * Quarantined entries, newest first. Data is left out; see getQuarantinedData.
+   */
+  getQuarantined() {
+    return this.loadQuarantine()
+      .map(({ raw, ...entry }) => ({ ...entry, hasData: raw !== null }))
+      .reverse();
+  }
+
+  getQuarantinedData(id) {
+    return this.loadQuarantine().find(entry => entry.id === id)?.raw ?? null;
+  }
+
+  discardQuarantined(id) {
+    this.saveQuarantine(this.loadQuarantine().filter(entry => entry.id !== id));
+    this.emitChange();
+  }
+
+  clearQuarantine() {
+    this.saveQuarantine([]);
+    this.emitChange();
+  }
+
+  /**
+   * Report for the diagnostics view
+   */
+  getDiagnostics() {
+    return {
+      schemas: [...this.schemas.values()].map(({ name, version }) => ({ name, version })),
+      migrations: [...this.migrationLog].reverse(),
+      quarantined: this.getQuarantined()
+    };
+  }
+
+  recordMigration(migration) {
+    this.migrationLog = [...this.migrationLog, migration].slice(-this.maxMigrationLog);
+    this.log(`Migrated ${migration.schema} under ${migration.storageKey} from v${migration.from} to v${migration.to}`);
+    this.emitChange();
+  }
+
+  emitChange() {
+    eventBus.emit('persistence_diagnostics_changed', this.getDiagnostics());
+  }
+
+  loadQuarantine() {
+    try {
+      const entries = JSON.parse(localStorage.getItem(this.quarantineKey));
+      return Array.isArray(entries) ? entries : [];
+    } catch {
+      return [];
+    }
+  }
+
+  saveQuarantine(entries) {
+    try {
+      if (entries.length === 0) {
+        localStorage.removeItem(this.quarantineKey);
+      } else {
+        localStorage.setItem(this.quarantineKey, JSON.stringify(entries));
+      }
+    } catch (error) {
+      console.error('Failed to store quarantined data:', error);
+    }
+  }
+
+  /**
+   * Debug logging
+   */
+  log(...args) {
+    if (this.debugLogging) {
+      console.log('[PersistedState]', ...args);
+    }
+  }
+}
+
+// Create singleton instance
+export const persistedState = new PersistedStateService();
+
+// Export class for testing
+export { PersistedStateService };
@@ -0,0 +1,397 @@
+/**
+ * Shared Query Cache Service
+ * Caches API responses by endpoint + params with request de-duplication,
+ * stale-while-revalidate and refetch on window focus/reconnect
+ */
+
+const IDLE_STATE = Object.freeze({
+  data: undefined,
+  error: null,
+  status: 'idle',
+  isFetching: false,
+  updatedAt: 0
+});
+
+class QueryCacheService {
+  constructor() {
+    this.debugLogging = import.meta.env.VITE_ENABLE_DEBUG_LOGGING === 'true';
+    this.queries = new Map();
+
+    // Defaults, overridable globally via configure() or per query
+    this.defaultOptions = {
+      staleTime: parseInt(import.meta.env.VITE_QUERY_STALE_TIME) || 30 * 1000,
+      cacheTime: parseInt(import.meta.env.VITE_QUERY_CACHE_TIME) || 5 * 60 * 1000,
+      refetchOnWindowFocus: true,
+      refetchOnReconnect: true
+    };
+
+    this.attachWindowListeners();
+  }
+
+  /**
+   * Update default cache options
+   */
+  configure(options = {}) {
+    this.defaultOptions = { ...this.defaultOptions, ...options };
+  }
+
+  /**
+   * Build a stable cache key from an endpoint and its params
+   */
+  buildKey(endpoint, params = {}) {
+    const sortedParams = Object.keys(params)
+      .filter(key => params[key] !== undefined && params[key] !== null)
+      .sort()
+      .reduce((acc, key) => ({ ...acc, [key]: params[key] }), {});
+
+    return `${endpoint}:${JSON.stringify(sortedParams)}`;
+  }
+
+  /**
+   * Get or create the internal record for a key
+   */
+  getQuery(key) {
+    if (!this.queries.has(key)) {
+      this.queries.set(key, {
+        key,
+        state: IDLE_STATE,
+        fetcher: null,
+        options: { ...this.defaultOptions },
+        promise: null,
+        controller: null,
+        listeners: new Set(),
+        gcTimer: null
+      });
+    }
+    return this.queries.get(key);
+  }
+
+  /**
+   * Get the current state snapshot for a key
+   */
+  getState(key) {
+    const query = this.queries.get(key);
+    return query ? query.state : IDLE_STATE;
+  }
+
+  /**
+   * Replace a query's state and notify subscribers
+   */
+  setState(query, partialState) {
+    query.state = { ...query.state, ...partialState };
+    query.listeners.forEach(listener => {
+      try {
+        listener(query.state);
+      } catch (error) {
+        console.error(`Error in query cache listener for ${query.key}:`, error);
+      }
+    });
+  }
+
+  /**
+   * Subscribe to state changes for a key
+   */
+  subscribe(key, listener) {
+    const query = this.getQuery(key);
+    query.listeners.add(listener);
+
+    if (query.gcTimer) {
+      clearTimeout(query.gcTimer);
+      query.gcTimer = null;
+    }
+
+    return () => {
+      query.listeners.delete(listener);
+      if (query.listeners.size === 0) {
+        this.handleInactive(query);
+      }
+    };
+  }
+
+  /**
+   * Cancel unused in-flight requests and schedule garbage collection
+   */
+  handleInactive(query) {
+    // Deferred so a component remounting with the same key keeps the request
+    setTimeout(() => {
+      if (query.listeners.size > 0) return;
+
+      if (query.controller) {
+        this.log('Cancelling unused request:', query.key);
+        this.cancel(query.key);
+      }
+
+      query.gcTimer = setTimeout(() => {
+        if (query.listeners.size === 0) {
+          this.log('Removing cached query:', query.key);
+          this.queries.delete(query.key);
+        }
+      }, query.options.cacheTime);
+    }, 0);
+  }
+
+  /**
+   * Check if cached data is older than its stale time
+   */
+  isStale(key) {
+    const query = this.queries.get(key);
+    if (!query || query.state.status !== 'success') return true;
+
+    return Date.now() - query.state.updatedAt >= query.options.staleTime;
+  }
+
+  /**
+   * Fetch a query, returning fresh cached data or joining an in-flight request.
+   * A forced fetch replaces an in-flight request instead, which may have
+   * started before the change that made it necessary. The fetcher gets (signal, { priority }): 'background' when refreshing data
+   * that is already on screen or that nobody asked for, else 'interactive'
+   * (see RateLimiter PRIORITIES).
+   */
+  async fetchQuery(key, fetcher, options = {}) {
+    const { force = false, background = null, ...queryOptions } = options;
+    const query = this.getQuery(key);
+
+    if (fetcher) {
+      query.fetcher = fetcher;
+    }
+    query.options = { ...query.options, ...queryOptions };
+
+    if (query.promise && force) {
+      this.log('Superseding in-flight request:', key);
+      this.cancel(key);
+    }
+
+    if (query.promise) {
+      this.log('Joining in-flight request:', key);
+      return query.promise;
+    }
+
+    if (!force && !this.isStale(key)) {
+      this.log('Serving fresh cached data:', key);
+      return query.state.data;
+    }
+
+    if (!query.fetcher) {
+      throw new Error(`No fetcher registered for query: ${key}`);
+    }
+
+    const controller = new AbortController();
+    query.controller = controller;
+
+    // Keep showing cached data while revalidating
+    this.setState(query, {
+      status: query.state.data === undefined ? 'loading' : query.state.status,
+      isFetching: true
+    });
+
+    // Superseded requests (after clear or cancel) must not touch state
+    const isCurrent = () => query.controller === controller;
+
+    const revalidating = background ?? (!force && query.state.data !== undefined);
+    const promise = query.fetcher(controller.signal, { priority: revalidating ? 'background' : 'interactive' })
+      .then(data => {
+        if (!isCurrent()) return data;
+        this.setState(query, {
+          data,
+          error: null,
+          status: 'success',
+          isFetching: false,
+          updatedAt: Date.now()
+        });
+        return data;
+      })
+      .catch(error => {
+        if (!isCurrent()) throw error;
+        if (controller.signal.aborted) {
+          this.setState(query, {
+            status: query.state.data === undefined ? 'idle' : 'success',
+            isFetching: false
+          });
+        } else {
+          this.setState(query, { error, status: 'error', isFetching: false });
+        }
+        throw error;
+      })
+      .finally(() => {
+        if (isCurrent()) {
+          query.promise = null;
+          query.controller = null;
+        }
+      });
+
+    query.promise = promise;
+    return promise;
+  }
+
+  /**
+   * Turn a key prefix or predicate into a key predicate
+   */
+  createMatcher(match) {
+    return typeof match === 'function'
+      ? match
+      : (key) => key.startsWith(match);
+  }
+
+  /**
+   * Mark matching queries stale and refetch the ones in use
+   * @param {string|Function} match - Key prefix (usually an endpoint) or predicate
+   */
+  invalidate(match) {
+    const matches = this.createMatcher(match);
+
+    this.queries.forEach((query, key) => {
+      if (!matches(key)) return;
+
+      this.log('Invalidating query:', key);
+      query.state = { ...query.state, updatedAt: 0 };
+
+      if (query.listeners.size > 0 && query.fetcher) {
+        this.fetchQuery(key, null, { force: true, background: true }).catch(() => {});
+      }
+    });
+  }
+
+  /**
+   * Directly set cached data for a key
+   */
+  setQueryData(key, updater) {
+    const query = this.getQuery(key);
+    const data = typeof updater === 'function' ? updater(query.state.data) : updater;
+
+    this.setState(query, {
+      data,
+      error: null,
+      status: 'success',
+      updatedAt: Date.now()
+    });
+  }
+
+  /**
+   * Apply an updater to the data of every matching query that has data
+   */
+  updateQueries(match, updater) {
+    const matches = this.createMatcher(match);
+
+    this.queries.forEach((query, key) => {
+      if (!matches(key) || query.state.data === undefined) return;
+      this.setState(query, { data: updater(query.state.data, key) });
+    });
+  }
+
+  /**
+   * Capture the state of matching queries so it can be restored later
+   */
+  snapshot(match) {
+    const matches = this.createMatcher(match);
+    const saved = new Map();
+
+    this.queries.forEach((query, key) => {
+      if (matches(key)) saved.set(key, query.state);
+    });
+
+    return saved;
+  }
+
+  /**
+   * Restore query states captured by snapshot()
+   */
+  restore(saved) {
+    saved.forEach((state, key) => {
+      const query = this.queries.get(key);
+      if (query) this.setState(query, { ...state, isFetching: query.state.isFetching });
+    });
+  }
+
+  /**
+   * Refetch stale queries that have active subscribers
+   */
+  refetchActive(trigger) {
+    this.queries.forEach((query, key) => {
+      if (query.listeners.size === 0 || !query.fetcher) return;
+      if (trigger === 'focus' && !query.options.refetchOnWindowFocus) return;
+      if (trigger === 'reconnect' && !query.options.refetchOnReconnect) return;
+      if (!this.isStale(key)) return;
+
+      this.log(`Refetching on ${trigger}:`, key);
+      this.fetchQuery(key).catch(() => {});
+    });
+  }
+
+  /**
+   * Listen for window focus and network reconnection
+   */
+  attachWindowListeners() {
+    if (typeof window === 'undefined') return;
+
+    window.addEventListener('focus', () => this.refetchActive('focus'));
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') {
+        this.refetchActive('focus');
+      }
+    });
+    window.addEventListener('online', () => this.refetchActive('reconnect'));
+  }
+
+  /**
+   * Abort the in-flight request for a key, if any
+   */
+  cancel(key) {
+    const query = this.queries.get(key);
+    if (!query || !query.controller) return;
+
+    const { controller } = query;
+    query.promise = null;
+    query.controller = null;
+    controller.abort();
+    this.setState(query, {
+      status: query.state.data === undefined ? 'idle' : 'success',
+      isFetching: false
+    });
+  }
+
+  /**
+   * Abort in-flight requests for every matching query
+   */
+  cancelQueries(match) {
+    const matches = this.createMatcher(match);
+    this.queries.forEach((query, key) => {
+      if (matches(key)) this.cancel(key);
+    });
+  }
+
+  /**
+   * Drop all cached data, cancelling in-flight requests.
+   * Queries still in use are reset and, unless refetch is false, refetched.
+   */
+  clear({ refetch = true } = {}) {
+    this.queries.forEach((query, key) => {
+      this.cancel(key);
+      if (query.gcTimer) clearTimeout(query.gcTimer);
+
+      if (query.listeners.size === 0) {
+        this.queries.delete(key);
+        return;
+      }
+
+      this.setState(query, IDLE_STATE);
+      if (refetch && query.fetcher) {
+        this.fetchQuery(key, null, { force: true }).catch(() => {});
+      }
+    });
+  }
+
+  /**
+   * Debug logging
+   */
+  log(...args) {
+    if (this.debugLogging) {
+      console.log('[QueryCache]', ...args);
+    }
+  }
+}
+
+// Create singleton instance
+export const queryCache = new QueryCacheService();
+
+// Export class for testing
+export { QueryCacheService };
@@ -1,26 +1,75 @@
 /**
  * Frontend rate limiter to coordinate with backend limits.
  * Provides UI feedback and prevents unnecessary requests.
+ *
+ * Request-counting services allow maxRequests per windowMs. Cost-based
+ * services (Jobber's GraphQL API) throttle by query cost instead: a leaky
+ * bucket of points that refills at restoreRate points per second, reported
+ * with every response in extensions.cost.throttleStatus.
+ *
+ * This is the single record of provider limits: WorkSyncAPI acquires a slot
+ * for every provider-scoped call and reports back x-ratelimit-* headers and
+ * 429s (see the rateLimit interceptor), and ErrorHandlerService reads it.
+ *
+ * Requests that have to wait are queued by priority class (see PRIORITIES),
+ * taking turns across realms within a class, and leave the queue early when
+ * their deadline passes or their AbortSignal fires.
+ *
+ * Recent activity (requests, points spent, 429s, queued requests) is kept for
+ * the limits page: see getTimeline and getExhaustionForecast.
  */
 
+// Queued requests are served by class rank; maxWait is the default deadline
+export const PRIORITIES = {
+  interactive: { rank: 0, maxWait: 30 * 1000 }, // the user is waiting on it
+  background: { rank: 1, maxWait: 2 * 60 * 1000 }, // revalidation, polling
+  bulk: { rank: 2, maxWait: null } // large syncs, may wait as long as it takes
+};
+
+/**
+ * Create the error a queued request is rejected with once its deadline passes
+ */
+export function createQueueTimeoutError(bucketKey, waitedMs) {
+  const error = new Error(`Gave up waiting for ${bucketKey} rate limits after ${Math.round(waitedMs / 1000)}s`);
+  error.name = 'QueueTimeoutError';
+  error.code = 'QUEUE_TIMEOUT';
+  error.isQueueTimeout = true;
+  return error;
+}
+
+const createAbortError = () => new DOMException('The operation was aborted.', 'AbortError');
+
+// What a queued request resolves with: its start was recorded when it left the queue
+const STARTED_FROM_QUEUE = Symbol('startedFromQueue');
+
 class RateLimiter {
   constructor() {
     this.limits = new Map();
     this.queues = new Map();
     this.monitoring = new Map();
+    this.nextQueueId = 1;
+    
+    // Activity events, oldest first: { bucketKey, type, amount, timestamp }
+    this.history = [];
+    this.historyMs = 10 * 60 * 1000;
+    this.maxHistory = 20000;
     
     // Rate limit configurations matching backend
     this.configs = {
       jobber: {
-        maxRequests: 2500,
-        windowMs: 5 * 60 * 1000, // 5 minutes
+        costBased: true,
+        maximumAvailable: 10000, // points
+        restoreRate: 500, // points per second
+        defaultQueryCost: 250, // until responses tell us what an operation costs
         warningThreshold: 0.8
       },
       quickbooks: {
-        maxRequests: 500,
+        maxRequests: parseInt(import.meta.env.VITE_QUICKBOOKS_RATE_LIMIT) || 500,
         windowMs: 60 * 1000, // 1 minute
         warningThreshold: 0.8,
-        maxConcurrent: 10
+        maxConcurrent: 10,
+        batchSize: 30, // operations per batch request
+        perRealm: true // Limits apply to each company (realmId) separately
       }
     };
     
@@ -29,184 +78,651 @@ class RateLimiter {
   }
   
   initializeServices() {
-    Object.keys(this.configs).forEach(service => {
-      this.limits.set(service, {
-        requests: [],
-        concurrentRequests: 0,
-        isWarning: false,
-        isBlocked: false
-      });
-      
-      this.queues.set(service, []);
+    this.queues.forEach((queue, bucketKey) => this.flushQueue(bucketKey));
+    this.limits.forEach(limit => clearTimeout(limit.wakeTimer));
+    this.limits.clear();
+    this.queues.clear();
+    Object.keys(this.configs).forEach(service => this.createBucket(service));
+  }
+  
+  /**
+   * Key of the bucket a request counts against. Per-realm services get one
+   * bucket per realmId; requests without a realm share the service bucket.
+   */
+  getBucketKey(service, realmId = null) {
+    return this.configs[service]?.perRealm && realmId ? `${service}:${realmId}` : service;
+  }
+  
+  /**
+   * Creates the counters and queue for a bucket.
+   */
+  createBucket(bucketKey) {
+    const config = this.configs[this.parseBucketKey(bucketKey).service];
+    clearTimeout(this.limits.get(bucketKey)?.wakeTimer);
+    this.flushQueue(bucketKey);
+    
+    this.limits.set(bucketKey, {
+      requests: [],
+      concurrentRequests: 0,
+      isWarning: false,
+      isBlocked: false,
+      // Last reported by the provider (x-ratelimit-* headers or a 429)
+      remaining: null,
+      resetTime: null,
+      reconciledAt: null,
+      wakeTimer: null,
+      realmServedAt: new Map(), // realmId -> when its last queued request went ahead
+      ...(config.costBased && {
+        currentlyAvailable: config.maximumAvailable,
+        maximumAvailable: config.maximumAvailable,
+        restoreRate: config.restoreRate,
+        updatedAt: Date.now(),
+        lastQueryCost: null,
+        queryCosts: new Map() // operation -> requestedQueryCost last reported
+      })
     });
+    
+    this.queues.set(bucketKey, []);
+  }
+  
+  /**
+   * Gets the bucket for a request, creating realm buckets on first use.
+   */
+  getBucket(service, realmId = null) {
+    const config = this.configs[service];
+    if (!config) {
+      throw new Error(`Unknown service: ${service}`);
+    }
+    
+    const key = this.getBucketKey(service, realmId);
+    if (!this.limits.has(key)) {
+      this.createBucket(key);
+    }
+    
+    return { key, config, limit: this.limits.get(key) };
+  }
+  
+  /**
+   * Splits a bucket key back into service and realm.
+   */
+  parseBucketKey(bucketKey) {
+    const [service, ...realm] = bucketKey.split(':');
+    return { service, realmId: realm.length ? realm.join(':') : null };
   }
   
   /**
    * Checks if a request can proceed immediately.
+   * For cost-based services the estimated query cost is taken from the
+   * bucket when the request is allowed through, so concurrent requests
+   * can't overdraw it; requests that don't fit wait until enough has leaked back.
    * @param {string} service - 'jobber' or 'quickbooks'
    * @param {string} realmId - Optional realm ID for QuickBooks
-   * @returns {Promise<boolean>} Whether request can proceed
+   * @param {Object} options - { operation, cost } for cost-based services (see estimateQueryCost),
+   *   plus how to wait if the request has to be queued (see queueRequest)
+   * @returns {Promise<boolean>} Whether request can proceed (for a request that
+   *   was queued, a truthy marker: its start is already recorded, see dequeue)
+   * @throws AbortError or QueueTimeoutError when the request leaves the queue early
    */
-  async canProceed(service, realmId = null) {
-    const config = this.configs[service];
-    const limit = this.limits.get(service);
+  async canProceed(service, realmId = null, options = {}) {
+    const { key, config, limit } = this.getBucket(service, realmId);
+    if (options.signal?.aborted) {
+      throw createAbortError();
+    }
     
-    if (!config || !limit) {
-      throw new Error(`Unknown service: ${service}`);
+    if (config.costBased) {
+      return this.reservePoints(key, this.estimateQueryCost(service, options, realmId), realmId, options);
     }
     
     // Clean old requests
-    this.cleanupOldRequests(service);
+    this.cleanupOldRequests(key);
     
     // Check rate limit
-    if (limit.requests.length >= config.maxRequests) {
-      console.warn(`Rate limit reached for ${service}. Queuing request.`);
-      return this.queueRequest(service, realmId);
+    if (this.getUsedRequests(key) >= config.maxRequests) {
+      console.warn(`Rate limit reached for ${key}. Queuing request.`);
+      const queued = this.queueRequest(key, realmId, null, options);
+      this.processQueue(key);
+      return queued;
+    }
+    
+    // Check concurrent limit (QuickBooks)
+    if (config.maxConcurrent && limit.concurrentRequests >= config.maxConcurrent) {
+      console.warn(`Concurrent limit reached for ${key}. Queuing request.`);
+      return this.queueRequest(key, realmId, null, options);
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Estimates what a query will cost before it is issued: an explicit cost,
+   * else what the API last reported for the same operation, else the default.
+   */
+  estimateQueryCost(service, { operation = null, cost = null } = {}, realmId = null) {
+    const { config, limit } = this.getBucket(service, realmId);
+    if (!config.costBased) return 1;
+    
+    return cost ?? limit.queryCosts.get(operation) ?? config.defaultQueryCost;
+  }
+  
+  /**
+   * Takes a query's cost from a cost-based bucket, queuing the request (in
+   * arrival order) when the bucket doesn't hold enough points yet.
+   */
+  async reservePoints(bucketKey, cost, realmId = null, options = {}) {
+    const limit = this.limits.get(bucketKey);
+    this.refillBucket(bucketKey);
+    
+    // The API rejects a query costing more than the whole bucket; waiting won't help
+    if (cost > limit.maximumAvailable) {
+      console.warn(`Query cost ${cost} exceeds the ${bucketKey} bucket (${limit.maximumAvailable} points).`);
+      return true;
     }
     
-    // Check concurrent limit for QuickBooks
-    if (service === 'quickbooks' && limit.concurrentRequests >= config.maxConcurrent) {
-      console.warn(`Concurrent limit reached for ${service}. Queuing request.`);
-      return this.queueRequest(service, realmId);
+    if (this.queues.get(bucketKey).length || limit.remaining === 0 || cost > limit.currentlyAvailable) {
+      console.warn(`Not enough query points for ${bucketKey} (${Math.floor(limit.currentlyAvailable)}/${cost}). Queuing request.`);
+      const queued = this.queueRequest(bucketKey, realmId, cost, options);
+      this.processQueue(bucketKey);
+      return queued;
     }
     
+    limit.currentlyAvailable -= cost;
+    this.recordEvent(bucketKey, 'points', cost);
+    this.updateWarningStatus(bucketKey);
     return true;
   }
   
+  /**
+   * Adds the points leaked back into a cost-based bucket since its last update.
+   */
+  refillBucket(bucketKey) {
+    const limit = this.limits.get(bucketKey);
+    const now = Date.now();
+    const restored = ((now - limit.updatedAt) / 1000) * limit.restoreRate;
+    
+    limit.currentlyAvailable = Math.min(limit.maximumAvailable, limit.currentlyAvailable + restored);
+    limit.updatedAt = now;
+  }
+  
+  /**
+   * Reconciles a cost-based bucket with the cost the API reported for a
+   * query (Jobber: the extensions.cost object of a GraphQL response).
+   * @param {Object} cost - { requestedQueryCost, actualQueryCost, throttleStatus }
+   * @param {Object} options - { realmId, operation } operation remembers the cost for estimates
+   */
+  updateQueryCost(service, cost, { realmId = null, operation = null } = {}) {
+    const { key, config, limit } = this.getBucket(service, realmId);
+    if (!config.costBased || !cost?.throttleStatus) return;
+    
+    const { currentlyAvailable, maximumAvailable, restoreRate } = cost.throttleStatus;
+    limit.maximumAvailable = maximumAvailable ?? limit.maximumAvailable;
+    limit.restoreRate = restoreRate ?? limit.restoreRate;
+    limit.currentlyAvailable = Math.min(currentlyAvailable ?? limit.currentlyAvailable, limit.maximumAvailable);
+    limit.updatedAt = Date.now();
+    limit.lastQueryCost = cost.actualQueryCost ?? cost.requestedQueryCost ?? null;
+    
+    if (operation && cost.requestedQueryCost) {
+      limit.queryCosts.set(operation, cost.requestedQueryCost);
+    }
+    
+    this.updateWarningStatus(key);
+    this.processQueue(key);
+  }
+  
+  /**
+   * Waits for a slot and records the request start. Every acquire must be
+   * paired with recordRequestComplete once the request settles; one that
+   * rejects (see canProceed) has taken no slot.
+   */
+  async acquire(service, realmId = null, options = {}) {
+    const admitted = await this.canProceed(service, realmId, options);
+    if (admitted !== STARTED_FROM_QUEUE) {
+      this.recordRequestStart(service, realmId);
+    }
+  }
+  
+  /**
+   * Whether the provider itself refused more requests until resetTime.
+   */
+  isRateLimited(service, realmId = null) {
+    if (!this.configs[service]) return false;
+    
+    const { key, limit } = this.getBucket(service, realmId);
+    this.cleanupOldRequests(key);
+    return limit.remaining === 0 && limit.resetTime !== null;
+  }
+  
+  /**
+   * Reconciles a bucket with the quota the provider reported
+   * (x-ratelimit-remaining / x-ratelimit-reset response headers).
+   * @param {Object} quota - { remaining, resetTime (Date) }
+   */
+  reconcile(service, realmId, { remaining, resetTime }) {
+    if (!this.configs[service]) return;
+    
+    const { key, limit } = this.getBucket(service, realmId);
+    limit.remaining = remaining;
+    limit.resetTime = resetTime;
+    limit.reconciledAt = Date.now();
+    
+    this.updateWarningStatus(key);
+    this.processQueue(key);
+  }
+  
+  /**
+   * Records a 429: nothing more goes through until retryAfter seconds pass.
+   */
+  markRateLimited(service, realmId = null, retryAfter = null) {
+    if (!this.configs[service]) return;
+    
+    this.reconcile(service, realmId, {
+      remaining: 0,
+      resetTime: new Date(Date.now() + (retryAfter || 60) * 1000)
+    });
+    this.recordEvent(this.getBucketKey(service, realmId), 'rateLimited');
+    console.warn(`Rate limit hit for ${this.getBucketKey(service, realmId)}, reset at:`, this.getBucket(service, realmId).limit.resetTime);
+  }
+  
   /**
    * Records a request start.
    */
   recordRequestStart(service, realmId = null) {
-    const limit = this.limits.get(service);
-    if (limit) {
+    const { key, config, limit } = this.getBucket(service, realmId);
+    // Cost-based buckets were charged when canProceed let the request through
+    if (!config.costBased) {
       limit.requests.push({
         timestamp: Date.now(),
         realmId
       });
-      
-      if (service === 'quickbooks') {
-        limit.concurrentRequests++;
-      }
-      
-      this.updateWarningStatus(service);
     }
+
+    if (config.maxConcurrent) {
+      limit.concurrentRequests++;
+    }
+    
+    this.recordEvent(key, 'requests');
+    this.updateWarningStatus(key);
   }
   
   /**
    * Records a request completion.
    */
   recordRequestComplete(service, realmId = null) {
-    const limit = this.limits.get(service);
-    if (limit && service === 'quickbooks') {
+    const { key, config, limit } = this.getBucket(service, realmId);
+    if (config.maxConcurrent) {
       limit.concurrentRequests = Math.max(0, limit.concurrentRequests - 1);
     }
     
     // Process queue if possible
-    this.processQueue(service);
+    this.processQueue(key);
   }
   
   /**
    * Gets current rate limit status for UI display.
+   * @param {string} service - 'jobber' or 'quickbooks'
+   * @param {string} realmId - Optional realm ID for QuickBooks
    */
-  getRateLimitStatus(service) {
-    const config = this.configs[service];
-    const limit = this.limits.get(service);
-    
-    if (!config || !limit) {
+  getRateLimitStatus(service, realmId = null) {
+    if (!this.configs[service]) {
       return null;
     }
     
-    this.cleanupOldRequests(service);
+    const { key, config, limit } = this.getBucket(service, realmId);
+    
+    this.cleanupOldRequests(key);
     
-    const usage = limit.requests.length / config.maxRequests;
-    const timeUntilReset = this.getTimeUntilReset(service);
+    const usage = this.getUsage(key);
+    const timeUntilReset = this.getTimeUntilReset(key);
     
     return {
       service,
-      currentRequests: limit.requests.length,
-      maxRequests: config.maxRequests,
+      realmId: this.parseBucketKey(key).realmId,
+      currentRequests: config.costBased ? 0 : this.getUsedRequests(key),
+      maxRequests: config.maxRequests || 0,
+      remaining: this.getRemaining(key),
+      resetTime: limit.resetTime,
+      isLimited: this.isRateLimited(service, realmId),
       usage: Math.round(usage * 100),
       isWarning: limit.isWarning,
       isBlocked: limit.isBlocked,
       timeUntilReset,
       concurrentRequests: limit.concurrentRequests || 0,
       maxConcurrent: config.maxConcurrent || 0,
-      queuedRequests: this.queues.get(service)?.length || 0
+      queuedRequests: this.queues.get(key)?.length || 0,
+      ...(config.costBased && {
+        costBased: true,
+        currentlyAvailable: Math.floor(limit.currentlyAvailable),
+        maximumAvailable: limit.maximumAvailable,
+        restoreRate: limit.restoreRate,
+        lastQueryCost: limit.lastQueryCost
+      })
     };
   }
   
   /**
    * Queues a request when limits are reached.
+   * @param {Object} options
+   * @param {string} options.priority - Class in PRIORITIES, 'interactive' by default
+   * @param {number} options.deadline - Epoch ms to give up at; defaults to the class's maxWait
+   * @param {AbortSignal} options.signal - Leaves the queue when aborted
+   * @param {Function} options.onQueuePosition - Called with the number of requests
+   *   ahead whenever it changes, and with null once the request leaves the queue
    */
-  async queueRequest(service, realmId) {
-    return new Promise((resolve) => {
-      const queue = this.queues.get(service);
-      queue.push({
+  async queueRequest(bucketKey, realmId, cost = null, { priority = 'interactive', deadline = null, signal = null, onQueuePosition = null } = {}) {
+    const maxWait = PRIORITIES[priority]?.maxWait;
+    const giveUpAt = deadline ?? (maxWait ? Date.now() + maxWait : null);
+    
+    return new Promise((resolve, reject) => {
+      const queue = this.queues.get(bucketKey);
+      const entry = {
+        id: this.nextQueueId++,
         resolve,
+        reject,
         realmId,
-        timestamp: Date.now()
-      });
+        cost,
+        priority: PRIORITIES[priority] ? priority : 'interactive',
+        timestamp: Date.now(),
+        onQueuePosition,
+        position: null,
+        deadlineTimer: null,
+        detachSignal: null
+      };
       
-      console.log(`Request queued for ${service}. Queue length: ${queue.length}`);
+      if (giveUpAt !== null) {
+        entry.deadlineTimer = setTimeout(() => {
+          this.dropEntry(bucketKey, entry, createQueueTimeoutError(bucketKey, Date.now() - entry.timestamp));
+        }, Math.max(giveUpAt - Date.now(), 0));
+      }
+      if (signal) {
+        const onAbort = () => this.dropEntry(bucketKey, entry, createAbortError());
+        signal.addEventListener('abort', onAbort, { once: true });
+        entry.detachSignal = () => signal.removeEventListener('abort', onAbort);
+      }
+      
+      queue.push(entry);
+      this.recordEvent(bucketKey, 'queued');
+      this.sortQueue(bucketKey);
+      console.log(`Request queued for ${bucketKey} (${entry.priority}). Queue length: ${queue.length}`);
+    });
+  }
+  
+  /**
+   * Puts a queue in serving order: by priority class, then taking turns
+   * across realms (the realm served longest ago first), then by arrival.
+   * Per-realm services queue each realm separately; this keeps realms that
+   * share a bucket from starving each other.
+   */
+  sortQueue(bucketKey) {
+    const queue = this.queues.get(bucketKey);
+    const { realmServedAt } = this.limits.get(bucketKey);
+    
+    // Each entry's turn is how many of its realm's entries in its class are ahead of it
+    const turns = new Map();
+    const seen = new Map();
+    [...queue].sort((a, b) => a.timestamp - b.timestamp).forEach(entry => {
+      const group = `${entry.priority}:${entry.realmId}`;
+      turns.set(entry, seen.get(group) || 0);
+      seen.set(group, (seen.get(group) || 0) + 1);
     });
+    
+    queue.sort((a, b) => (
+      PRIORITIES[a.priority].rank - PRIORITIES[b.priority].rank ||
+      turns.get(a) - turns.get(b) ||
+      (realmServedAt.get(a.realmId) || 0) - (realmServedAt.get(b.realmId) || 0) ||
+      a.timestamp - b.timestamp
+    ));
+    this.reportQueuePositions(bucketKey);
+  }
+  
+  /**
+   * Tells queued requests how many are ahead of them, when that changed.
+   */
+  reportQueuePositions(bucketKey) {
+    this.queues.get(bucketKey).forEach((entry, index) => {
+      if (entry.position === index) return;
+      entry.position = index;
+      entry.onQueuePosition?.(index);
+    });
+  }
+  
+  /**
+   * Lets the next queued request go ahead. Its start is recorded here rather
+   * than once its caller resumes, so the slot is taken before the next one
+   * is considered.
+   */
+  dequeue(bucketKey) {
+    const queue = this.queues.get(bucketKey);
+    const entry = queue.shift();
+    this.limits.get(bucketKey).realmServedAt.set(entry.realmId, Date.now());
+    this.releaseEntry(entry);
+    this.recordRequestStart(this.parseBucketKey(bucketKey).service, entry.realmId);
+    
+    console.log(`Processing queued request for ${bucketKey}. Queue length: ${queue.length}`);
+    entry.resolve(STARTED_FROM_QUEUE);
+    this.sortQueue(bucketKey);
+  }
+  
+  /**
+   * Rejects a queued request that timed out or was cancelled, which may let
+   * the ones behind it through.
+   */
+  dropEntry(bucketKey, entry, error) {
+    const queue = this.queues.get(bucketKey);
+    const index = queue.indexOf(entry);
+    if (index === -1) return;
+    
+    queue.splice(index, 1);
+    this.releaseEntry(entry);
+    console.warn(`Queued request for ${bucketKey} left the queue: ${error.message}`);
+    entry.reject(error);
+    
+    this.reportQueuePositions(bucketKey);
+    this.updateWarningStatus(bucketKey);
+    this.processQueue(bucketKey);
+  }
+  
+  /**
+   * Lets every queued request go ahead, e.g. when its counters are reset.
+   */
+  flushQueue(bucketKey) {
+    (this.queues.get(bucketKey) || []).splice(0).forEach(entry => {
+      this.releaseEntry(entry);
+      entry.resolve(true);
+    });
+  }
+  
+  /**
+   * Stops a queue entry's deadline and abort listener.
+   */
+  releaseEntry(entry) {
+    clearTimeout(entry.deadlineTimer);
+    entry.detachSignal?.();
+    if (entry.position !== null) {
+      entry.position = null;
+      entry.onQueuePosition?.(null);
+    }
+  }
+  
+  /**
+   * Queued requests of a bucket in serving order, for display.
+   */
+  getQueue(service, realmId = null) {
+    if (!this.configs[service]) return [];
+    
+    return this.queues.get(this.getBucketKey(service, realmId))?.map(entry => ({
+      id: entry.id,
+      priority: entry.priority,
+      realmId: entry.realmId,
+      cost: entry.cost,
+      queuedAt: entry.timestamp
+    })) || [];
   }
   
   /**
    * Processes queued requests when capacity becomes available.
    */
-  processQueue(service) {
-    const queue = this.queues.get(service);
-    const config = this.configs[service];
-    const limit = this.limits.get(service);
+  processQueue(bucketKey) {
+    const queue = this.queues.get(bucketKey);
+    const config = this.configs[this.parseBucketKey(bucketKey).service];
+    const limit = this.limits.get(bucketKey);
     
     if (!queue.length) return;
     
-    this.cleanupOldRequests(service);
+    this.cleanupOldRequests(bucketKey);
     
-    // Check if we can process queued requests
-    const canProcessRate = limit.requests.length < config.maxRequests;
-    const canProcessConcurrent = service !== 'quickbooks' || 
-                                limit.concurrentRequests < config.maxConcurrent;
+    // The provider refused more requests: wait for its reset
+    if (limit.remaining === 0) {
+      this.scheduleQueue(bucketKey, this.getTimeUntilReset(bucketKey));
+      return;
+    }
     
-    if (canProcessRate && canProcessConcurrent) {
-      const queuedRequest = queue.shift();
-      if (queuedRequest) {
-        console.log(`Processing queued request for ${service}. Queue length: ${queue.length}`);
-        queuedRequest.resolve(true);
-      }
+    if (config.costBased) {
+      this.processCostQueue(bucketKey);
+      return;
+    }
+    
+    // Let requests through while the window and concurrent slots have room
+    const canProcessRate = () => this.getUsedRequests(bucketKey) < config.maxRequests;
+    const canProcessConcurrent = () => !config.maxConcurrent ||
+                                      limit.concurrentRequests < config.maxConcurrent;
+    
+    while (queue.length && canProcessRate() && canProcessConcurrent()) {
+      this.dequeue(bucketKey);
+    }
+    
+    if (queue.length && !canProcessRate()) {
+      // Completions free concurrent slots; the window only frees up with time
+      this.scheduleQueue(bucketKey, this.getTimeUntilReset(bucketKey));
+    }
+  }
+  
+  /**
+   * Processes the queue again after delay ms (one pending wake-up per bucket).
+   */
+  scheduleQueue(bucketKey, delay) {
+    const limit = this.limits.get(bucketKey);
+    clearTimeout(limit.wakeTimer);
+    limit.wakeTimer = setTimeout(() => {
+      limit.wakeTimer = null;
+      this.processQueue(bucketKey);
+    }, delay);
+  }
+  
+  /**
+   * Lets queued requests through in serving order while the bucket holds
+   * their cost, then waits for the points the next one needs to leak back.
+   */
+  processCostQueue(bucketKey) {
+    const queue = this.queues.get(bucketKey);
+    const limit = this.limits.get(bucketKey);
+    
+    this.refillBucket(bucketKey);
+    
+    while (queue.length && queue[0].cost <= limit.currentlyAvailable) {
+      limit.currentlyAvailable -= queue[0].cost;
+      this.recordEvent(bucketKey, 'points', queue[0].cost);
+      this.dequeue(bucketKey);
+    }
+    this.updateWarningStatus(bucketKey);
+    
+    if (queue.length) {
+      this.scheduleQueue(bucketKey, Math.ceil(((queue[0].cost - limit.currentlyAvailable) / limit.restoreRate) * 1000));
     }
   }
   
   /**
    * Cleans up old requests outside the rate limit window.
    */
-  cleanupOldRequests(service) {
-    const config = this.configs[service];
-    const limit = this.limits.get(service);
+  cleanupOldRequests(bucketKey) {
+    const config = this.configs[this.parseBucketKey(bucketKey).service];
+    const limit = this.limits.get(bucketKey);
+    
+    // The provider's numbers describe a window that has now ended
+    if (limit.resetTime && limit.resetTime <= new Date()) {
+      limit.remaining = null;
+      limit.resetTime = null;
+      limit.reconciledAt = null;
+    }
+    
+    if (config.costBased) {
+      this.refillBucket(bucketKey);
+      this.updateWarningStatus(bucketKey);
+      return;
+    }
+    
     const cutoffTime = Date.now() - config.windowMs;
     
     limit.requests = limit.requests.filter(req => req.timestamp > cutoffTime);
-    this.updateWarningStatus(service);
+    this.updateWarningStatus(bucketKey);
   }
   
   /**
    * Updates warning status based on current usage.
    */
-  updateWarningStatus(service) {
-    const config = this.configs[service];
-    const limit = this.limits.get(service);
-    const usage = limit.requests.length / config.maxRequests;
+  updateWarningStatus(bucketKey) {
+    const config = this.configs[this.parseBucketKey(bucketKey).service];
+    const limit = this.limits.get(bucketKey);
+    const usage = this.getUsage(bucketKey);
     
     limit.isWarning = usage >= config.warningThreshold;
-    limit.isBlocked = usage >= 1.0;
+    // A cost-based bucket is blocked while requests wait for points
+    limit.isBlocked = config.costBased ? this.queues.get(bucketKey)?.length > 0 : usage >= 1.0;
+  }
+  
+  /**
+   * Share of the limit in use (0-1): requests in the window, or points spent.
+   */
+  getUsage(bucketKey) {
+    const config = this.configs[this.parseBucketKey(bucketKey).service];
+    const limit = this.limits.get(bucketKey);
+    
+    return config.costBased
+      ? 1 - limit.currentlyAvailable / limit.maximumAvailable
+      : this.getUsedRequests(bucketKey) / config.maxRequests;
+  }
+  
+  /**
+   * Requests used in the current window. Once the provider has reported its
+   * remaining quota that count wins, plus the requests started since.
+   */
+  getUsedRequests(bucketKey) {
+    const config = this.configs[this.parseBucketKey(bucketKey).service];
+    const limit = this.limits.get(bucketKey);
+    
+    if (limit.remaining === null) {
+      return limit.requests.length;
+    }
+    const startedSince = limit.requests.filter(req => req.timestamp > limit.reconciledAt).length;
+    return Math.max(config.maxRequests - limit.remaining, 0) + startedSince;
+  }
+  
+  /**
+   * Requests (or, for cost-based services, points) left before the limit.
+   */
+  getRemaining(bucketKey) {
+    const config = this.configs[this.parseBucketKey(bucketKey).service];
+    const limit = this.limits.get(bucketKey);
+    
+    if (config.costBased) {
+      return limit.remaining === 0 ? 0 : Math.floor(limit.currentlyAvailable);
+    }
+    return Math.max(config.maxRequests - this.getUsedRequests(bucketKey), 0);
   }
   
   /**
    * Gets time until rate limit resets.
    */
-  getTimeUntilReset(service) {
-    const config = this.configs[service];
-    const limit = this.limits.get(service);
+  getTimeUntilReset(bucketKey) {
+    const config = this.configs[this.parseBucketKey(bucketKey).service];
+    const limit = this.limits.get(bucketKey);
+    
+    if (limit.resetTime) {
+      return Math.max(0, limit.resetTime.getTime() - Date.now());
+    }
+    
+    // Cost-based buckets "reset" once they have leaked back to full
+    if (config.costBased) {
+      return Math.ceil(((limit.maximumAvailable - limit.currentlyAvailable) / limit.restoreRate) * 1000);
+    }
     
     if (!limit.requests.length) return 0;
     
@@ -216,103 +732,119 @@ class RateLimiter {
     return Math.max(0, resetTime - Date.now());
   }
   
+  /**
+   * Records activity for the timeline; events older than historyMs are dropped.
+   * @param {string} type - 'requests', 'points', 'rateLimited' or 'queued'
+   */
+  recordEvent(bucketKey, type, amount = 1) {
+    const now = Date.now();
+    this.history.push({ bucketKey, type, amount, timestamp: now });
+    
+    const cutoff = now - this.historyMs;
+    const expired = this.history.findIndex(event => event.timestamp >= cutoff);
+    if (expired > 0 || this.history.length > this.maxHistory) {
+      this.history.splice(0, Math.max(expired, this.history.length - this.maxHistory));
+    }
+  }
+  
+  /**
+   * Activity of a bucket over the last spanMs, in binMs-long bins aligned to
+   * the clock, oldest first.
+   * @returns {Array<{ start, requests, points, rateLimited, queued }>}
+   */
+  getTimeline(service, realmId = null, { binMs = 15 * 1000, spanMs = this.historyMs } = {}) {
+    const bucketKey = this.getBucketKey(service, realmId);
+    // End of the bin holding now (ceil would end at now on a bin boundary)
+    const end = (Math.floor(Date.now() / binMs) + 1) * binMs;
+    const start = end - Math.ceil(spanMs / binMs) * binMs;
+    const bins = Array.from({ length: (end - start) / binMs }, (_, index) => ({
+      start: start + index * binMs,
+      requests: 0,
+      points: 0,
+      rateLimited: 0,
+      queued: 0
+    }));
+    
+    this.history.forEach(event => {
+      if (event.bucketKey !== bucketKey || event.timestamp < start) return;
+      bins[Math.floor((event.timestamp - start) / binMs)][event.type] += event.amount;
+    });
+    return bins;
+  }
+  
+  /**
+   * Roughly how long until the limit runs out if the last sampleMs's pace
+   * keeps up, in ms. Null when that pace is sustainable: the bucket refills
+   * faster, the window lets go of requests faster or resets first.
+   */
+  getExhaustionForecast(service, realmId = null, sampleMs = 60 * 1000) {
+    const { key, config, limit } = this.getBucket(service, realmId);
+    this.cleanupOldRequests(key);
+    
+    const since = Date.now() - sampleMs;
+    const type = config.costBased ? 'points' : 'requests';
+    const spent = this.history
+      .filter(event => event.bucketKey === key && event.type === type && event.timestamp >= since)
+      .reduce((total, event) => total + event.amount, 0);
+    const perSecond = spent / (sampleMs / 1000);
+    
+    if (config.costBased) {
+      const drain = perSecond - limit.restoreRate;
+      return drain > 0 ? Math.round((limit.currentlyAvailable / drain) * 1000) : null;
+    }
+    
+    if (perSecond * (config.windowMs / 1000) < config.maxRequests) return null;
+    
+    const forecast = Math.round((this.getRemaining(key) / perSecond) * 1000);
+    return limit.resetTime && forecast > this.getTimeUntilReset(key) ? null : forecast;
+  }
+  
   /**
    * Starts background monitoring and cleanup.
    */
   startMonitoring() {
     setInterval(() => {
-      Object.keys(this.configs).forEach(service => {
-        this.cleanupOldRequests(service);
-        this.processQueue(service);
+      this.limits.forEach((limit, bucketKey) => {
+        this.cleanupOldRequests(bucketKey);
+        this.processQueue(bucketKey);
       });
     }, 30000); // Every 30 seconds
   }
   
   /**
-   * Gets all rate limit statuses for dashboard.
+   * Gets all rate limit statuses for dashboard, one per service and realm.
    */
   getAllStatuses() {
-    return Object.keys(this.configs).map(service => 
-      this.getRateLimitStatus(service)
-    );
+    return [...this.limits.keys()].map(bucketKey => {
+      const { service, realmId } = this.parseBucketKey(bucketKey);
+      return this.getRateLimitStatus(service, realmId);
+    });
   }
   
   /**
    * Manually resets rate limits (for testing/admin).
+   * Resetting a per-realm service without a realm resets all of its realms.
    */
-  reset(service = null) {
-    if (service) {
-      const limit = this.limits.get(service);
-      if (limit) {
-        limit.requests = [];
-        limit.concurrentRequests = 0;
-        limit.isWarning = false;
-        limit.isBlocked = false;
-        this.queues.set(service, []);
-      }
-    } else {
+  reset(service = null, realmId = null) {
+    if (!service) {
       this.initializeServices();
+      return;
     }
+    
+    [...this.limits.keys()]
+      .filter(bucketKey => (
+        realmId
+          ? bucketKey === this.getBucketKey(service, realmId)
+          : this.parseBucketKey(bucketKey).service === service
+      ))
+      .forEach(bucketKey => this.createBucket(bucketKey));
   }
 }
 
-// Export singleton instance
+// Create singleton instance
 export const rateLimiter = new RateLimiter();
 
-// React hook for rate limit status
-export function useRateLimitStatus(service) {
-  const [status, setStatus] = React.useState(null);
-  
-  React.useEffect(() => {
-    const updateStatus = () => {
-      setStatus(rateLimiter.getRateLimitStatus(service));
-    };
-    
-    updateStatus();
-    const interval = setInterval(updateStatus, 5000); // Update every 5 seconds
-    
-    return () => clearInterval(interval);
-  }, [service]);
-  
-  return status;
-}
-
-// Rate limit status component
-export function RateLimitIndicator({ service }) {
-  const status = useRateLimitStatus(service);
-  
-  if (!status) return null;
-  
-  const getStatusColor = () => {
-    if (status.isBlocked) return 'red';
-    if (status.isWarning) return 'orange';
-    return 'green';
-  };
-  
-  const formatTime = (ms) => {
-    if (ms < 60000) return `${Math.ceil(ms / 1000)}s`;
-    return `${Math.ceil(ms / 60000)}m`;
-  };
-  
-  return (
-    <div className={`rate-limit-indicator ${getStatusColor()}`}>
-      <div className="service-name">{service.toUpperCase()}</div>
-      <div className="usage">
-        {status.currentRequests}/{status.maxRequests} ({status.usage}%)
-      </div>
-      {status.concurrentRequests > 0 && (
-        <div className="concurrent">
-          Concurrent: {status.concurrentRequests}/{status.maxConcurrent}
-        </div>
-      )}
-      {status.queuedRequests > 0 && (
-        <div className="queued">Queued: {status.queuedRequests}</div>
-      )}
-      {status.timeUntilReset > 0 && (
-        <div className="reset">Resets in {formatTime(status.timeUntilReset)}</div>
-      )}
-    </div>
-  );
-}
+// Export class for testing
+export { RateLimiter };
 
 export default rateLimiter;
@@ -0,0 +1,277 @@
+/**
+ * Response Schemas
+ * Declared shapes of every WorkSync backend response, validated at the API
+ * boundary. Validation also normalizes values: dates (ISO strings, epoch
+ * numbers, Firestore timestamps) become Date objects and numeric strings
+ * become numbers. Unknown fields are passed through untouched.
+ */
+
+// Contract violations throw in development and are only logged elsewhere
+export const strictContracts = import.meta.env.VITE_ENVIRONMENT === 'development';
+
+/**
+ * Minimal schema builders. Each schema parses (value, path, issues) and
+ * returns the normalized value, pushing { path, message } for mismatches.
+ */
+const schema = (parseFn) => ({
+  parse: parseFn,
+  optional() {
+    return schema((value, path, issues) => (value === undefined ? undefined : parseFn(value, path, issues)));
+  },
+  nullable() {
+    return schema((value, path, issues) => (value === null ? null : parseFn(value, path, issues)));
+  }
+});
+
+const typeIssue = (issues, path, expected, value) => {
+  issues.push({ path: path || '(root)', message: `expected ${expected}, got ${value === null ? 'null' : typeof value}` });
+};
+
+export const s = {
+  any: () => schema((value) => value),
+
+  string: () => schema((value, path, issues) => {
+    if (typeof value !== 'string') typeIssue(issues, path, 'string', value);
+    return value;
+  }),
+
+  number: () => schema((value, path, issues) => {
+    if (typeof value === 'number' && !Number.isNaN(value)) return value;
+    if (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) {
+      return Number(value);
+    }
+    typeIssue(issues, path, 'number', value);
+    return value;
+  }),
+
+  boolean: () => schema((value, path, issues) => {
+    if (typeof value !== 'boolean') typeIssue(issues, path, 'boolean', value);
+    return value;
+  }),
+
+  // ISO string, epoch milliseconds or Firestore timestamp -> Date
+  date: () => schema((value, path, issues) => {
+    let date = null;
+
+    if (value instanceof Date) {
+      date = value;
+    } else if (value && typeof value.toDate === 'function') {
+      date = value.toDate();
+    } else if (value && typeof value === 'object' && ('seconds' in value || '_seconds' in value)) {
+      const seconds = value.seconds ?? value._seconds;
+      const nanoseconds = value.nanoseconds ?? value._nanoseconds ?? 0;
+      date = new Date(seconds * 1000 + Math.floor(nanoseconds / 1e6));
+    } else if (typeof value === 'string' || typeof value === 'number') {
+      date = new Date(value);
+    }
+
+    if (!date || Number.isNaN(date.getTime())) {
+      issues.push({ path: path || '(root)', message: `expected a date, got ${JSON.stringify(value)}` });
+      return value;
+    }
+    return date;
+  }),
+
+  array: (itemSchema) => schema((value, path, issues) => {
+    if (!Array.isArray(value)) {
+      typeIssue(issues, path, 'array', value);
+      return value;
+    }
+    return value.map((item, index) => itemSchema.parse(item, `${path}[${index}]`, issues));
+  }),
+
+  object: (shape) => schema((value, path, issues) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      typeIssue(issues, path, 'object', value);
+      return value;
+    }
+
+    const result = { ...value };
+    Object.keys(shape).forEach(field => {
+      const parsed = shape[field].parse(value[field], path ? `${path}.${field}` : field, issues);
+      if (parsed !== undefined) {
+        result[field] = parsed;
+      }
+    });
+    return result;
+  }),
+
+  union: (...schemas) => schema((value, path, issues) => {
+    for (const candidate of schemas) {
+      const candidateIssues = [];
+      const parsed = candidate.parse(value, path, candidateIssues);
+      if (candidateIssues.length === 0) return parsed;
+    }
+    issues.push({ path: path || '(root)', message: `value ${JSON.stringify(value)} matches none of the allowed types` });
+    return value;
+  })
+};
+
+/**
+ * Validate and normalize a response
+ * @returns {{ value: *, issues: Array<{path: string, message: string}> }}
+ */
+export function validateResponse(responseSchema, data) {
+  const issues = [];
+  const value = responseSchema.parse(data, '', issues);
+  return { value, issues };
+}
+
+/**
+ * Create the error raised when a response breaks its contract
+ */
+export function createContractViolationError(endpoint, issues) {
+  const summary = issues.slice(0, 3).map(issue => `${issue.path}: ${issue.message}`).join('; ');
+  const error = new Error(`Response from ${endpoint} violates its contract (${summary})`);
+  error.name = 'ContractViolationError';
+  error.isContractViolation = true;
+  error.code = 'CONTRACT_VIOLATION';
+  error.issues = issues;
+  return error;
+}
+
+// Shared pieces
+const id = s.union(s.string(), s.number());
+
+// One connected QuickBooks company
+const realm = s.object({
+  realmId: s.string(),
+  companyName: s.string().nullable().optional(),
+  connected: s.boolean().optional(),
+  connectedAt: s.date().nullable().optional(),
+  lastSync: s.date().nullable().optional(),
+  error: s.string().nullable().optional()
+});
+
+const providerStatus = s.object({
+  connected: s.boolean(),
+  authenticated: s.boolean().optional(),
+  lastSync: s.date().nullable().optional(),
+  expiresAt: s.date().nullable().optional(),
+  expired: s.boolean().optional(),
+  companyId: s.string().nullable().optional(),
+  accountId: s.string().nullable().optional(),
+  accountName: s.string().nullable().optional(),
+  defaultRealmId: s.string().nullable().optional(),
+  realms: s.array(realm).optional(),
+  error: s.string().nullable().optional()
+});
+
+const pagination = s.object({
+  page: s.number(),
+  perPage: s.number(),
+  totalPages: s.number().optional(),
+  hasNext: s.boolean().optional(),
+  hasPrevious: s.boolean().optional()
+});
+
+const job = s.object({
+  id,
+  title: s.string().nullable().optional(),
+  status: s.string().nullable().optional(),
+  client: s.object({ name: s.string().nullable().optional() }).nullable().optional(),
+  scheduled_date: s.date().nullable().optional(),
+  created_at: s.date().nullable().optional(),
+  total_amount: s.number().nullable().optional()
+});
+
+const activity = s.object({
+  id: id.optional(),
+  status: s.string(),
+  jobId: id.nullable().optional(),
+  realmId: s.string().nullable().optional(),
+  message: s.string().nullable().optional(),
+  createdAt: s.date(),
+  syncType: s.string().optional(),
+  amount: s.number().nullable().optional()
+});
+
+export const SCHEMAS = {
+  session: s.object({
+    success: s.boolean(),
+    user: s.object({
+      id: s.string(),
+      email: s.string(),
+      name: s.string().optional(),
+      role: s.string().optional()
+    }),
+    workspaces: s.array(s.object({
+      id: s.string(),
+      name: s.string()
+    })).optional(),
+    sessionToken: s.string(),
+    expiresAt: s.date().nullable().optional()
+  }),
+
+  health: s.object({
+    success: s.boolean().optional(),
+    status: s.string().optional(),
+    timestamp: s.date().optional()
+  }),
+
+  authStatus: s.object({
+    success: s.boolean().optional(),
+    jobber: providerStatus,
+    quickbooks: providerStatus
+  }),
+
+  authUrl: s.object({
+    success: s.boolean(),
+    authUrl: s.string().optional()
+  }),
+
+  disconnect: s.object({
+    success: s.boolean(),
+    message: s.string().optional()
+  }),
+
+  defaultRealm: s.object({
+    success: s.boolean(),
+    message: s.string().optional()
+  }),
+
+  tokenRefresh: s.object({
+    success: s.boolean(),
+    tokenData: s.object({
+      // Backend-held setups only return the opaque tokenRef
+      accessToken: s.string().optional(),
+      tokenRef: s.string().optional(),
+      refreshToken: s.string().optional(),
+      expiresAt: s.string().nullable().optional()
+    }).optional()
+  }),
+
+  jobsList: s.object({
+    success: s.boolean(),
+    jobs: s.array(job).optional(),
+    pagination: pagination.optional(),
+    total: s.number().optional(),
+    // Jobber query cost, read by the rate limiter
+    extensions: s.any().optional()
+  }),
+
+  syncResult: s.object({
+    success: s.boolean(),
+    message: s.string().optional(),
+    realmId: s.string().nullable().optional(),
+    successfulJobs: s.number().optional(),
+    failedJobs: s.number().optional(),
+    results: s.array(s.any()).optional(),
+    replayed: s.boolean().optional()
+  }),
+
+  syncStats: s.object({
+    success: s.boolean(),
+    stats: s.object({
+      totalSyncs: s.number(),
+      successfulSyncs: s.number(),
+      failedSyncs: s.number(),
+      pendingSyncs: s.number().optional(),
+      syncsLast24h: s.number().optional(),
+      syncsLast7days: s.number().optional(),
+      lastSyncTime: s.date().nullable().optional(),
+      totalAmount: s.number().nullable().optional(),
+      recentActivity: s.array(activity).optional()
+    }).optional()
+  })
+};
@@ -0,0 +1,158 @@
+/**
+ * Session Service
+ * Holds the signed-in WorkSync staff member and the workspaces (organizations)
+ * they belong to. The user ID is read by WorkSyncAPI for every call and,
+ * with the active workspace (see workspaceService), scopes token storage, so
+ * several staff members can share a browser without sharing one identity.
+ */
+
+import { eventBus } from './event_bus_manager.js';
+import { persistedState } from './persistedState.js';
+
+const SESSION_SCHEMA = 'session';
+
+persistedState.define(SESSION_SCHEMA, {
+  version: 1,
+  migrations: {
+    // Sessions from before workspaces have no workspace list
+    1: (session) => ({ workspaces: [], ...session })
+  },
+  validate: (session) => Boolean(session?.user?.id)
+});
+
+class SessionService {
+  constructor() {
+    this.storageKey = 'worksync_session';
+    this.debugLogging = import.meta.env.VITE_ENABLE_DEBUG_LOGGING === 'true';
+    this.listeners = new Set();
+    this.expiryTimer = null;
+
+    this.session = this.loadSession();
+    this.scheduleExpiry();
+  }
+
+  /**
+   * Current session ({ user, workspaces, sessionToken, expiresAt }) or null
+   */
+  getSession() {
+    return this.session && !this.isExpired(this.session) ? this.session : null;
+  }
+
+  getUser() {
+    return this.getSession()?.user || null;
+  }
+
+  getUserId() {
+    return this.getSession()?.user.id || null;
+  }
+
+  getSessionToken() {
+    return this.getSession()?.sessionToken || null;
+  }
+
+  isAuthenticated() {
+    return this.getSession() !== null;
+  }
+
+  /**
+   * Workspaces the user belongs to ({ id, name }); empty for backends without workspaces
+   */
+  getWorkspaces() {
+    return this.getSession()?.workspaces || [];
+  }
+
+  /**
+   * Start a session after a successful sign-in
+   */
+  setSession({ user, workspaces = [], sessionToken, expiresAt = null }) {
+    if (!user?.id) {
+      throw new Error('Session requires a user with an id');
+    }
+
+    this.session = {
+      user,
+      workspaces,
+      sessionToken,
+      expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+      startedAt: new Date().toISOString()
+    };
+    this.saveSession();
+    this.scheduleExpiry();
+    this.log('Session started for', user.id);
+    this.notify();
+  }
+
+  /**
+   * End the session (sign-out or expiry)
+   */
+  clear() {
+    if (!this.session) return;
+
+    const userId = this.session.user.id;
+    this.session = null;
+    clearTimeout(this.expiryTimer);
+    localStorage.removeItem(this.storageKey);
+    this.log('Session cleared for', userId);
+    this.notify();
+  }
+
+  isExpired(session) {
+    return Boolean(session.expiresAt) && new Date(session.expiresAt).getTime() <= Date.now();
+  }
+
+  /**
+   * Sign out automatically when the session expires
+   */
+  scheduleExpiry() {
+    clearTimeout(this.expiryTimer);
+    if (!this.session?.expiresAt) return;
+
+    // setTimeout overflows past ~24.8 days
+    const remaining = Math.min(new Date(this.session.expiresAt).getTime() - Date.now(), 2147483647);
+    this.expiryTimer = setTimeout(() => {
+      this.log('Session expired');
+      this.clear();
+    }, Math.max(remaining, 0));
+  }
+
+  /**
+   * Subscribe to session changes (useSyncExternalStore compatible)
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach(listener => listener(this.session));
+    eventBus.emit('session_changed', { user: this.session?.user || null });
+  }
+
+  loadSession() {
+    const session = persistedState.read(SESSION_SCHEMA, this.storageKey);
+    return session && !this.isExpired(session) ? session : null;
+  }
+
+  saveSession() {
+    try {
+      persistedState.write(SESSION_SCHEMA, this.storageKey, this.session);
+    } catch (error) {
+      console.error('Failed to store session:', error);
+    }
+  }
+
+  /**
+   * Debug logging
+   */
+  log(...args) {
+    if (this.debugLogging) {
+      console.log('[SessionService]', ...args);
+    }
+  }
+}
+
+// Create singleton instance
+export const sessionService = new SessionService();
+
+// Export class for testing
+export { SessionService };
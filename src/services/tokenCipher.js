@@ -0,0 +1,135 @@
+/**
+ * Token Cipher
+ * AES-GCM encryption for persisted OAuth tokens using the Web Crypto API.
+ * The key is generated as non-extractable and kept in IndexedDB, so script
+ * running in the page can use it but never read the raw key material.
+ */
+
+// Envelope format version; bump when the algorithm or layout changes
+export const ENVELOPE_VERSION = 1;
+
+const KEY_DB_NAME = 'worksync_keys';
+const KEY_STORE_NAME = 'keys';
+const KEY_ID = 'token-encryption';
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+const fromBase64 = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+/**
+ * Run a single request against the key store
+ */
+const withKeyStore = (mode, operation) => new Promise((resolve, reject) => {
+  const open = indexedDB.open(KEY_DB_NAME, 1);
+  open.onupgradeneeded = () => open.result.createObjectStore(KEY_STORE_NAME);
+  open.onerror = () => reject(open.error);
+  open.onsuccess = () => {
+    const db = open.result;
+    const request = operation(db.transaction(KEY_STORE_NAME, mode).objectStore(KEY_STORE_NAME));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.transaction.oncomplete = () => db.close();
+  };
+});
+
+class TokenCipher {
+  constructor() {
+    this.keyPromise = null;
+    this.debugLogging = import.meta.env.VITE_ENABLE_DEBUG_LOGGING === 'true';
+  }
+
+  /**
+   * Web Crypto is only available in secure contexts (https or localhost)
+   */
+  isSupported() {
+    return Boolean(globalThis.crypto?.subtle);
+  }
+
+  /**
+   * Whether the key survives a reload. Without IndexedDB the key only lives
+   * for this page, so tokens stored now cannot be decrypted after a reload.
+   */
+  isKeyPersistent() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Load the encryption key, generating and saving one on first use
+   */
+  getKey() {
+    if (!this.keyPromise) {
+      this.keyPromise = this.loadOrCreateKey().catch(error => {
+        this.keyPromise = null;
+        throw error;
+      });
+    }
+    return this.keyPromise;
+  }
+
+  async loadOrCreateKey() {
+    if (this.isKeyPersistent()) {
+      const stored = await withKeyStore('readonly', store => store.get(KEY_ID));
+      if (stored) return stored;
+    }
+
+    const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+    if (this.isKeyPersistent()) {
+      await withKeyStore('readwrite', store => store.put(key, KEY_ID));
+    }
+    this.log('Generated new token encryption key');
+    return key;
+  }
+
+  /**
+   * Encrypt a JSON-serialisable value into a versioned envelope.
+   * @param {string} context - Bound to the ciphertext as additional data, so an
+   *   envelope copied to another storage key fails to decrypt
+   */
+  async encrypt(data, context = '') {
+    const key = await this.getKey();
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(context) },
+      key,
+      new TextEncoder().encode(JSON.stringify(data))
+    );
+
+    return { v: ENVELOPE_VERSION, alg: 'AES-GCM', iv: toBase64(iv), ct: toBase64(ciphertext) };
+  }
+
+  /**
+   * Decrypt an envelope produced by encrypt(). Throws when the envelope is of
+   * an unknown version, was tampered with or was encrypted with another key.
+   */
+  async decrypt(envelope, context = '') {
+    if (!this.isEnvelope(envelope) || envelope.v !== ENVELOPE_VERSION) {
+      throw new Error(`Unsupported token envelope version: ${envelope?.v}`);
+    }
+
+    const key = await this.getKey();
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(envelope.iv), additionalData: new TextEncoder().encode(context) },
+      key,
+      fromBase64(envelope.ct)
+    );
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  }
+
+  isEnvelope(value) {
+    return Boolean(value) && typeof value === 'object' && 'v' in value && 'ct' in value;
+  }
+
+  /**
+   * Debug logging
+   */
+  log(...args) {
+    if (this.debugLogging) {
+      console.log('[TokenCipher]', ...args);
+    }
+  }
+}
+
+// Create singleton instance
+export const tokenCipher = new TokenCipher();
+
+// Export class for testing
+export { TokenCipher };
@@ -0,0 +1,187 @@
+/**
+ * Token Refresh Scheduler
+ * Refreshes every stored OAuth token shortly before it enters the 10-minute
+ * needsRefresh window, so API calls never run into an expired token.
+ * Failed refreshes back off exponentially until the token expires. While the
+ * tab is hidden, or no one is signed in, no timers run; refreshes that fell
+ * due happen on return, or once tokens are loaded for the next sign-in.
+ *
+ * Emits 'token_refreshed' and 'token_refresh_failed' on the event bus.
+ */
+
+import { tokenStorage } from './tokenStorage.js';
+import { workSyncAPI } from './api.js';
+import { queryCache } from './queryCache.js';
+import { eventBus } from './event_bus_manager.js';
+import { sessionService } from './sessionService.js';
+
+// setTimeout can't wait longer than this (~24.8 days)
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+class TokenRefreshScheduler {
+  constructor() {
+    // Refresh ahead of needsRefresh (10 minutes before expiry) with a margin
+    this.refreshLeadMs = 12 * 60 * 1000;
+    this.retryBaseDelayMs = 30 * 1000;
+    this.retryMaxDelayMs = 5 * 60 * 1000;
+    this.debugLogging = import.meta.env.VITE_ENABLE_DEBUG_LOGGING === 'true';
+
+    this.running = false;
+    this.timers = new Map(); // tokenKey -> timeout id
+    this.failures = new Map(); // tokenKey -> { attempt, retryAt, storedAt, gaveUp }
+    this.lastRefreshedAt = new Map(); // tokenKey -> timestamp
+    this.inFlight = new Set();
+    this.unsubscribe = null;
+    this.unsubscribeSession = null;
+    this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+  }
+
+  /**
+   * Start watching stored tokens
+   */
+  start() {
+    if (this.running) return;
+
+    this.running = true;
+    this.unsubscribe = tokenStorage.subscribe(() => this.reschedule());
+    // Sign-out and session expiry pause refreshing
+    this.unsubscribeSession = sessionService.subscribe(() => this.reschedule());
+    document.addEventListener('visibilitychange', this.handleVisibilityChange);
+    tokenStorage.ready().then(() => this.reschedule());
+    this.log('Started');
+  }
+
+  stop() {
+    this.running = false;
+    this.clearTimers();
+    this.unsubscribe?.();
+    this.unsubscribe = null;
+    this.unsubscribeSession?.();
+    this.unsubscribeSession = null;
+    document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+    this.log('Stopped');
+  }
+
+  /**
+   * Refreshing needs a WorkSync session; signing in switches the token
+   * storage key (see TokenStorageService.setUser), which reschedules
+   */
+  isPaused() {
+    return document.visibilityState === 'hidden' || !sessionService.isAuthenticated();
+  }
+
+  handleVisibilityChange() {
+    if (this.isPaused()) {
+      this.clearTimers();
+      this.log('Paused while the tab is hidden or signed out');
+    } else {
+      this.reschedule();
+    }
+  }
+
+  /**
+   * Rebuild the timers from the tokens currently stored
+   */
+  reschedule() {
+    this.clearTimers();
+    if (!this.running || this.isPaused()) return;
+
+    const tokens = tokenStorage.getAllTokens();
+    [...this.failures.keys()]
+      .filter(tokenKey => !tokens[tokenKey])
+      .forEach(tokenKey => this.failures.delete(tokenKey));
+
+    Object.entries(tokens).forEach(([tokenKey, tokenInfo]) => this.schedule(tokenKey, tokenInfo));
+  }
+
+  schedule(tokenKey, tokenInfo) {
+    const refreshAt = this.getRefreshTime(tokenKey, tokenInfo);
+    if (refreshAt === null || this.inFlight.has(tokenKey)) return;
+
+    const delay = Math.min(Math.max(refreshAt - Date.now(), 0), MAX_TIMER_DELAY);
+    this.timers.set(tokenKey, setTimeout(() => this.refresh(tokenKey), delay));
+    this.log(`Refreshing ${tokenKey} in ${Math.round(delay / 1000)}s`);
+  }
+
+  /**
+   * When a token should be refreshed next, or null if it can't be
+   */
+  getRefreshTime(tokenKey, tokenInfo) {
+    if (!tokenInfo.expiresAt || !(tokenInfo.refreshToken || tokenInfo.tokenRef)) return null;
+
+    const failure = this.failures.get(tokenKey);
+    if (failure && failure.storedAt === tokenInfo.storedAt) {
+      return failure.gaveUp ? null : failure.retryAt;
+    }
+
+    // A backend that hands out short-lived tokens must not cause a refresh loop
+    const earliest = (this.lastRefreshedAt.get(tokenKey) || 0) + this.retryBaseDelayMs;
+    return Math.max(new Date(tokenInfo.expiresAt).getTime() - this.refreshLeadMs, earliest);
+  }
+
+  async refresh(tokenKey) {
+    this.timers.delete(tokenKey);
+    const tokenInfo = tokenStorage.getAllTokens()[tokenKey];
+    if (!tokenInfo || this.isPaused()) return;
+
+    const { provider, realmId } = tokenStorage.parseTokenKey(tokenKey);
+    this.inFlight.add(tokenKey);
+
+    try {
+      const tokenData = await workSyncAPI.refreshToken(provider, null, { realmId });
+      this.failures.delete(tokenKey);
+      this.lastRefreshedAt.set(tokenKey, Date.now());
+      this.log(`Refreshed ${tokenKey}`);
+
+      eventBus.emit('token_refreshed', { provider, realmId, expiresAt: tokenData.expiresAt || null });
+      queryCache.invalidate('/auth/status');
+    } catch (error) {
+      const attempt = (this.failures.get(tokenKey)?.attempt || 0) + 1;
+      const delay = Math.min(this.retryBaseDelayMs * 2 ** (attempt - 1), this.retryMaxDelayMs);
+      const current = tokenStorage.getAllTokens()[tokenKey];
+      // No retry once the refresh was rejected (token removed) or the token expires first
+      const willRetry = Boolean(current) && Date.now() + delay < new Date(current.expiresAt).getTime();
+
+      if (current) {
+        this.failures.set(tokenKey, {
+          attempt,
+          retryAt: willRetry ? Date.now() + delay : null,
+          storedAt: current.storedAt,
+          gaveUp: !willRetry
+        });
+      }
+      this.log(`Refresh of ${tokenKey} failed (attempt ${attempt}):`, error.message);
+
+      eventBus.emit('token_refresh_failed', {
+        provider,
+        realmId,
+        attempt,
+        error: error.userMessage || error.message,
+        retryInMs: willRetry ? delay : null
+      });
+    } finally {
+      this.inFlight.delete(tokenKey);
+      this.reschedule();
+    }
+  }
+
+  clearTimers() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+
+  /**
+   * Debug logging
+   */
+  log(...args) {
+    if (this.debugLogging) {
+      console.log('[TokenRefreshScheduler]', ...args);
+    }
+  }
+}
+
+// Create singleton instance
+export const tokenRefreshScheduler = new TokenRefreshScheduler();
+
+// Export class for testing
+export { TokenRefreshScheduler };
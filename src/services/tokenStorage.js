@@ -1,41 +1,336 @@
 /**
  * Secure Token Storage Service
  * Handles OAuth token storage with encryption and automatic cleanup
+ *
+ * Tokens are kept decrypted in memory and persisted as an AES-GCM envelope
+ * (see tokenCipher), wrapped in a versioned record (see persistedState), to
+ * a configurable storage backend (see tokenStorageBackends). Loading is
+ * asynchronous, so reads made right after start-up or a workspace switch
+ * should await ready(). Other tabs sharing
+ * the storage are told about every change and reload (see crossTabSync).
  */
 
+import { tokenCipher } from './tokenCipher.js';
+import { crossTabSync } from './crossTabSync.js';
+import { createStorageBackend, SECRET_TOKEN_FIELDS } from './tokenStorageBackends.js';
+import { persistedState } from './persistedState.js';
+
+const TOKENS_SCHEMA = 'tokens';
+
+const isTokenMap = (tokens) => Boolean(tokens) && typeof tokens === 'object' && !Array.isArray(tokens) &&
+  Object.values(tokens).every(tokenInfo => Boolean(tokenInfo) && typeof tokenInfo === 'object');
+
+// Bump the version and add a step whenever the stored token map changes shape
+persistedState.define(TOKENS_SCHEMA, {
+  version: 1,
+  sensitive: true,
+  migrations: {
+    // Before versioning: a plain map, an envelope (decrypted by now) or base64-encoded JSON
+    1: (tokens) => (typeof tokens === 'string' ? JSON.parse(atob(tokens)) : tokens)
+  },
+  validate: isTokenMap
+});
+
 class TokenStorageService {
   constructor() {
-    this.storageKey = import.meta.env.VITE_TOKEN_STORAGE_KEY || 'worksync_tokens';
+    this.baseStorageKey = import.meta.env.VITE_TOKEN_STORAGE_KEY || 'worksync_tokens';
+    this.storageKey = this.baseStorageKey;
     this.encryptionEnabled = import.meta.env.VITE_TOKEN_ENCRYPTION_ENABLED === 'true';
     this.debugLogging = import.meta.env.VITE_ENABLE_DEBUG_LOGGING === 'true';
+    this.backend = this.createConfiguredBackend(import.meta.env.VITE_TOKEN_STORAGE_BACKEND || 'local');
+    this.tokens = {};
+    this.storedSize = 0;
+    this.writeQueue = Promise.resolve();
+    this.listeners = new Set();
+
+    if (this.encryptionEnabled && !tokenCipher.isSupported()) {
+      console.warn('Web Crypto is unavailable (insecure context); tokens are kept in memory only');
+    } else if (this.encryptionEnabled && !tokenCipher.isKeyPersistent()) {
+      console.warn('IndexedDB is unavailable to keep the encryption key; tokens are kept in memory only');
+    }
     
-    // Initialize cleanup on instantiation
+    // Load (and clean up) the stored tokens on instantiation
+    this.loading = this.load();
+
+    // Other tabs can't read tokens from a backend that isn't shared, but
+    // still hear about changes so their connection status follows
+    crossTabSync.subscribe('tokens_changed', ({ storageKey }) => {
+      if (storageKey === this.storageKey && this.backend.shared) {
+        this.reload();
+      }
+    });
+  }
+
+  createConfiguredBackend(name) {
+    try {
+      return createStorageBackend(name);
+    } catch (error) {
+      console.error(`${error.message}; using localStorage`);
+      return createStorageBackend('local');
+    }
+  }
+
+  /**
+   * Move the current tokens to another storage backend
+   */
+  async setBackend(name) {
+    const backend = createStorageBackend(name);
+    await this.flush();
+
+    const previous = this.backend;
+    this.backend = backend;
+    await previous.remove(this.storageKey);
+    await this.persist();
+    this.log(`Token storage backend: ${name}`);
+  }
+
+  getBackendName() {
+    return this.backend.name;
+  }
+
+  /**
+   * Resolves once the tokens of the current storage key are decrypted
+   */
+  ready() {
+    return this.loading;
+  }
+
+  /**
+   * Resolves once every pending change has been written to storage
+   */
+  flush() {
+    return this.loading.then(() => this.writeQueue);
+  }
+
+  /**
+   * Subscribe to tokens being stored, removed or loaded for another user
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach(listener => {
+      try {
+        listener();
+      } catch (error) {
+        console.error('Token storage listener failed:', error);
+      }
+    });
+  }
+
+  /**
+   * Scope stored tokens to a signed-in user and their active workspace
+   * (null for the shared legacy key). Each workspace has its own provider
+   * connections, so tokens never cross from one to another.
+   */
+  setUser(userId, workspaceId = null) {
+    this.storageKey = [this.baseStorageKey, userId, userId && workspaceId].filter(Boolean).join(':');
+    this.tokens = {};
+    this.storedSize = 0;
+    this.loading = this.load();
+    this.log(`Token storage key: ${this.storageKey}`);
+  }
+
+  /**
+   * Storage key for a provider's token. QuickBooks keeps one token per
+   * connected company, stored as "quickbooks:<realmId>".
+   */
+  getTokenKey(provider, realmId = null) {
+    return realmId ? `${provider}:${realmId}` : provider;
+  }
+
+  /**
+   * Inverse of getTokenKey: { provider, realmId }
+   */
+  parseTokenKey(tokenKey) {
+    const [provider, realmId = null] = tokenKey.split(':');
+    return { provider, realmId };
+  }
+
+  /**
+   * How persisted tokens are protected: 'aes-gcm', 'memory' (encryption
+   * wanted but Web Crypto is unavailable, or the key would not survive a
+   * reload, so nothing is written) or 'none'. Backends that persist nothing
+   * or hold no secrets need no encryption.
+   */
+  getEncryptionMode() {
+    if (!this.encryptionEnabled || !this.backend.persistent || !this.backend.keepsSecrets) return 'none';
+    return tokenCipher.isSupported() && tokenCipher.isKeyPersistent() ? 'aes-gcm' : 'memory';
+  }
+
+  /**
+   * Re-read the stored tokens, e.g. after another tab changed them. Stored
+   * tokens replace the in-memory ones.
+   */
+  reload() {
+    this.loading = this.flush().then(() => this.load({ replace: true }));
+    return this.loading;
+  }
+
+  /**
+   * Decrypt the tokens stored under the current key into memory
+   */
+  async load({ replace = false } = {}) {
+    const storageKey = this.storageKey;
+    let stored = await this.readStoredTokens(storageKey);
+    if (Object.keys(stored).length === 0) {
+      stored = await this.adoptLegacyTokens(storageKey);
+    }
+
+    // A newer load took over after a switch
+    if (storageKey !== this.storageKey) return;
+
+    // Otherwise tokens stored while decrypting are newer than the persisted copy
+    this.tokens = replace ? stored : { ...stored, ...this.tokens };
     this.cleanupExpiredTokens();
+    this.notify();
   }
 
   /**
-   * Simple encryption/decryption using base64 encoding
-   * Note: This is basic obfuscation, not true encryption
-   * For production, consider using Web Crypto API
+   * Read, decrypt and migrate a stored token map. Records adopted from
+   * localStorage, in an older format or encrypted differently from what is
+   * configured now are rewritten, unless rewrite is false because the caller
+   * moves them elsewhere; anything unreadable is quarantined rather than
+   * handed out.
    */
-  encrypt(data) {
-    if (!this.encryptionEnabled) return data;
+  async readStoredTokens(storageKey, { rewrite = true } = {}) {
+    let raw = null;
     try {
-      return btoa(JSON.stringify(data));
+      const persisted = await this.backend.read(storageKey);
+      raw = persisted || await this.adoptLocalStorageEntry(storageKey);
+      if (!raw) return {};
+      this.storedSize = raw.length;
+
+      const { version, data } = persistedState.unwrap(JSON.parse(raw));
+      const encrypted = tokenCipher.isEnvelope(data);
+      const decrypted = encrypted ? await tokenCipher.decrypt(data, storageKey) : data;
+      const { data: stored, migrated } = persistedState.migrate(TOKENS_SCHEMA, { version, data: decrypted }, storageKey);
+      // Tokens adopted from another backend may still carry secrets
+      const tokens = this.redactAllSecrets(stored);
+
+      if (rewrite && (migrated || !persisted || encrypted !== (this.getEncryptionMode() === 'aes-gcm'))) {
+        await this.writeTokens(storageKey, tokens).catch(error => console.error('Failed to migrate stored tokens:', error));
+      }
+      return tokens;
     } catch (error) {
-      this.log('Encryption failed:', error);
-      return data;
+      return this.quarantineStoredTokens(storageKey, raw, error);
     }
   }
 
-  decrypt(encryptedData) {
-    if (!this.encryptionEnabled) return encryptedData;
-    try {
-      return JSON.parse(atob(encryptedData));
-    } catch (error) {
-      this.log('Decryption failed:', error);
-      return encryptedData;
+  /**
+   * Keys the tokens of a scoped storage key were kept under before scoping,
+   * oldest first: the shared key, then the user's key from before workspaces
+   */
+  getLegacyStorageKeys(storageKey) {
+    if (storageKey === this.baseStorageKey) return [];
+
+    const scopes = storageKey.slice(this.baseStorageKey.length + 1).split(':');
+    return scopes.map((scope, index) => [this.baseStorageKey, ...scopes.slice(0, index)].join(':'));
+  }
+
+  /**
+   * Tokens stored before they were scoped per user, or per workspace, live
+   * under the older keys; move them to the current key (newer keys winning)
+   * instead of asking users to reconnect
+   */
+  async adoptLegacyTokens(storageKey) {
+    let tokens = {};
+    const adoptedKeys = [];
+
+    for (const legacyKey of this.getLegacyStorageKeys(storageKey)) {
+      // Migrated (base64 included) and re-encrypted on the way to the current
+      // key; the legacy entry is removed rather than rewritten
+      const legacyTokens = await this.readStoredTokens(legacyKey, { rewrite: false });
+      if (Object.keys(legacyTokens).length === 0) continue;
+
+      tokens = { ...tokens, ...legacyTokens };
+      adoptedKeys.push(legacyKey);
+    }
+
+    // Nothing to adopt, or a newer load took over and will adopt them itself
+    if (adoptedKeys.length === 0 || storageKey !== this.storageKey) return {};
+
+    await this.writeTokens(storageKey, tokens);
+    await Promise.all(adoptedKeys.map(legacyKey => this.backend.remove(legacyKey)));
+    this.log(`Moved tokens under ${adoptedKeys.join(', ')} to ${storageKey}`);
+    return tokens;
+  }
+
+  /**
+   * Tokens stored before another backend was configured live in
+   * localStorage; move them over instead of asking users to reconnect
+   */
+  async adoptLocalStorageEntry(storageKey) {
+    if (this.backend.name === 'local') return null;
+
+    const raw = localStorage.getItem(storageKey);
+    if (raw) {
+      localStorage.removeItem(storageKey);
+      this.log(`Moving tokens under ${storageKey} from localStorage to ${this.backend.name}`);
+    }
+    return raw;
+  }
+
+  /**
+   * Unreadable tokens are never kept: the affected providers have to be
+   * reconnected, and the diagnostics view says why
+   */
+  async quarantineStoredTokens(storageKey, raw, error) {
+    persistedState.quarantine(TOKENS_SCHEMA, storageKey, raw, error);
+    await this.backend.remove(storageKey);
+    return {};
+  }
+
+  /**
+   * Persist a token map under a storage key
+   */
+  async writeTokens(storageKey, tokens) {
+    const mode = this.getEncryptionMode();
+    if (Object.keys(tokens).length === 0 || mode === 'memory') {
+      this.storedSize = 0;
+      await this.backend.remove(storageKey);
+      return;
     }
+
+    const data = mode === 'aes-gcm' ? await tokenCipher.encrypt(tokens, storageKey) : tokens;
+    const dataToStore = JSON.stringify(persistedState.wrap(TOKENS_SCHEMA, data));
+    this.storedSize = dataToStore.length;
+    await this.backend.write(storageKey, dataToStore);
+  }
+
+  /**
+   * Backend-held storage keeps only what the UI needs (expiry, realm) and the
+   * backend's opaque tokenRef; the tokens themselves stay server-side
+   */
+  redactSecrets(tokenInfo) {
+    if (this.backend.keepsSecrets) return tokenInfo;
+
+    return Object.fromEntries(Object.entries(tokenInfo).filter(([field]) => !SECRET_TOKEN_FIELDS.includes(field)));
+  }
+
+  redactAllSecrets(tokens) {
+    if (!tokens || this.backend.keepsSecrets) return tokens;
+
+    return Object.fromEntries(Object.entries(tokens).map(([provider, tokenInfo]) => [provider, this.redactSecrets(tokenInfo)]));
+  }
+
+  /**
+   * Queue a write of the in-memory tokens. Writes wait for the current load
+   * so a half-loaded map never overwrites the stored one.
+   */
+  persist() {
+    const storageKey = this.storageKey;
+    this.writeQueue = Promise.all([this.loading, this.writeQueue])
+      .then(async () => {
+        // Changes made just before a switch were to the previous key's tokens
+        if (storageKey !== this.storageKey) return;
+        await this.writeTokens(storageKey, this.tokens);
+        crossTabSync.publish('tokens_changed', { storageKey });
+      })
+      .catch(error => console.error('Failed to persist tokens:', error));
+    return this.writeQueue;
   }
 
   /**
@@ -43,19 +338,16 @@ class TokenStorageService {
    */
   storeToken(provider, tokenData) {
     try {
-      const tokens = this.getAllTokens();
-      
-      const tokenInfo = {
+      const tokenInfo = this.redactSecrets({
         ...tokenData,
         provider,
         storedAt: new Date().toISOString(),
         lastUsed: new Date().toISOString()
-      };
+      });
 
-      tokens[provider] = tokenInfo;
-      
-      const dataToStore = this.encrypt(tokens);
-      localStorage.setItem(this.storageKey, JSON.stringify(dataToStore));
+      this.tokens = { ...this.tokens, [provider]: tokenInfo };
+      this.persist();
+      this.notify();
       
       this.log(`Token stored for provider: ${provider}`);
       return true;
@@ -70,8 +362,7 @@ class TokenStorageService {
    */
   getToken(provider) {
     try {
-      const tokens = this.getAllTokens();
-      const tokenInfo = tokens[provider];
+      const tokenInfo = this.tokens[provider];
       
       if (!tokenInfo) {
         this.log(`No token found for provider: ${provider}`);
@@ -85,9 +376,9 @@ class TokenStorageService {
         return null;
       }
 
-      // Update last used timestamp
+      // In memory only: persisting on every read would write this tab's whole
+      // map over tokens another tab just stored
       tokenInfo.lastUsed = new Date().toISOString();
-      this.storeToken(provider, tokenInfo);
 
       this.log(`Token retrieved for provider: ${provider}`);
       return tokenInfo;
@@ -102,11 +393,10 @@ class TokenStorageService {
    */
   removeToken(provider) {
     try {
-      const tokens = this.getAllTokens();
-      delete tokens[provider];
-      
-      const dataToStore = this.encrypt(tokens);
-      localStorage.setItem(this.storageKey, JSON.stringify(dataToStore));
+      this.tokens = { ...this.tokens };
+      delete this.tokens[provider];
+      this.persist();
+      this.notify();
       
       this.log(`Token removed for provider: ${provider}`);
       return true;
@@ -120,16 +410,7 @@ class TokenStorageService {
    * Get all stored tokens
    */
   getAllTokens() {
-    try {
-      const stored = localStorage.getItem(this.storageKey);
-      if (!stored) return {};
-      
-      const parsed = JSON.parse(stored);
-      return this.decrypt(parsed) || {};
-    } catch (error) {
-      console.error('Failed to retrieve all tokens:', error);
-      return {};
-    }
+    return { ...this.tokens };
   }
 
   /**
@@ -137,7 +418,9 @@ class TokenStorageService {
    */
   clearAllTokens() {
     try {
-      localStorage.removeItem(this.storageKey);
+      this.tokens = {};
+      this.persist();
+      this.notify();
       this.log('All tokens cleared');
       return true;
     } catch (error) {
@@ -212,7 +495,7 @@ class TokenStorageService {
    */
   cleanupExpiredTokens() {
     try {
-      const tokens = this.getAllTokens();
+      const tokens = { ...this.tokens };
       let cleaned = false;
 
       Object.keys(tokens).forEach(provider => {
@@ -224,8 +507,9 @@ class TokenStorageService {
       });
 
       if (cleaned) {
-        const dataToStore = this.encrypt(tokens);
-        localStorage.setItem(this.storageKey, JSON.stringify(dataToStore));
+        this.tokens = tokens;
+        this.persist();
+        this.notify();
       }
     } catch (error) {
       console.error('Failed to cleanup expired tokens:', error);
@@ -246,27 +530,25 @@ class TokenStorageService {
         status: this.getTokenStatus(provider)
       })),
       storageSize: this.getStorageSize(),
+      backend: this.getBackendName(),
+      encryption: this.getEncryptionMode(),
       lastCleanup: new Date().toISOString()
     };
   }
 
   /**
-   * Get approximate storage size
+   * Get approximate storage size (as of the last read or write)
    */
   getStorageSize() {
-    try {
-      const stored = localStorage.getItem(this.storageKey);
-      return stored ? stored.length : 0;
-    } catch (error) {
-      return 0;
-    }
+    return this.storedSize;
   }
 
   /**
    * Validate token structure
    */
   validateToken(tokenData) {
-    const requiredFields = ['accessToken'];
+    // Backend-held tokens arrive as an opaque reference instead
+    const requiredFields = this.backend.keepsSecrets ? ['accessToken'] : ['tokenRef'];
     const optionalFields = ['refreshToken', 'expiresAt', 'tokenType', 'scope'];
     
     for (const field of requiredFields) {
@@ -0,0 +1,115 @@
+/**
+ * Token Storage Backends
+ * Where TokenStorageService persists its token map. Every backend has the
+ * same async interface: read(key) returns the stored string or null,
+ * write(key, value) and remove(key). Backends flagged shared are visible to
+ * every tab, so changes are broadcast to the others (see crossTabSync).
+ *
+ * Selected with VITE_TOKEN_STORAGE_BACKEND (or tokenStorage.setBackend):
+ *   local     - localStorage, survives restarts (default)
+ *   session   - sessionStorage, cleared when the tab closes
+ *   memory    - nothing persisted, tokens are lost on reload
+ *   indexeddb - IndexedDB, survives restarts and is not readable synchronously
+ *   backend   - tokens stay on the WorkSync backend; the browser only keeps an
+ *               opaque reference plus what the UI needs to show status
+ */
+
+const TOKEN_DB_NAME = 'worksync_token_store';
+const TOKEN_STORE_NAME = 'tokens';
+
+// Fields a backend-held setup must never keep in the browser
+export const SECRET_TOKEN_FIELDS = ['accessToken', 'refreshToken', 'idToken'];
+
+/**
+ * Run a single request against the IndexedDB token store
+ */
+const withTokenStore = (mode, operation) => new Promise((resolve, reject) => {
+  const open = indexedDB.open(TOKEN_DB_NAME, 1);
+  open.onupgradeneeded = () => open.result.createObjectStore(TOKEN_STORE_NAME);
+  open.onerror = () => reject(open.error);
+  open.onsuccess = () => {
+    const db = open.result;
+    const request = operation(db.transaction(TOKEN_STORE_NAME, mode).objectStore(TOKEN_STORE_NAME));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.transaction.oncomplete = () => db.close();
+  };
+});
+
+const createWebStorageBackend = (name, getStorage, shared) => ({
+  name,
+  persistent: true,
+  shared,
+  keepsSecrets: true,
+  async read(key) {
+    return getStorage().getItem(key);
+  },
+  async write(key, value) {
+    getStorage().setItem(key, value);
+  },
+  async remove(key) {
+    getStorage().removeItem(key);
+  }
+});
+
+const createMemoryBackend = () => {
+  const values = new Map();
+  return {
+    name: 'memory',
+    persistent: false,
+    shared: false,
+    keepsSecrets: true,
+    async read(key) {
+      return values.get(key) ?? null;
+    },
+    async write(key, value) {
+      values.set(key, value);
+    },
+    async remove(key) {
+      values.delete(key);
+    }
+  };
+};
+
+const createIndexedDBBackend = () => ({
+  name: 'indexeddb',
+  persistent: true,
+  shared: true,
+  keepsSecrets: true,
+  async read(key) {
+    return (await withTokenStore('readonly', store => store.get(key))) ?? null;
+  },
+  async write(key, value) {
+    await withTokenStore('readwrite', store => store.put(value, key));
+  },
+  async remove(key) {
+    await withTokenStore('readwrite', store => store.delete(key));
+  }
+});
+
+// Status metadata for the session only; the tokens themselves stay server-side
+const createBackendHeldBackend = () => ({
+  ...createWebStorageBackend('backend', () => sessionStorage, false),
+  keepsSecrets: false
+});
+
+const BACKEND_FACTORIES = {
+  local: () => createWebStorageBackend('local', () => localStorage, true),
+  session: () => createWebStorageBackend('session', () => sessionStorage, false),
+  memory: createMemoryBackend,
+  indexeddb: createIndexedDBBackend,
+  backend: createBackendHeldBackend
+};
+
+export const STORAGE_BACKENDS = Object.keys(BACKEND_FACTORIES);
+
+/**
+ * Create a backend by name; unknown names throw
+ */
+export function createStorageBackend(name = 'local') {
+  const factory = BACKEND_FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown token storage backend "${name}" (expected one of: ${STORAGE_BACKENDS.join(', ')})`);
+  }
+  return factory();
+}
@@ -5,6 +5,8 @@
 
 import { eventBus } from './eventBus';
 import { apiService } from './api';
+import { sessionService } from './sessionService';
+import { PERMISSIONS, hasPermission, createPermissionError } from './permissions';
 
 class WebhookProcessor {
   constructor() {
@@ -143,10 +145,10 @@ class WebhookProcessor {
       title: 'Sync Failed',
       message: `${service} ${eventType} failed: ${error}`,
       duration: 5000,
-      action: {
+      action: this.canRetry() ? {
         label: 'Retry',
         callback: () => this.retryWebhook(correlationId)
-      }
+      } : undefined
     });
   }
   
@@ -246,10 +248,21 @@ class WebhookProcessor {
     );
   }
   
+  /**
+   * Whether the signed-in user may retry failed webhooks.
+   */
+  canRetry() {
+    return hasPermission(sessionService.getUser(), PERMISSIONS.RETRY_WEBHOOKS);
+  }
+  
   /**
    * Manually retries a failed webhook.
    */
   async retryWebhook(correlationId) {
+    if (!this.canRetry()) {
+      throw createPermissionError(PERMISSIONS.RETRY_WEBHOOKS);
+    }
+    
     try {
       const response = await apiService.post(`/api/webhooks/reprocess/${correlationId}`);
       
@@ -402,13 +415,14 @@ export function useWebhookStatus() {
     stats,
     isConnected,
     recentEvents,
+    canRetry: webhookProcessor.canRetry(),
     retryWebhook: webhookProcessor.retryWebhook.bind(webhookProcessor)
   };
 }
 
 // Webhook status dashboard component
 export function WebhookStatusDashboard() {
-  const { stats, isConnected, recentEvents, retryWebhook } = useWebhookStatus();
+  const { stats, isConnected, recentEvents, canRetry, retryWebhook } = useWebhookStatus();
   
   if (!stats) {
     return <div>Loading webhook status...</div>;
@@ -444,7 +458,7 @@ export function WebhookStatusDashboard() {
             <span className="service">{event.service}</span>
             <span className="event-type">{event.eventType}</span>
             <span className="timestamp">{event.timestamp.toLocaleTimeString()}</span>
-            {event.failed && (
+            {event.failed && canRetry && (
               <button 
                 onClick={() => retryWebhook(event.correlationId)}
                 className="retry-button"
@@ -0,0 +1,122 @@
+/**
+ * Workspace Service
+ * Tracks the active WorkSync workspace (organization) of the signed-in user.
+ * Each workspace has its own Jobber account and QuickBooks companies, so a
+ * switch moves token storage to the workspace's namespace and drops scoped
+ * event bus subscriptions. Cached queries are keyed by workspace (see
+ * useWorkSyncAPI) and WorkSyncAPI sends the workspace with every call.
+ */
+
+import { sessionService } from './sessionService.js';
+import { tokenStorage } from './tokenStorage.js';
+import { eventBus } from './event_bus_manager.js';
+import { persistedState } from './persistedState.js';
+
+const WORKSPACE_CHOICES_SCHEMA = 'workspace_choices';
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// userId -> workspaceId
+persistedState.define(WORKSPACE_CHOICES_SCHEMA, { version: 1, validate: isPlainObject });
+
+class WorkspaceService {
+  constructor() {
+    // Last workspace chosen by each user, so a sign-in returns to it
+    this.storageKey = 'worksync_active_workspace';
+    this.debugLogging = import.meta.env.VITE_ENABLE_DEBUG_LOGGING === 'true';
+    this.listeners = new Set();
+    this.userId = null;
+    this.activeWorkspaceId = null;
+
+    this.syncWithSession();
+    sessionService.subscribe(() => this.syncWithSession());
+  }
+
+  getWorkspaces() {
+    return sessionService.getWorkspaces();
+  }
+
+  getActiveWorkspaceId() {
+    return this.activeWorkspaceId;
+  }
+
+  getActiveWorkspace() {
+    return this.getWorkspaces().find(workspace => workspace.id === this.activeWorkspaceId) || null;
+  }
+
+  /**
+   * Switch to another workspace the signed-in user belongs to
+   */
+  setActiveWorkspace(workspaceId) {
+    if (!this.getWorkspaces().some(workspace => workspace.id === workspaceId)) {
+      throw new Error(`Not a member of workspace ${workspaceId}`);
+    }
+    if (workspaceId === this.activeWorkspaceId) return;
+
+    this.saveChoice(this.userId, workspaceId);
+    this.activate(this.userId, workspaceId);
+  }
+
+  /**
+   * Follow sign-in and sign-out: use the user's last workspace, otherwise their first
+   */
+  syncWithSession() {
+    const userId = sessionService.getUserId();
+    const workspaces = this.getWorkspaces();
+    const saved = userId ? this.loadChoices()[userId] : null;
+    const workspaceId = (workspaces.find(workspace => workspace.id === saved) || workspaces[0])?.id || null;
+
+    if (userId === this.userId && workspaceId === this.activeWorkspaceId) return;
+    this.activate(userId, workspaceId);
+  }
+
+  activate(userId, workspaceId) {
+    const previousWorkspaceId = this.activeWorkspaceId;
+    this.userId = userId;
+    this.activeWorkspaceId = workspaceId;
+
+    tokenStorage.setUser(userId, workspaceId);
+    eventBus.setScope(userId ? [userId, workspaceId].filter(Boolean).join(':') : null);
+
+    this.log('Active workspace:', workspaceId);
+    this.listeners.forEach(listener => listener(workspaceId));
+    eventBus.emit('workspace_changed', { workspace: this.getActiveWorkspace(), previousWorkspaceId });
+  }
+
+  /**
+   * Subscribe to workspace switches (useSyncExternalStore compatible)
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  loadChoices() {
+    return persistedState.read(WORKSPACE_CHOICES_SCHEMA, this.storageKey, { fallback: {} });
+  }
+
+  saveChoice(userId, workspaceId) {
+    if (!userId) return;
+
+    try {
+      persistedState.write(WORKSPACE_CHOICES_SCHEMA, this.storageKey, { ...this.loadChoices(), [userId]: workspaceId });
+    } catch (error) {
+      console.error('Failed to store workspace choice:', error);
+    }
+  }
+
+  /**
+   * Debug logging
+   */
+  log(...args) {
+    if (this.debugLogging) {
+      console.log('[WorkspaceService]', ...args);
+    }
+  }
+}
+
+// Create singleton instance
+export const workspaceService = new WorkspaceService();
+
+// Export class for testing
+export { WorkspaceService };